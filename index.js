@@ -0,0 +1,120 @@
+// p5.js Project API
+// Creates, updates and inspects p5.js projects from Node scripts; setup.js is the command-line front end
+
+import { Project, ProjectError } from './src/project/Project.js';
+
+export { Project, ProjectError };
+export { BatchRunner } from './src/project/BatchRunner.js';
+export { FileManager, IntegrityError, CommitError } from './src/file/FileManager.js';
+export { VersionProvider } from './src/api/VersionProvider.js';
+export { PromptProvider } from './src/ui/PromptProvider.js';
+export { LibraryError } from './src/api/LibraryProvider.js';
+export { ConfigError } from './src/config/ConfigManager.js';
+export { TemplateError } from './src/template/TemplateManager.js';
+export { DownloadError } from './src/net/Downloader.js';
+
+/**
+ * Sets up a new p5.js project. Without a prompt provider, the version defaults to "latest" and the
+ * delivery mode to "cdn".
+ * @param {Object} [options={}] - Project options (see Project) and choices (see Project.update)
+ * @param {string} [options.dir='sketch'] - The project directory
+ * @param {function(Object): void} [options.onProgress] - Receives the progress events of the project
+ * @param {function(Object): void} [options.onDownload] - Receives the download events, with their type
+ *   ("start", "progress", "end", "retry" or "fail") added
+ * @returns {Promise<Object>} The outcome of Project.update, with the applied (or, in a dry run, planned)
+ *   changes and the backup manifest
+ * @throws {ProjectError} If the directory already has a p5-config.json, or the setup can't go on
+ */
+export async function createProject(options = {}) {
+  return await run(options, async project => {
+    if (await project.configManager.load()) {
+      throw new ProjectError(`${project.basePath} already has a p5-config.json. Use updateProject to change it.`, 'exists');
+    }
+
+    const defaults = project.promptProvider ? {} : { version: 'latest', mode: 'cdn' };
+    return await project.update({ ...defaults, ...options });
+  });
+}
+
+/**
+ * Updates an existing p5.js project: its version, delivery mode, CDN provider, build or mirror.
+ * Without any choices, the project moves to the newest version matching its configured range, or is kept as it is.
+ * Without a prompt provider, a new version keeps the configured mode, and a new mode needs a version
+ * (or `yes` for the configured range or "latest").
+ * @param {Object} [options={}] - Project options (see Project) and choices (see Project.update)
+ * @param {string} [options.dir='sketch'] - The project directory
+ * @param {function(Object): void} [options.onProgress] - Receives the progress events of the project
+ * @param {function(Object): void} [options.onDownload] - Receives the download events (see createProject)
+ * @returns {Promise<Object>} The outcome of Project.update, with the applied (or planned) changes and the backup manifest
+ * @throws {ProjectError} If the directory has no p5-config.json, or the update can't go on
+ */
+export async function updateProject(options = {}) {
+  return await run(options, async project => {
+    const config = await project.configManager.load();
+    if (!config) {
+      throw new ProjectError(`No p5-config.json found in ${project.basePath}. Use createProject to set it up.`, 'not-configured');
+    }
+
+    // Without prompts, a new version keeps the configured mode
+    const defaults = project.promptProvider || !options.version ? {} : { mode: config.mode };
+    return await project.update({ ...defaults, ...options });
+  });
+}
+
+/**
+ * Reads the state of a project without changing it (see Project.inspect)
+ * @param {string|Object} [options={}] - The project directory, or project options with `dir`
+ * @returns {Promise<Object>} The configuration, the p5.js tags of each page, the libraries and the problems found
+ */
+export async function inspectProject(options = {}) {
+  if (typeof options === 'string') options = { dir: options };
+  return await new Project(options.dir, options).inspect();
+}
+
+/**
+ * Compares the project's p5.js version and type definitions with the published ones, with a summary
+ * of the release notes in between (see Project.outdated)
+ * @param {string|Object} [options={}] - The project directory, or project options with `dir`
+ * @param {boolean} [options.notes=true] - Summarize the release notes
+ * @returns {Promise<Object>} The current, latest and wanted versions, how far behind they are and the release notes
+ * @throws {ProjectError} If the directory has no p5-config.json
+ */
+export async function checkOutdated(options = {}) {
+  if (typeof options === 'string') options = { dir: options };
+  const project = new Project(options.dir, options);
+  await project.applyMirror({ mirror: options.mirror, transient: process.env.P5_MIRROR });
+  return await project.outdated({ notes: options.notes });
+}
+
+/**
+ * Runs an operation on a project: subscribes the listeners, applies the mirror, stages the changes
+ * and applies them together, or only plans them in a dry run
+ * @param {Object} options - Project options
+ * @param {function(Project): Promise<Object>} operation - The operation
+ * @returns {Promise<Object>} The result of the operation, with `changes` and `backup`
+ */
+async function run(options, operation) {
+  const project = new Project(options.dir, options);
+  if (options.onProgress) project.on('progress', options.onProgress);
+
+  // The downloader may be shared between projects, so its listeners are removed afterwards
+  const listeners = options.onDownload
+    ? ['start', 'progress', 'end', 'retry', 'fail'].map(type => [type, event => options.onDownload({ type, ...event })])
+    : [];
+  for (const [type, listener] of listeners) project.downloader.on(type, listener);
+
+  const { fileManager } = project;
+  try {
+    // P5_MIRROR applies like it does on the command line: for this call only, never saved
+    await project.applyMirror({ mirror: options.mirror, transient: process.env.P5_MIRROR });
+    fileManager.begin();
+
+    const result = await operation(project);
+    const changes = fileManager.getPlan();
+    const backup = fileManager.dryRun ? null : await fileManager.commit();
+    return { ...result, changes, backup };
+  } finally {
+    if (!fileManager.dryRun) fileManager.reset();
+    for (const [type, listener] of listeners) project.downloader.off(type, listener);
+  }
+}
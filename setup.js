@@ -1,290 +1,900 @@
+#!/usr/bin/env node
 // p5.js Project Setup
-// Main entry point for configuring p5.js version and delivery mode
+// Command-line front end for configuring p5.js version and delivery mode (see index.js for the Node API)
 
-import { FileManager } from './src/file/FileManager.js';
-import { HTMLManager } from './src/file/HTMLManager.js';
-import { VersionProvider } from './src/api/VersionProvider.js';
-import { ConfigManager } from './src/config/ConfigManager.js';
+import { FileManager, IntegrityError, CommitError } from './src/file/FileManager.js';
+import { LibraryError } from './src/api/LibraryProvider.js';
+import { ConfigError } from './src/config/ConfigManager.js';
 import { PromptProvider } from './src/ui/PromptProvider.js';
-
-const fileManager = new FileManager();
-const htmlManager = new HTMLManager();
-const versionProvider = new VersionProvider('p5');
-const configManager = new ConfigManager(fileManager);
-const promptProvider = new PromptProvider();
-
-const basePath = 'sketch/';
+import { TemplateError } from './src/template/TemplateManager.js';
+import { ArgParser, UsageError } from './src/cli/ArgParser.js';
+import { DevServer } from './src/server/DevServer.js';
+import { ProjectExporter } from './src/export/ProjectExporter.js';
+import { ImportError } from './src/export/ProjectImporter.js';
+import { ZipError } from './src/file/ZipReader.js';
+import { TextDiff } from './src/file/TextDiff.js';
+import { ProjectDoctor } from './src/doctor/ProjectDoctor.js';
+import { Downloader, DownloadError } from './src/net/Downloader.js';
+import { Project, ProjectError } from './src/project/Project.js';
+import { BatchRunner } from './src/project/BatchRunner.js';
+import { ProjectCreator } from './src/project/ProjectCreator.js';
+import { basename, resolve } from 'path';
+
+const argParser = new ArgParser();
+const options = parseOptions();
+
+// Project directory: --dir, a path-like first argument, or sketch/ in the working directory
+const basePath = resolveBasePath(options);
 
 // Check for verbose flag (supports both direct Node and npm scripts)
-const verbose = process.argv.includes('--verbose') || 
+const verbose = options.verbose ||
                 process.env.npm_config_verbose === 'true';
 
+// Prompts are only shown when a terminal is attached
+const interactive = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+
+const downloader = new Downloader({
+  timeout: options.timeout === undefined ? undefined : options.timeout * 1000,
+  retries: options.retries
+});
+const promptProvider = new PromptProvider(basePath);
+const project = new Project(basePath, {
+  promptProvider: interactive ? promptProvider : null,
+  dryRun: options.dryRun,
+  yes: options.yes,
+  downloader
+});
+const { cacheManager, fileManager, htmlManager, versionProvider, libraryProvider, configManager } = project;
+const projectExporter = new ProjectExporter(fileManager, htmlManager, versionProvider, libraryProvider);
+
 /**
- * Fetches all available p5.js versions from the jsdelivr API
- * @returns {Promise<string[]>} Array of version strings sorted by release date (newest first)
+ * Hints shown with project errors that a command-line flag can resolve, by error code
  */
-async function fetchVersions() {
-  // Fetch available p5.js versions from API
-  const versions = await versionProvider.getVersions();
+const ERROR_HINTS = {
+  'missing-version': 'Pass --p5-version <x|latest|range> or --yes when running without a terminal.',
+  'missing-mode': 'Pass --mode cdn|local or --yes when running without a terminal.',
+  'unknown-version': 'Run without --p5-version to pick from the available versions.',
+  'not-configured': 'Run "npm run setup" first.'
+};
 
-  if (verbose) {
-    console.log(`Total versions available: ${versions.length}`);
-    console.log('Showing most recent versions...');
+/**
+ * Parses the command-line flags, printing usage and exiting on invalid input
+ * @returns {Object} The parsed options (see ArgParser.parse)
+ */
+function parseOptions() {
+  try {
+    const parsed = argParser.parse(process.argv.slice(2));
+    if (parsed.help) {
+      console.log(argParser.usage());
+      process.exit(0);
+    }
+    return parsed;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n`);
+      console.error(argParser.usage());
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Determines the project directory from `--dir`, a path-like first positional argument
+ * (e.g., `node setup.js ./my-sketch`) or the name given to `create`. Plain words are left alone
+ * so they stay commands.
+ * @param {Object} options - The parsed options; a consumed positional is removed from it
+ * @returns {string} The normalized base path, with a trailing slash
+ */
+function resolveBasePath(options) {
+  let dir = options.dir;
+
+  const [first, second] = options.positionals;
+  if (!dir && first && /^\.|[\/\\]/.test(first)) {
+    dir = options.positionals.shift();
+  } else if (!dir && first === 'create' && second) {
+    dir = second;
   }
 
-  return versions;
+  return FileManager.normalizeBasePath(dir || 'sketch');
+}
+
+/**
+ * Prints an error message and exits with a non-zero status code
+ * @param {string} message - The error message to display
+ * @returns {never}
+ */
+function exitWithError(message) {
+  promptProvider.cancel(message);
+  process.exit(1);
+}
+
+/**
+ * Reports download progress. Downloads that take more than a moment get a spinner with the
+ * percentage or size received; quick ones and version list requests stay silent. Retries are
+ * always reported, since they can hold a command up for a while.
+ * @param {Object} [settings={}] - Settings
+ * @param {boolean} [settings.spinners=true] - Show spinners (off when several downloads run at once)
+ * @returns {void}
+ */
+function reportDownloads({ spinners = true } = {}) {
+  let spinner = null;
+  let timer = null;
+  let current = null;
+  const interrupt = () => process.exit(130);
+
+  const label = url => {
+    const key = cacheManager.keyForURL(url);
+    return key ? `${key.packageName}@${key.version} ${key.path}` : basename(new URL(url).pathname);
+  };
+  const settle = (message, code = 0) => {
+    clearTimeout(timer);
+    if (spinner) {
+      spinner.stop(message, code);
+      // The spinner only cancels itself on Ctrl+C, so the command is ended here
+      process.removeListener('SIGINT', interrupt);
+    }
+    spinner = timer = current = null;
+  };
+
+  downloader.on('start', ({ url }) => {
+    if (!interactive || !spinners || current || url.includes('/v1/package/')) return;
+    current = url;
+    timer = setTimeout(() => {
+      spinner = promptProvider.spinner();
+      spinner.start(`Downloading ${label(url)}`);
+      process.on('SIGINT', interrupt);
+    }, 400);
+  });
+  downloader.on('progress', ({ url, received, total }) => {
+    if (spinner && url === current) {
+      spinner.message(`Downloading ${label(url)} (${total ? `${Math.floor(received / total * 100)}%` : formatSize(received)})`);
+    }
+  });
+  downloader.on('end', ({ url, received }) => {
+    if (url === current) settle(`Downloaded ${label(url)} (${formatSize(received)})`);
+  });
+  downloader.on('fail', ({ url }) => {
+    if (url === current) settle(`Could not download ${label(url)}`, 2);
+  });
+  downloader.on('retry', ({ url, attempt, retries, delay, error }) => {
+    if (url === current) settle(`Download of ${label(url)} interrupted`, 2);
+    console.warn(`⚠ ${error.message}\n  Retrying in ${delay / 1000}s (${attempt}/${retries})`);
+  });
+}
+
+/**
+ * Prints the progress of project operations: notes as boxes, warnings and completed steps
+ * with a symbol, and details only with --verbose
+ * @returns {void}
+ */
+function reportProgress() {
+  const symbols = { done: '✓ ', warning: '⚠ ', info: '' };
+
+  project.on('progress', ({ level, message, detail, title }) => {
+    if (level === 'note') return promptProvider.note(message, title);
+    if (detail && !verbose) return;
+    if (level === 'warning') console.warn(`${symbols.warning}${message}`);
+    else console.log(`${symbols[level]}${message}`);
+  });
+}
+
+/**
+ * Ends a command: applies the staged changes and shows a closing message,
+ * or prints the plan of changes in a dry run
+ * @param {string} message - The message shown when the changes were made
+ * @returns {Promise<void>}
+ */
+async function finish(message) {
+  if (options.dryRun) return finishDryRun();
+  await applyChanges();
+  promptProvider.outro(message);
 }
 
 /**
- * Downloads the specified version of p5.js from jsdelivr CDN to the local lib directory
- * @param {string} version - The p5.js version to download (e.g., "2.1.0")
- * @param {boolean} [verbose=false] - Whether to log verbose output
+ * Writes the staged changes to the project. Originals are backed up first; if a change
+ * fails or Ctrl+C is pressed meanwhile, the project is restored and the command exits.
+ * @param {Object} [commitOptions={}] - Options passed on to FileManager.commit (e.g. keepBackup)
  * @returns {Promise<void>}
  */
-async function downloadP5(version, verbose = false) {
-  // Create lib directory if it doesn't exist
-  await fileManager.createDir(`${basePath}lib`);
+async function applyChanges(commitOptions = {}) {
+  const controller = new AbortController();
+  const interrupt = () => controller.abort();
+  process.on('SIGINT', interrupt);
+
+  try {
+    const backup = await fileManager.commit({ ...commitOptions, signal: controller.signal });
+    if (verbose && backup && commitOptions.keepBackup !== false) {
+      console.log(`✓ Backed up ${backup.files.filter(file => file.backup).length} original files to \`${basePath}${FileManager.BACKUP_DIR}\``);
+    }
+  } catch (error) {
+    if (!(error instanceof CommitError)) throw error;
+    const outcome = error.restored ? 'The project was restored to its previous state.' : 'Some files could not be restored.';
+    if (controller.signal.aborted) {
+      promptProvider.cancel(`Interrupted. ${outcome}`);
+      process.exit(130);
+    }
+    exitWithError(`Could not apply the changes: ${error.message}\n${outcome}`);
+  } finally {
+    process.off('SIGINT', interrupt);
+  }
+}
 
-  // Download p5.js from jsdelivr CDN
-  const url = `https://cdn.jsdelivr.net/npm/p5@${version}/lib/p5.js`;
-  await fileManager.downloadFile(url, `${basePath}lib/p5.js`);
+/**
+ * Ends a dry run: prints the plan and confirms that nothing was changed
+ * @returns {void}
+ */
+function finishDryRun() {
+  printPlan();
+  promptProvider.outro('Dry run complete. No files were changed.');
+}
 
-  if (verbose) {
-    console.log(`✓ Downloaded p5.js ${version} to ${basePath}lib/p5.js`);
+/**
+ * Prints the actions a dry run collected, followed by unified diffs of the project files it
+ * rewrites: index.html, jsconfig.json, p5-config.json and edited sketch files
+ * @returns {void}
+ */
+function printPlan() {
+  const plan = fileManager.getPlan();
+  if (plan.length === 0) {
+    promptProvider.note('Nothing to do.', 'Dry run');
+    return;
+  }
+
+  const symbols = { create: '+', rewrite: '~', delete: '-', download: '↓' };
+  const lines = plan.map(action => action.type === 'download'
+    ? `${symbols.download} download ${action.url}\n             → ${action.path}`
+    : `${symbols[action.type]} ${action.type.padEnd(8)} ${action.path}`);
+  promptProvider.note(lines.join('\n'), 'Dry run');
+
+  const keyFiles = ['index.html', 'jsconfig.json', 'p5-config.json'].map(file => FileManager.key(`${basePath}${file}`));
+  const prefix = FileManager.key(basePath) === '.' ? '' : `${FileManager.key(basePath)}/`;
+  const diffed = plan
+    .filter(action => action.type !== 'download' && !action.path.endsWith('/'))
+    .map(action => action.path)
+    .filter(path => keyFiles.includes(path) || (/\.(html?|js|css|json)$/.test(path) && !/^(lib|types)\//.test(path.slice(prefix.length))));
+
+  for (const path of diffed) {
+    const change = fileManager.getPlannedChange(path);
+    if (!change) continue;
+    const diff = TextDiff.unified(change.before, change.after, { path });
+    if (diff) console.log(`\n${diff}\n`);
   }
 }
 
 /**
- * Deletes existing p5.js type definition files matching the pattern p5.js.*.d.ts in the types directory
- * @param {string} basePath - The base path where the types directory is located
- * @param {boolean} [verbose=false] - Whether to log verbose output
+ * Runs the `add <library[@version]>` command
+ * @param {string[]} args - Positional arguments after the command name
  * @returns {Promise<void>}
  */
-async function deleteExistingTypeDefinitions(basePath, verbose = false) {
-  const typesDir = `${basePath}types`;
-  const typesExist = await fileManager.exists(typesDir);
-  if (typesExist) {
-    const typeFiles = await fileManager.listDir(typesDir);
-    for (const file of typeFiles) {
-      if (/^p5\.js.*\.d\.ts$/.test(file)) {
-        const filePath = `${typesDir}/${file}`;
-        const deleted = await fileManager.deleteFile(filePath);
-        if (verbose) {
-          if (deleted) console.log(`✓ Deleted existing type definition \`${filePath}\``);
-          else console.warn(`⚠ Could not delete existing type definition \`${filePath}\``);
-        }
-      }
-    }
+async function addLibraryCommand(args) {
+  if (args.length === 0) {
+    exitWithError('Usage: node setup.js add <library[@version]> [--file <path>]');
+  }
+
+  const config = await configManager.load();
+  if (!config || !config.version) {
+    exitWithError('No p5-config.json found. Run `npm run setup` before adding libraries.');
   }
+
+  promptProvider.intro('Add p5.js library');
+
+  const added = await project.addLibraries(args, { file: options.file, cdnProvider: options.cdnProvider, types: options.types });
+  for (const { library, previous } of added) {
+    promptProvider.note(`${library.name} ${library.version} (${library.package}/${library.file})`, previous ? 'Updated library' : 'Added library');
+  }
+
+  await finish('Libraries updated.');
 }
 
 /**
- * Downloads TypeScript type definitions for p5.js from jsdelivr CDN.
- * Falls back to the latest version if the specified version's types are not found.
- * Example URL format: https://cdn.jsdelivr.net/npm/p5@2.1.1/types/global.d.ts
- * Fallback: https://cdn.jsdelivr.net/npm/p5@latest/types/global.d.ts
- *
- * @param {string} version - The p5.js version to download type definitions for
- * @param {boolean} [verbose=false] - Whether to log verbose output
- * @returns {Promise<string>} The actual version of the type definitions that were downloaded
+ * Runs the `remove <library>` command
+ * @param {string[]} args - Positional arguments after the command name
+ * @returns {Promise<void>}
  */
-async function downloadTypes(version, verbose = false) {
-  // Create types directory if it doesn't exist
-  await fileManager.createDir(`${basePath}types`);
-
-  // Try to download p5 type definitions matching the p5.js version
-  let url = `https://cdn.jsdelivr.net/npm/p5@${version}/types/global.d.ts`;
-  let response = await fileManager.downloadFileWithCheck(url);
-  let typeDefsVersion = version;
-
-  // If version not found, fallback to latest
-  if (!response.ok) {
-    if (verbose) {
-      console.log(`Type definitions for version ${version} not found, using latest...`);
+async function removeLibraryCommand(args) {
+  if (args.length === 0) {
+    exitWithError('Usage: node setup.js remove <library>');
+  }
+
+  promptProvider.intro('Remove p5.js library');
+
+  for (const library of await project.removeLibraries(args)) {
+    promptProvider.note(`${library.name} ${library.version}`, 'Removed library');
+  }
+
+  await finish('Libraries updated.');
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size (e.g., "4.2 MB")
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Runs the `cache list` and `cache clean [package[@version]]` commands
+ * @param {string[]} args - Positional arguments after the command name
+ * @returns {Promise<void>}
+ */
+async function cacheCommand(args) {
+  const [action, target] = args;
+
+  if (action === 'list') {
+    const { versionLists, files } = await cacheManager.list();
+    const lines = [`Location: ${cacheManager.dir}`, ''];
+
+    lines.push('Version lists:');
+    if (versionLists.length === 0) lines.push('  (none)');
+    for (const entry of versionLists) {
+      const state = entry.fresh ? 'fresh' : 'expired';
+      lines.push(`  ${entry.packageName}  fetched ${new Date(entry.fetchedAt).toLocaleString()} (${state})`);
+    }
+
+    lines.push('', 'Files:');
+    if (files.length === 0) lines.push('  (none)');
+    for (const entry of files) {
+      lines.push(`  ${entry.packageName}@${entry.version}  ${entry.files.join(', ')} (${formatSize(entry.size)})`);
     }
-    // Fetch latest version of p5
-    typeDefsVersion = await versionProvider.getLatestForPackage('p5');
-    // Download latest version
-    url = `https://cdn.jsdelivr.net/npm/p5@${typeDefsVersion}/types/global.d.ts`;
-    response = await fileManager.downloadFileWithCheck(url);
+
+    console.log(lines.join('\n'));
+    return;
   }
 
-  const typeDefs = await response.text();
+  if (action === 'clean') {
+    if (!target) {
+      await cacheManager.clean();
+      console.log(`✓ Cleared cache at ${cacheManager.dir}`);
+      return;
+    }
 
-  // Save to types/global.d.ts
-  await fileManager.writeHTML(`${basePath}types/p5.js@${typeDefsVersion}.d.ts`, typeDefs);
+    const { name, version } = libraryProvider.parseSpec(target);
+    await cacheManager.clean(name, version || undefined);
+    console.log(`✓ Removed ${target} from cache`);
+    return;
+  }
 
-  if (verbose) {
-    console.log(`✓ Downloaded type definitions (${typeDefsVersion}) to types/p5.js@${typeDefsVersion}.d.ts`);
+  exitWithError('Usage: node setup.js cache list | cache clean [package[@version]]');
+}
+
+/**
+ * Runs the `serve` command: serves the project directory with live reload until interrupted
+ * @returns {Promise<void>}
+ */
+async function serveCommand() {
+  if (!(await fileManager.exists(`${basePath}index.html`))) {
+    exitWithError(`No index.html found in ${basePath}. Run setup first.`);
   }
 
-  return typeDefsVersion;
+  const port = options.port === undefined ? DevServer.DEFAULT_PORT : Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    exitWithError(`Invalid port: ${options.port}`);
+  }
+
+  const server = new DevServer(basePath, {
+    onReload: (files) => console.log(`↻ ${files.join(', ')} changed, reloading`)
+  });
+
+  let url;
+  try {
+    // An explicit --port must be used as given; the default moves on to a free port
+    url = await server.start(port, options.port !== undefined);
+  } catch (error) {
+    exitWithError(`Could not start the server on port ${port}: ${error.message}`);
+  }
+
+  promptProvider.intro('p5.js dev server');
+  promptProvider.note(`Serving ${basePath} at ${url}\nThe page reloads when you save a file. Press Ctrl+C to stop.`, 'Live reload');
+
+  process.on('SIGINT', async () => {
+    await server.stop();
+    promptProvider.outro('Server stopped');
+    process.exit(0);
+  });
 }
 
 /**
- * Updates the index.html file to use the specified p5.js version and delivery mode
- * @param {string} version - The p5.js version to use (e.g., "2.1.0")
- * @param {string} mode - The delivery mode: "cdn" or "local"
- * @param {boolean} [verbose=false] - Whether to log verbose output
+ * Runs the `export` command: copies the sketch into a self-contained folder (and optionally a zip)
+ * that works from file:// and when hosted below a subpath
  * @returns {Promise<void>}
  */
-async function updateHTML(version, mode, verbose = false) {
-  // Read index.html
-  const htmlContent = await fileManager.readHTML();
+async function exportCommand() {
+  const config = await configManager.load();
+  const info = (await fileManager.exists(`${basePath}index.html`))
+    ? htmlManager.getP5ScriptInfo(await fileManager.readHTML())
+    : null;
 
-  // Update p5.js script tag using DOM parsing
-  const result = htmlManager.updateP5Script(htmlContent, version, mode);
+  const version = config?.version ?? (info && info.version !== 'local' ? info.version : null);
+  if (!version) {
+    exitWithError(`No p5.js version found for ${basePath}. Run setup first.`);
+  }
+
+  if (options.webEditor) {
+    return await exportWebEditor(version, config);
+  }
 
-  // Write back to file
-  await fileManager.writeHTML(`${basePath}index.html`, result.html);
+  const outDir = FileManager.normalizeBasePath(options.out || 'dist');
+  if (resolve(outDir) === resolve(basePath)) {
+    exitWithError('The export folder must be different from the project directory.');
+  }
 
-  if (result.updated) {
-    if (verbose) {
-      console.log(`✓ Updated index.html with p5.js ${version} (${mode} mode)`);
-      console.log(`      Method: ${result.method}`);
+  if ((await fileManager.listDir(outDir)).length > 0) {
+    const replace = await project.confirm(`Replace the contents of ${outDir}?`, true);
+    if (!replace) {
+      promptProvider.cancel('Export cancelled');
+      return;
     }
-  } else {
-    if (verbose) {
-      console.warn('⚠ Warning: Could not update index.html');
+  }
+
+  // Exports bundle the build the project uses unless --minify or --no-minify says otherwise
+  const minify = options.minify ?? config?.minified ?? false;
+
+  let result;
+  try {
+    result = await projectExporter.export(outDir, {
+      version,
+      mode: config?.mode ?? 'cdn',
+      minify,
+      libraries: config?.libraries || []
+    });
+  } catch (error) {
+    if (error instanceof IntegrityError) {
+      exitWithError(`Refusing to export: the downloaded p5.js ${version} does not match the published hash.\n  Expected: ${error.expected}\n  Actual:   ${error.actual}`);
     }
+    throw error;
+  }
+
+  if (options.dryRun) return finishDryRun();
+
+  const lines = [`${result.files.length} files written to ${outDir} (p5.js ${version}${minify ? ', minified' : ''})`];
+
+  // The archive is packed from the staged export, so both are written together
+  if (options.zip) {
+    const zipPath = `${outDir.replace(/\/$/, '')}.zip`;
+    const size = await projectExporter.createZip(outDir, zipPath);
+    lines.push(`Archive: ${zipPath} (${formatSize(size)})`);
   }
+
+  // Exports are not rolled back, so the project's last backup is kept for its own changes
+  await applyChanges({ keepBackup: false });
+
+  if (verbose) {
+    for (const file of result.files) console.log(`✓ ${outDir}${file}`);
+  }
+  promptProvider.note(lines.join('\n'), 'Export complete');
 }
 
 /**
- * Main entry point for the p5.js project setup CLI.
- * Orchestrates the interactive setup process including:
- * - Creating required project structure and files
- * - Loading existing configuration if available
- * - Prompting user for version and delivery mode selection
- * - Downloading p5.js library (if local mode)
- * - Downloading TypeScript type definitions
- * - Updating HTML file with selected configuration
- * - Saving configuration for future reference
- *
+ * Writes a zip of the sketch that can be uploaded to the p5.js Web Editor
+ * @param {string} version - The p5.js version the pages load
+ * @param {Object|null} config - The project configuration
  * @returns {Promise<void>}
  */
-async function main() {
-    // Ensure sketch directory and required files exist
-    await fileManager.createDir(basePath);
-    const requiredFiles = [
-      { name: 'index.html', content: `<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n  <meta charset=\"utf-8\">\n  <script src=\"https://cdn.jsdelivr.net/npm/p5@2.1.0/lib/p5.js\"></script>\n  <link rel=\"stylesheet\" type=\"text/css\" href=\"style.css\">\n</head>\n<body>\n  <main></main>\n  <script src=\"sketch.js\"></script>\n</body>\n</html>\n` },
-      { name: 'sketch.js', content: `function setup() {\n  createCanvas(400, 400);\n  background(220);\n}\n\nfunction draw() {\n  circle(mouseX, mouseY, 20);\n}\n` },
-      { name: 'style.css', content: `html, body {\n  margin: 0;\n  padding: 0;\n}\n\ncanvas {\n  display: block;\n}\n` },
-      { name: 'jsconfig.json', content: `{\n  "compilerOptions": {\n    "target": "ES6"\n  },\n  "include": [\n    "*.js",\n    "types/*.d.ts"\n  ]\n}` },
-    ];
-    for (const file of requiredFiles) {
-      const filePath = `${basePath}${file.name}`;
-      const exists = await fileManager.exists(filePath);
-      if (!exists) {
-        await fileManager.writeHTML(filePath, file.content);
-        console.log(`✓ Created missing file: ${filePath}`);
-      }
-    }
-  promptProvider.intro('p5.js Project Setup');
+async function exportWebEditor(version, config) {
+  const name = basename(resolve(basePath));
+  const zipPath = options.out || `${name}.zip`;
+
+  const result = await projectExporter.exportWebEditor(zipPath, {
+    name,
+    version,
+    libraries: config?.libraries || []
+  });
 
-  // Load existing config if it exists
+  if (options.dryRun) return finishDryRun();
+  await applyChanges({ keepBackup: false });
+
+  if (verbose) {
+    for (const file of result.files) console.log(`✓ ${name}/${file}`);
+  }
+  promptProvider.note(`${result.files.length} files written to ${zipPath} (${formatSize(result.size)}), p5.js ${version} from the CDN`, 'Export complete');
+}
+
+/**
+ * Runs the `rollback` command: restores the files changed by the last setup, add, remove or
+ * import from the backup taken before they were applied
+ * @returns {Promise<void>}
+ */
+async function rollbackCommand() {
+  const backup = await fileManager.readBackup();
+  if (!backup) {
+    exitWithError(`No backup found in ${basePath}${FileManager.BACKUP_DIR}. Nothing to roll back.`);
+  }
+
+  promptProvider.intro('Roll back p5.js project changes');
+
+  const changed = backup.files.filter(file => file.backup);
+  const added = backup.files.filter(file => !file.backup);
+  const lines = [
+    ...changed.map(file => `~ restore ${file.path}`),
+    ...added.map(file => `- delete  ${file.path}`)
+  ];
+  promptProvider.note(lines.join('\n'), `Changes from ${new Date(backup.createdAt).toLocaleString()}`);
+
+  const proceed = await project.confirm('Restore the project to its state before these changes?', true);
+  if (!proceed) {
+    promptProvider.cancel('Rollback cancelled');
+    return;
+  }
+
+  await fileManager.restoreBackup();
+  promptProvider.outro(`Restored ${changed.length} files and removed ${added.length} added files.`);
+}
+
+/**
+ * Runs the `doctor` command: cross-checks p5-config.json, the p5.js tags of the HTML pages, the local p5.js build,
+ * the type definitions and jsconfig.json, and offers to repair each problem found
+ * @returns {Promise<void>}
+ */
+async function doctorCommand() {
   const config = await configManager.load();
+  if (!config) {
+    exitWithError(`No p5-config.json found in ${basePath}. Run "npm run setup" first.`);
+  }
 
-  let selectedVersion;
+  promptProvider.intro('p5.js Doctor');
 
-  if (config) {
-    // Show current configuration
-    promptProvider.note(`Current: p5.js ${config.version} (${config.mode} mode)`, 'Existing Configuration');
+  const problems = await project.diagnose();
+  if (problems.length === 0) {
+    promptProvider.outro('No problems found. The project matches p5-config.json.');
+    return;
+  }
 
-    const changeConfig = await promptProvider.confirm('Do you want to change the version?');
+  promptProvider.note(problems.map(problem => `✗ ${problem.message}`).join('\n'), `${problems.length} problem${problems.length === 1 ? '' : 's'} found`);
 
-    if (promptProvider.isCancel(changeConfig)) {
-      promptProvider.cancel('Setup cancelled');
-      process.exit(0);
+  // Several problems can share a repair; each repair is offered once
+  const applied = new Set();
+  let unresolved = 0;
+
+  for (const problem of problems) {
+    if (!problem.fix) {
+      unresolved++;
+      continue;
     }
+    if (applied.has(problem.fix)) continue;
 
-    if (!changeConfig) {
-      promptProvider.outro('Keeping current configuration.');
-      process.exit(0);
+    if (!await project.confirm(`${ProjectDoctor.FIXES[problem.fix]}?`, false)) {
+      unresolved += problems.filter(other => other.fix === problem.fix).length;
+      applied.add(problem.fix);
+      continue;
     }
+
+    await project.repair(problem.fix);
+    applied.add(problem.fix);
+
+    // Reinstalled type definitions come with an updated jsconfig.json
+    if (problem.fix === 'reinstall-types') applied.add('update-jsconfig');
   }
 
-  // Fetch available versions
-  const versions = await fetchVersions();
+  if (unresolved > 0) process.exitCode = 1;
+  await finish(unresolved > 0
+    ? `${unresolved} problem${unresolved === 1 ? ' remains' : 's remain'}. Run "npm run setup" to reinstall the project.`
+    : 'All problems fixed.');
+}
 
-  // Let user select a version
-  selectedVersion = await promptProvider.selectVersion(versions);
+/**
+ * Runs the `outdated` command: compares the p5.js version and type definitions of the project with the
+ * published ones and summarizes the release notes in between. Exits with status 1 when either is behind,
+ * like `npm outdated`.
+ * @returns {Promise<void>}
+ */
+async function outdatedCommand() {
+  const result = await project.outdated();
+  if (result.outdated) process.exitCode = 1;
 
-  if (promptProvider.isCancel(selectedVersion)) {
-    promptProvider.cancel('Setup cancelled');
-    process.exit(0);
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
   }
 
-  // Let user select delivery mode
-  const selectedMode = await promptProvider.selectMode();
+  promptProvider.intro('p5.js Outdated Check');
+
+  const { p5, types } = result;
+  const row = (name, current, latest, behind) =>
+    `${name.padEnd(20)} ${(current ?? 'not installed').padEnd(12)} ${behind ? `→ ${latest} (${behind})` : '✓ latest'}`;
+  const lines = [row('p5.js', p5.current, p5.latest, p5.behind)];
+  if (p5.range) lines.push(`  range ${p5.range} allows ${p5.wanted ?? 'no published version'}`);
+  for (const { tag, version } of p5.tags) lines.push(`  ${tag}: ${version}`);
+  if (types) lines.push(row(`types (${types.package})`, types.current, types.latest, types.behind));
+  promptProvider.note(lines.join('\n'), 'Versions');
+
+  if (p5.notes?.source) {
+    const notes = p5.notes.releases.flatMap(release => [release.version, ...release.items.map(item => `  • ${item}`)]);
+    if (p5.notes.omitted > 0) notes.push(`…and ${p5.notes.omitted} older release${p5.notes.omitted === 1 ? '' : 's'}`);
+    notes.push(`Full notes: ${p5.notes.url}`);
+    promptProvider.note(notes.join('\n'), `What's new since ${p5.current}`);
+  }
 
-  if (promptProvider.isCancel(selectedMode)) {
-    promptProvider.cancel('Setup cancelled');
-    process.exit(0);
+  if (!result.outdated) return promptProvider.outro('Everything is up to date.');
+  promptProvider.outro(p5.behind
+    ? `Run "npm run update -- --p5-version ${p5.latest}" to update.`
+    : 'Run "npm run update" to reinstall the type definitions.');
+}
+
+/**
+ * Runs the `batch [<root>]` command: finds every p5.js project under a folder and updates them all
+ * to one version, a few at a time, then prints a table of the outcomes. A failing project is listed
+ * and doesn't stop the others; the command exits with status 1 if any failed.
+ * @param {string[]} args - Positional arguments after the command name
+ * @returns {Promise<void>}
+ */
+async function batchCommand(args) {
+  const root = args[0] || options.dir || '.';
+  if (!options.version) {
+    exitWithError('Usage: node setup.js batch [<root>] --p5-version <x|tag|range> [--mode cdn|local] [--concurrency <n>]');
   }
 
-  // If switching from local to CDN, offer to delete the local copy
-  if (config && config.mode === 'local' && selectedMode !== 'local') {
-    const confirmDelete = await promptProvider.confirm('You are switching from local to CDN. Delete the local file `lib/p5.js`?');
+  promptProvider.intro('p5.js Batch Update');
 
-    if (promptProvider.isCancel(confirmDelete)) {
-      promptProvider.cancel('Setup cancelled');
-      process.exit(0);
+  // Checked once up front, so a typo doesn't fail every project
+  if (!await versionProvider.resolveVersion(options.version)) {
+    exitWithError(`No published p5.js version matches "${options.version}".`);
+  }
+
+  const batchRunner = new BatchRunner({ cacheManager, downloader });
+  const projects = await batchRunner.find(root);
+  if (projects.length === 0) {
+    exitWithError(`No p5.js projects found in ${root}. Projects need a p5-config.json or a page that loads p5.js.`);
+  }
+  console.log(`Found ${projects.length} project${projects.length === 1 ? '' : 's'}; updating ${Math.min(options.concurrency ?? BatchRunner.DEFAULT_CONCURRENCY, projects.length)} at a time`);
+
+  const results = await batchRunner.run(projects, {
+    version: options.version,
+    mode: options.mode,
+    cdnProvider: options.cdnProvider,
+    mirror: options.mirror,
+    minify: options.minify,
+    versionedFile: options.versionedFile,
+    types: options.types
+  }, {
+    concurrency: options.concurrency,
+    dryRun: options.dryRun,
+    yes: options.yes,
+    transientMirror: process.env.P5_MIRROR,
+    onResult: result => {
+      if (verbose) console.log(`${result.error ? '✗' : '✓'} ${result.dir}`);
     }
+  });
 
-    if (confirmDelete) {
-      const p5Path = `${basePath}lib/p5.js`;
-      const exists = await fileManager.exists(p5Path);
-
-      if (exists) {
-        const deleted = await fileManager.deleteFile(p5Path);
-        if(verbose) {
-          if (deleted) console.log(`✓ Deleted local file \`${basePath}lib/p5.js\``);
-          else if (!deleted) console.warn(`⚠ Could not delete \`${basePath}lib/p5.js\``);
-        }
-      } else {
-        if (verbose) console.log(`No local \`${basePath}lib/p5.js\` found to delete.`);
-      }
-
-      // If lib directory is now empty, ask to delete it
-      const libContents = await fileManager.listDir(`${basePath}lib`);
-      if (!libContents || libContents.length === 0) {
-        const confirmDeleteLib = await promptProvider.confirm('The `lib` folder is empty. Delete the `lib` folder as well?');
-
-        if (promptProvider.isCancel(confirmDeleteLib)) {
-          promptProvider.cancel('Setup cancelled');
-          process.exit(0);
-        }
-
-        if (confirmDeleteLib) {
-          const removed = await fileManager.deleteDir(`${basePath}lib`);
-          if (verbose) {
-            if (removed) console.log(`✓ Deleted \`${basePath}lib\` folder`);
-            else console.warn(`⚠ Could not delete \`${basePath}lib\` folder`);
-          }
-        }
-      }
+  const width = Math.max(...results.map(result => result.dir.length));
+  const rows = results.map(result => {
+    if (result.error) {
+      const message = result.error instanceof DownloadError ? `Download failed: ${result.error.message}` : result.error.message;
+      return `✗ ${result.dir.padEnd(width)}  ${message.split('\n')[0]}`;
     }
+    const planned = options.dryRun ? `, ${result.changes.length} change${result.changes.length === 1 ? '' : 's'} planned` : '';
+    return `✓ ${result.dir.padEnd(width)}  ${result.from ?? 'unversioned'} → ${result.version} (${result.mode}${planned})`;
+  });
+  promptProvider.note(rows.join('\n'), options.dryRun ? 'Dry run' : 'Batch results');
+
+  const warnings = results.flatMap(result => result.warnings.map(warning => `${result.dir}: ${warning}`));
+  if (warnings.length > 0) promptProvider.note(warnings.join('\n'), 'Warnings');
+
+  const failed = results.filter(result => result.error).length;
+  if (failed > 0) process.exitCode = 1;
+  const summary = `${results.length - failed} of ${results.length} projects ${options.dryRun ? 'can be updated' : 'updated'}${failed > 0 ? `, ${failed} failed` : ''}.`;
+  promptProvider.outro(options.dryRun ? `${summary} Dry run complete. No files were changed.` : summary);
+}
+
+/**
+ * Runs the `import <zip|dir>` command: unpacks a p5.js Web Editor project into the project
+ * directory, then installs p5.js, type definitions and p5-config.json for the detected version
+ * @param {string[]} args - Positional arguments after the command name
+ * @returns {Promise<void>}
+ */
+async function importCommand(args) {
+  const [source] = args;
+  if (!source) {
+    exitWithError('Usage: node setup.js import <zip|dir> [--dir <path>]');
   }
 
-  // Download p5.js if local mode
-  if (selectedMode === 'local') {
-    await downloadP5(selectedVersion, verbose);
+  promptProvider.intro('Import p5.js Web Editor project');
+
+  if ((await fileManager.listDir(basePath)).length > 0) {
+    const proceed = await project.confirm(`${basePath} is not empty. Import anyway (files with the same name are overwritten)?`, false);
+    if (!proceed) {
+      exitWithError(`${basePath} is not empty. Use --dir to import into another folder, or --yes to overwrite.`);
+    }
   }
 
-  // Delete existing p5.js type definitions before downloading new ones
-  await deleteExistingTypeDefinitions(basePath, verbose);
+  let imported;
+  try {
+    imported = await project.importProject(source, {
+      cdnProvider: options.cdnProvider,
+      sketchMode: options.sketchMode,
+      mirror: options.mirror,
+      minify: options.minify,
+      versionedFile: options.versionedFile,
+      types: options.types
+    });
+  } catch (error) {
+    if (error instanceof ImportError || error instanceof ZipError) {
+      exitWithError(`Could not import ${source}: ${error.message}`);
+    }
+    throw error;
+  }
 
-  // Download type definitions (returns actual version downloaded)
-  const typeDefsVersion = await downloadTypes(selectedVersion, verbose);
+  await finish(`Imported ${source} into ${basePath} (p5.js ${imported.version}, ${imported.mode} mode).`);
+}
 
-  await updateHTML(selectedVersion, selectedMode, verbose);
-  await configManager.save(selectedVersion, selectedMode, typeDefsVersion);
-  if (verbose) {
-    console.log(`✓ Configuration saved to \`${basePath}p5-config.json\`` );
+/**
+ * Tells when a newer p5.js version than the configured one has been released.
+ * The notice is a courtesy: when it can't be worked out (no config, offline), setup goes on without it.
+ * @returns {Promise<void>}
+ */
+async function showUpdateNotice() {
+  let p5;
+  try {
+    ({ p5 } = await project.outdated({ notes: false }));
+  } catch (error) {
+    return;
   }
 
-  promptProvider.outro('Setup complete! Run "npm run serve" to run a local server and open sketch/sketch.js to start coding.');
+  if (p5.behind) {
+    promptProvider.note(`p5.js ${p5.latest} is available (${p5.behind} update from ${p5.current}).\nRun "npm run outdated" to see what changed.`, 'Update available');
+  }
+}
+
+/**
+ * Runs the interactive setup process (see Project.update) with the choices from the command line,
+ * then applies the changes
+ * @returns {Promise<void>}
+ */
+async function runSetup() {
+  promptProvider.intro('p5.js Project Setup');
+
+  // A version on the command line is a choice already made
+  if (options.updateNotice && !options.version) await showUpdateNotice();
+
+  const result = await project.update(setupChoices());
+
+  if (result.status === 'restored') {
+    return await finish(`Restored \`${basePath}${result.restored}\`.`);
+  }
+  if (result.status === 'kept') {
+    return await finish('Keeping current configuration.');
+  }
+
+  const serveScript = basePath === 'sketch/' ? 'npm run serve' : `npm run serve -- --dir ${basePath}`;
+  await finish(`Setup complete! Run "${serveScript}" to run a local server with live reload and open ${basePath}sketch.js to start coding.`);
+}
+
+/**
+ * Gets the setup choices given on the command line (see Project.update)
+ * @returns {Object} The choices; missing ones are undefined and get asked for
+ */
+function setupChoices() {
+  return {
+    version: options.version,
+    mode: options.mode,
+    cdnProvider: options.cdnProvider,
+    mirror: options.mirror,
+    template: options.template,
+    sketchMode: options.sketchMode,
+    minify: options.minify,
+    versionedFile: options.versionedFile,
+    types: options.types
+  };
 }
 
-main().catch(console.error);
+/**
+ * Runs the `create <name>` command: makes a new project directory with its own package.json,
+ * optionally a git repository with a .gitignore, and then runs the usual setup in it
+ * @param {string[]} args - Positional arguments after the command name
+ * @returns {Promise<void>}
+ */
+async function createCommand(args) {
+  const [name] = args;
+  if (!name) {
+    exitWithError('Usage: node setup.js create <name> [--git|--no-git] [options]');
+  }
+
+  const projectCreator = new ProjectCreator(fileManager);
+  if (!await projectCreator.canCreate()) {
+    exitWithError(`${basePath} already exists and is not empty. Choose another name, or set it up in place with --dir ${basePath}.`);
+  }
+
+  promptProvider.intro(`Create p5.js project ${basePath}`);
+
+  const git = options.git ?? await project.confirm('Initialize a git repository?', true);
+
+  await projectCreator.writePackageJSON();
+  const result = await project.update(setupChoices());
+  if (git) await projectCreator.writeGitignore(result.mode);
+
+  if (options.dryRun) return finishDryRun();
+  // The folder was empty or missing, so there is nothing to roll back to afterwards
+  await applyChanges({ keepBackup: false });
+
+  if (git && !await projectCreator.initGit()) {
+    console.warn('⚠ Could not run "git init"; is git installed? The project was created without a repository.');
+  }
+
+  const cd = FileManager.key(basePath) === '.' ? [] : [`cd ${FileManager.key(basePath)}`];
+  promptProvider.note([...cd, 'npm install', 'npm run serve'].join('\n'), 'Next steps');
+  promptProvider.outro(`Created ${basePath} with p5.js ${result.version} (${result.mode} mode).`);
+}
+
+/**
+ * Main entry point for the p5.js project setup CLI.
+ * Dispatches to the command given as the first positional argument.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const [command, ...args] = options.positionals;
+  reportProgress();
+  reportDownloads({ spinners: command !== 'batch' });
+
+  if (options.dryRun && ['serve', 'cache', 'rollback'].includes(command)) {
+    exitWithError(`--dry-run is not supported by the ${command} command.`);
+  }
+
+  // P5_MIRROR is used for this run only, as it belongs to the environment
+  if (!['serve', 'rollback'].includes(command)) {
+    await project.applyMirror({ mirror: options.mirror, transient: process.env.P5_MIRROR });
+  }
+
+  // Project changes are staged and applied together at the end, so a failing step leaves the
+  // project as it was; exports are staged too, so a failed export doesn't leave half a folder.
+  // The outdated check changes nothing, and batch updates stage each project on its own.
+  if (!['serve', 'cache', 'rollback', 'outdated', 'batch'].includes(command)) {
+    fileManager.begin();
+  }
+
+  switch (command) {
+    case undefined:
+      return await runSetup();
+    case 'add':
+      return await addLibraryCommand(args);
+    case 'remove':
+      return await removeLibraryCommand(args);
+    case 'cache':
+      return await cacheCommand(args);
+    case 'serve':
+      return await serveCommand();
+    case 'export':
+      return await exportCommand();
+    case 'import':
+      return await importCommand(args);
+    case 'rollback':
+      return await rollbackCommand();
+    case 'doctor':
+      return await doctorCommand();
+    case 'outdated':
+      return await outdatedCommand();
+    case 'batch':
+      return await batchCommand(args);
+    case 'create':
+      return await createCommand(args);
+    default:
+      console.error(`Error: Unknown command "${command}"\n`);
+      console.error(argParser.usage());
+      process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  if (error instanceof ProjectError) {
+    if (error.code === 'cancelled') {
+      promptProvider.cancel('Setup cancelled');
+      process.exit(0);
+    }
+    exitWithError(ERROR_HINTS[error.code] ? `${error.message} ${ERROR_HINTS[error.code]}` : error.message);
+  }
+  if (error instanceof LibraryError || error instanceof TemplateError) {
+    exitWithError(error.message);
+  }
+  if (error instanceof ConfigError) {
+    exitWithError(`${error.message}\nFix the file, or delete it to set the project up again.`);
+  }
+  if (error instanceof DownloadError) {
+    exitWithError(`Download failed: ${error.message}`);
+  }
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+// LibraryProvider - Resolves p5.js add-on libraries to compatible package versions and files
+
+/**
+ * Error thrown when a library cannot be resolved (unknown name, no compatible version, ...)
+ */
+export class LibraryError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'LibraryError';
+  }
+}
+
+export class LibraryProvider {
+  /**
+   * Known add-on libraries
+   * Each entry maps a p5.js major version (or '*' for any) to where the library is published:
+   * `package` is the npm package, `file` the script path inside the package,
+   * `versionMajor` restricts the library versions considered compatible,
+   * `followsP5` means the file ships inside the p5 package itself and uses the p5 version
+   */
+  static CATALOG = {
+    'p5.sound': {
+      1: { package: 'p5', file: 'lib/addons/p5.sound.js', followsP5: true },
+      2: { package: 'p5.sound', file: 'dist/p5.sound.js', versionMajor: 0 }
+    },
+    'ml5': {
+      '*': { package: 'ml5', file: 'dist/ml5.js', versionMajor: 1 }
+    },
+    'p5.collide2D': {
+      '*': { package: 'p5.collide2d', file: 'p5.collide2d.js' }
+    }
+  };
+
+  /**
+   * Creates a new LibraryProvider instance
+   * @param {VersionProvider} versionProvider - Used to look up published versions of each package
+   * @param {FileManager} fileManager - Used to fetch package metadata from the CDN (or the configured mirror)
+   */
+  constructor(versionProvider, fileManager) {
+    this.versionProvider = versionProvider;
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Parses a `name` or `name@version` library specifier
+   * @param {string} spec - The library specifier from the command line
+   * @returns {{ name: string, version: string|null }}
+   */
+  parseSpec(spec) {
+    // Scoped packages start with '@', so only look for a version separator after the first character
+    const at = spec.indexOf('@', 1);
+    if (at === -1) return { name: spec, version: null };
+    return { name: spec.slice(0, at), version: spec.slice(at + 1) || null };
+  }
+
+  /**
+   * Finds the catalog name for a library, matching case-insensitively on name or package
+   * @param {string} name - Library name as typed by the user
+   * @returns {string|null} The catalog key, or null if the library is not in the catalog
+   */
+  findCatalogName(name) {
+    const lower = name.toLowerCase();
+    for (const [key, variants] of Object.entries(LibraryProvider.CATALOG)) {
+      if (key.toLowerCase() === lower) return key;
+      if (Object.values(variants).some(v => v.package.toLowerCase() === lower)) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Resolves a library to a concrete package, version and file compatible with a p5.js version
+   * @param {string} name - Library name (catalog name or npm package)
+   * @param {string} p5Version - The p5.js version used by the project
+   * @param {Object} [options={}] - Resolution options
+   * @param {string|null} [options.version=null] - Requested library version (latest compatible if omitted)
+   * @param {string} [options.file] - Script path inside the package, required for libraries outside the catalog
+   * @returns {Promise<{ name: string, package: string, version: string, file: string, followsP5: boolean }>}
+   * @throws {LibraryError} If the library is unknown or no compatible version exists
+   */
+  async resolve(name, p5Version, options = {}) {
+    const { version = null, file } = options;
+    const catalogName = this.findCatalogName(name);
+    const p5Major = p5Version.split('.')[0];
+
+    let variant;
+    if (catalogName) {
+      const variants = LibraryProvider.CATALOG[catalogName];
+      variant = variants[p5Major] || variants['*'];
+      if (!variant) {
+        throw new LibraryError(`${catalogName} is not available for p5.js ${p5Major}.x`);
+      }
+      if (file) variant = { ...variant, file };
+    } else {
+      if (!file) {
+        throw new LibraryError(`Unknown library "${name}". Pass --file <path> with the script path inside the npm package.`);
+      }
+      variant = { package: name, file };
+    }
+
+    const resolvedName = catalogName || name;
+
+    if (variant.followsP5) {
+      if (version && version !== p5Version) {
+        throw new LibraryError(`${resolvedName} ships with p5.js ${p5Major}.x and always uses the p5.js version (${p5Version})`);
+      }
+      return { name: resolvedName, package: variant.package, version: p5Version, file: variant.file, followsP5: true };
+    }
+
+    const versions = await this.versionProvider.getVersionsForPackage(variant.package);
+    if (!versions || versions.length === 0) {
+      throw new LibraryError(`No published versions found for ${variant.package}`);
+    }
+
+    const compatible = this.filterCompatible(versions, variant);
+
+    let resolvedVersion;
+    if (version) {
+      if (!versions.includes(version)) {
+        throw new LibraryError(`Unknown version ${variant.package}@${version}`);
+      }
+      resolvedVersion = version;
+    } else {
+      resolvedVersion = compatible.find(v => !v.includes('-')) || compatible[0];
+      if (!resolvedVersion) {
+        throw new LibraryError(`No version of ${variant.package} is compatible with p5.js ${p5Major}.x`);
+      }
+    }
+
+    return { name: resolvedName, package: variant.package, version: resolvedVersion, file: variant.file, followsP5: false };
+  }
+
+  /**
+   * Checks whether a recorded library version is still compatible with a p5.js version
+   * @param {Object} library - Library entry from p5-config.json
+   * @param {string} p5Version - The p5.js version used by the project
+   * @returns {boolean} True if the entry can be kept as-is
+   */
+  isCompatible(library, p5Version) {
+    const catalogName = this.findCatalogName(library.name);
+    if (!catalogName) return true;
+
+    const variants = LibraryProvider.CATALOG[catalogName];
+    const variant = variants[p5Version.split('.')[0]] || variants['*'];
+    if (!variant || variant.package !== library.package) return false;
+    if (variant.followsP5) return library.version === p5Version;
+    return this.filterCompatible([library.version], variant).length === 1;
+  }
+
+  /**
+   * Filters a version list down to the versions allowed by a catalog variant
+   * @param {string[]} versions - Published versions
+   * @param {Object} variant - Catalog variant
+   * @returns {string[]} Compatible versions, in the input order
+   */
+  filterCompatible(versions, variant) {
+    if (variant.versionMajor === undefined) return versions;
+    return versions.filter(v => v.split('.')[0] === String(variant.versionMajor));
+  }
+
+  /**
+   * Looks up the TypeScript declaration file a package ships, from its package.json `types`/`typings` field
+   * @param {string} packageName - The npm package name
+   * @param {string} version - The package version
+   * @returns {Promise<string|null>} Path of the declaration file inside the package, or null if none
+   */
+  async getTypesPath(packageName, version) {
+    const response = await this.fileManager.downloadFileWithCheck(this.versionProvider.getFileURL(version, 'package.json', packageName));
+    if (!response.ok) return null;
+
+    try {
+      const pkg = JSON.parse(await response.text());
+      const types = pkg.types || pkg.typings;
+      return types ? types.replace(/^\.\//, '') : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Gets the file name used when a library is stored locally under lib/
+   * @param {Object} library - Resolved library entry
+   * @returns {string} File name (e.g., "p5.sound.js")
+   */
+  getLocalFileName(library) {
+    return library.file.split('/').pop();
+  }
+}
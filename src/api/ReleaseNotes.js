@@ -0,0 +1,192 @@
+// ReleaseNotes - Handles summarizing what changed between two versions of a package
+import { SemVer } from './SemVer.js';
+
+export class ReleaseNotes {
+  /**
+   * The GitHub API that release notes are read from when the package ships no changelog
+   */
+  static GITHUB_API = 'https://api.github.com/repos';
+
+  /**
+   * Changelog files looked for in the published package
+   */
+  static CHANGELOG_PATTERN = /^\/(?:CHANGELOG|HISTORY|CHANGES)(?:\.md)?$/i;
+
+  /**
+   * Releases summarized at most, newest first; older ones are only counted
+   */
+  static MAX_RELEASES = 5;
+
+  /**
+   * Items listed at most per release
+   */
+  static MAX_ITEMS = 5;
+
+  /**
+   * Creates a new ReleaseNotes instance
+   * @param {VersionProvider} versionProvider - Used to list versions and download package files
+   * @param {CacheManager|null} [cache=null] - Optional cache for release notes of published versions
+   */
+  constructor(versionProvider, cache = null) {
+    this.versionProvider = versionProvider;
+    this.cache = cache;
+  }
+
+  /**
+   * Summarizes the releases after one version up to and including another, from the changelog
+   * published in the package or else from the GitHub releases of its repository
+   * @param {string} packageName - The npm package name
+   * @param {string} from - The version the project uses
+   * @param {string} to - The version to compare with
+   * @returns {Promise<{ source: 'changelog'|'github'|null, url: string|null, releases: Array<{ version: string, items: string[] }>, omitted: number }>}
+   *   The summary, newest release first; source is null when no notes could be found, and omitted
+   *   counts the older releases that were left out
+   */
+  async summarize(packageName, from, to) {
+    const versions = SemVer.sortDescending(await this.versionProvider.getVersionsForPackage(packageName))
+      .filter(v => SemVer.compare(v, from) > 0 && SemVer.compare(v, to) <= 0)
+      // Pre-releases only count when comparing with one
+      .filter(v => !SemVer.isPrerelease(v) || v === to);
+    const shown = versions.slice(0, ReleaseNotes.MAX_RELEASES);
+    const omitted = versions.length - shown.length;
+
+    const changelog = await this.getChangelog(packageName, to);
+    if (changelog) {
+      const sections = this.parseChangelog(changelog.text);
+      const releases = shown.filter(version => sections.has(version)).map(version => ({ version, items: sections.get(version) }));
+      if (releases.length > 0) return { source: 'changelog', url: changelog.url, releases, omitted };
+    }
+
+    const repository = await this.getRepository(packageName, to);
+    if (repository) {
+      const releases = [];
+      for (const version of shown) {
+        const items = await this.getGitHubRelease(packageName, repository, version);
+        if (items) releases.push({ version, items });
+      }
+      if (releases.length > 0) return { source: 'github', url: `https://github.com/${repository}/releases`, releases, omitted };
+    }
+
+    return { source: null, url: null, releases: [], omitted };
+  }
+
+  /**
+   * Downloads the changelog published in a package version, if it has one
+   * @param {string} packageName - The npm package name
+   * @param {string} version - The package version
+   * @returns {Promise<{ url: string, text: string }|null>} The changelog, or null if there is none or it can't be downloaded
+   */
+  async getChangelog(packageName, version) {
+    const files = await this.versionProvider.getFileList(version, packageName);
+    const file = files?.find(f => ReleaseNotes.CHANGELOG_PATTERN.test(f.name));
+    if (!file) return null;
+
+    const url = this.versionProvider.getFileURL(version, file.name, packageName);
+    try {
+      return { url, text: await this.versionProvider.downloader.text(url) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Splits a changelog into its releases. Each heading that names a version starts a section;
+   * its list items become the summary.
+   * @param {string} text - The changelog (Markdown)
+   * @returns {Map<string, string[]>} The summary items by version
+   */
+  parseChangelog(text) {
+    const sections = new Map();
+    let current = null;
+
+    for (const line of text.split(/\r?\n/)) {
+      const heading = /^#{1,4}\s*\[?v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)\]?/.exec(line);
+      if (heading) {
+        current = [];
+        sections.set(heading[1], current);
+      } else if (current) {
+        current.push(line);
+      }
+    }
+
+    for (const [version, lines] of sections) {
+      sections.set(version, this.summarizeMarkdown(lines.join('\n')));
+    }
+    return sections;
+  }
+
+  /**
+   * Finds the GitHub repository of a package from the repository field of its package.json
+   * @param {string} packageName - The npm package name
+   * @param {string} version - The package version
+   * @returns {Promise<string|null>} The repository as "owner/name", or null if it is not on GitHub
+   */
+  async getRepository(packageName, version) {
+    let manifest;
+    try {
+      manifest = await this.versionProvider.downloader.json(this.versionProvider.getFileURL(version, 'package.json', packageName));
+    } catch (error) {
+      return null;
+    }
+
+    const repository = typeof manifest.repository === 'string' ? manifest.repository : manifest.repository?.url;
+    const match = /(?:github\.com[/:]|^github:|^)([\w.-]+\/[\w.-]+?)(?:\.git)?\/?$/.exec(repository || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Gets the summary of a GitHub release, tagged either v<version> or <version>.
+   * Summaries of published releases are cached; missing ones are looked up again next time.
+   * @param {string} packageName - The npm package name (for the cache)
+   * @param {string} repository - The repository as "owner/name"
+   * @param {string} version - The package version
+   * @returns {Promise<string[]|null>} The summary items, or null if there is no release or GitHub can't be reached
+   */
+  async getGitHubRelease(packageName, repository, version) {
+    const cached = this.cache ? await this.cache.getMetadata(packageName, version, 'release-notes') : null;
+    if (cached) return cached.items;
+
+    for (const tag of [`v${version}`, version]) {
+      let release;
+      try {
+        release = await this.versionProvider.downloader.json(`${ReleaseNotes.GITHUB_API}/${repository}/releases/tags/${tag}`);
+      } catch (error) {
+        // Another tag name may work after a 404; anything else (rate limit, offline) ends the lookup
+        if (error.status === 404) continue;
+        return null;
+      }
+
+      const items = this.summarizeMarkdown(release.body || '');
+      if (this.cache) await this.cache.setMetadata(packageName, version, 'release-notes', { items });
+      return items;
+    }
+
+    return null;
+  }
+
+  /**
+   * Reduces release notes to a few short lines: the list items, without links, credits and markup
+   * (or the first paragraph if there are no list items)
+   * @param {string} markdown - The release notes
+   * @returns {string[]} Up to MAX_ITEMS lines
+   */
+  summarizeMarkdown(markdown) {
+    const clean = text => text
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\s+by @[\w-]+(?:\s+in\s+\S+)?\s*$/, '')
+      .replace(/\s+in https?:\/\/\S+\s*$/, '')
+      .replace(/[*_`]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const shorten = text => text.length > 100 ? `${text.slice(0, 97)}...` : text;
+
+    const lines = markdown.split(/\r?\n/);
+    let items = lines.filter(line => /^\s*[-*+]\s+/.test(line)).map(line => clean(line.replace(/^\s*[-*+]\s+/, '')));
+    if (items.length === 0) {
+      const paragraph = lines.find(line => line.trim() && !/^\s*#/.test(line));
+      items = paragraph ? [clean(paragraph)] : [];
+    }
+
+    return items.filter(Boolean).slice(0, ReleaseNotes.MAX_ITEMS).map(shorten);
+  }
+}
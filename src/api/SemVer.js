@@ -0,0 +1,244 @@
+// SemVer - Handles parsing, comparing and range matching of semantic versions
+export class SemVer {
+  /**
+   * Parses a version string
+   * @param {string} version - The version (e.g., "2.1.0" or "2.2.0-rc.1")
+   * @returns {{ major: number, minor: number, patch: number, prerelease: string[] } | null} The parts, or null if not a version
+   */
+  static parse(version) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(version).trim());
+    if (!match) return null;
+    return {
+      major: Number(match[1]),
+      minor: Number(match[2]),
+      patch: Number(match[3]),
+      prerelease: match[4] ? match[4].split('.') : []
+    };
+  }
+
+  /**
+   * Checks whether a string is an exact version
+   * @param {string} version - The string to check
+   * @returns {boolean} True for versions like "2.1.0"
+   */
+  static isVersion(version) {
+    return SemVer.parse(version) !== null;
+  }
+
+  /**
+   * Checks whether a version is a pre-release (beta, rc, ...)
+   * @param {string} version - The version
+   * @returns {boolean} True if the version has a pre-release tag
+   */
+  static isPrerelease(version) {
+    const parsed = SemVer.parse(version);
+    return Boolean(parsed && parsed.prerelease.length > 0);
+  }
+
+  /**
+   * Compares two versions, following the semver precedence rules
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+   */
+  static compare(a, b) {
+    const x = SemVer.parse(a);
+    const y = SemVer.parse(b);
+
+    for (const key of ['major', 'minor', 'patch']) {
+      if (x[key] !== y[key]) return x[key] - y[key];
+    }
+
+    // A pre-release sorts before the release itself
+    if (!x.prerelease.length || !y.prerelease.length) return y.prerelease.length - x.prerelease.length;
+
+    for (let i = 0; i < Math.max(x.prerelease.length, y.prerelease.length); i++) {
+      const p = x.prerelease[i];
+      const q = y.prerelease[i];
+      if (p === undefined) return -1;
+      if (q === undefined) return 1;
+      if (p === q) continue;
+
+      const numeric = /^\d+$/.test(p) && /^\d+$/.test(q);
+      if (numeric) return Number(p) - Number(q);
+      if (/^\d+$/.test(p)) return -1;
+      if (/^\d+$/.test(q)) return 1;
+      return p < q ? -1 : 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Classifies the difference between two versions by the most significant part that differs
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {'major'|'minor'|'patch'|'prerelease'|null} The kind of change, or null if the versions are equal
+   */
+  static diff(a, b) {
+    const x = SemVer.parse(a);
+    const y = SemVer.parse(b);
+
+    for (const key of ['major', 'minor', 'patch']) {
+      if (x[key] !== y[key]) return key;
+    }
+    return SemVer.compare(a, b) === 0 ? null : 'prerelease';
+  }
+
+  /**
+   * Sorts versions from newest to oldest; strings that aren't versions are dropped
+   * @param {string[]} versions - The versions
+   * @returns {string[]} A new, sorted array
+   */
+  static sortDescending(versions) {
+    return versions.filter(v => SemVer.isVersion(v)).sort((a, b) => SemVer.compare(b, a));
+  }
+
+  /**
+   * Checks whether a string is a version range rather than an exact version
+   * Supported: ^1.9, ~2.1, 1.x, 1.9.*, 1, >=1.9 <2, 1.9.0 - 1.11.0 and alternatives joined by ||
+   * @param {string} spec - The string to check
+   * @returns {boolean} True if the string is a valid range that is not an exact version
+   */
+  static isRange(spec) {
+    if (typeof spec !== 'string' || SemVer.isVersion(spec)) return false;
+    try {
+      SemVer.parseRange(spec);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Checks whether a version satisfies a range. Pre-releases only match ranges that
+   * mention a pre-release of the same major.minor.patch, as in npm.
+   * @param {string} version - The version
+   * @param {string} range - The range (or an exact version)
+   * @returns {boolean} True if the version is in the range
+   */
+  static satisfies(version, range) {
+    const parsed = SemVer.parse(version);
+    if (!parsed) return false;
+
+    let alternatives;
+    try {
+      alternatives = SemVer.parseRange(range);
+    } catch (error) {
+      return false;
+    }
+
+    return alternatives.some(comparators => {
+      if (!comparators.every(({ operator, version: bound }) => SemVer.test(version, operator, bound))) return false;
+      if (!parsed.prerelease.length) return true;
+
+      return comparators.some(({ version: bound }) => {
+        const b = SemVer.parse(bound);
+        return b.prerelease.length > 0 && b.major === parsed.major && b.minor === parsed.minor && b.patch === parsed.patch;
+      });
+    });
+  }
+
+  /**
+   * Finds the newest version in a list that satisfies a range
+   * @param {string[]} versions - Available versions
+   * @param {string} range - The range
+   * @returns {string|null} The newest match, or null if none
+   */
+  static maxSatisfying(versions, range) {
+    return SemVer.sortDescending(versions).find(v => SemVer.satisfies(v, range)) || null;
+  }
+
+  /**
+   * Parses a range into alternatives of comparators that must all hold
+   * @param {string} range - The range
+   * @returns {Array<Array<{ operator: string, version: string }>>} The alternatives
+   * @throws {Error} If the range is invalid
+   */
+  static parseRange(range) {
+    return String(range).split('||').map(alternative => {
+      const trimmed = alternative.trim();
+      if (trimmed === '' || trimmed === '*' || /^[xX]$/.test(trimmed)) return [{ operator: '>=', version: '0.0.0' }];
+
+      const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(trimmed);
+      if (hyphen) {
+        return [
+          ...SemVer.expand('>=', hyphen[1]),
+          ...SemVer.expand('<=', hyphen[2])
+        ];
+      }
+
+      return trimmed.replace(/([<>=^~]+)\s+/g, '$1').split(/\s+/).flatMap(part => {
+        const match = /^(\^|~|>=|<=|>|<|=)?(.+)$/.exec(part);
+        return SemVer.expand(match[1] || '', match[2]);
+      });
+    });
+  }
+
+  /**
+   * Expands one comparator with a possibly partial version (1, 1.9, 1.x) into plain comparators
+   * @param {string} operator - One of ^, ~, >=, <=, >, <, = or '' (exact or x-range)
+   * @param {string} partial - The version, possibly partial
+   * @returns {Array<{ operator: string, version: string }>} The comparators
+   * @throws {Error} If the version is invalid
+   */
+  static expand(operator, partial) {
+    const match = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/.exec(partial);
+    if (!match) throw new Error(`Invalid version range: ${partial}`);
+
+    const wildcard = part => part === undefined || /^[xX*]$/.test(part);
+    const [major, minor, patch] = [match[1], match[2], match[3]];
+    const pre = match[4] ? `-${match[4]}` : '';
+
+    if (wildcard(major)) return [{ operator: '>=', version: '0.0.0' }];
+
+    const M = Number(major);
+    const m = wildcard(minor) ? null : Number(minor);
+    const p = wildcard(patch) ? null : Number(patch);
+    const lower = `${M}.${m ?? 0}.${p ?? 0}${pre}`;
+
+    // Upper bound of a partial version: 1 -> <2.0.0, 1.9 -> <1.10.0
+    const partialUpper = m === null ? `${M + 1}.0.0-0` : `${M}.${m + 1}.0-0`;
+
+    switch (operator) {
+      case '^': {
+        const upper = M > 0 ? `${M + 1}.0.0-0` : m === null ? '1.0.0-0' : m > 0 || p === null ? `0.${m + 1}.0-0` : `0.0.${p + 1}-0`;
+        return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+      }
+      case '~':
+        return [{ operator: '>=', version: lower }, { operator: '<', version: partialUpper }];
+      case '>':
+        return p === null
+          ? [{ operator: '>=', version: partialUpper.replace(/-0$/, '') }]
+          : [{ operator: '>', version: lower }];
+      case '<=':
+        return p === null
+          ? [{ operator: '<', version: partialUpper }]
+          : [{ operator: '<=', version: lower }];
+      case '>=':
+      case '<':
+        return [{ operator, version: lower }];
+      default:
+        return p === null
+          ? [{ operator: '>=', version: lower }, { operator: '<', version: partialUpper }]
+          : [{ operator: '=', version: lower }];
+    }
+  }
+
+  /**
+   * Evaluates a single comparator
+   * @param {string} version - The version
+   * @param {string} operator - One of >=, <=, >, <, =
+   * @param {string} bound - The version to compare against
+   * @returns {boolean} The result
+   */
+  static test(version, operator, bound) {
+    const result = SemVer.compare(version, bound);
+    switch (operator) {
+      case '>=': return result >= 0;
+      case '<=': return result <= 0;
+      case '>': return result > 0;
+      case '<': return result < 0;
+      default: return result === 0;
+    }
+  }
+}
@@ -0,0 +1,173 @@
+// TypesProvider - Resolves which TypeScript declaration files match a p5.js version and sketch mode
+
+export class TypesProvider {
+  /**
+   * Supported sketch modes
+   * `global` sketches define setup()/draw() as globals, `instance` sketches use `new p5(sketch)`
+   */
+  static SKETCH_MODES = ['global', 'instance'];
+
+  /**
+   * Prefix of the per-version folder the declaration files are saved in (types/p5.js@<version>/)
+   */
+  static DIR_PREFIX = 'p5.js@';
+
+  /**
+   * File name of the generated declaration file that exposes the p5 class to instance-mode sketches
+   */
+  static INSTANCE_SHIM = 'instance-mode.d.ts';
+
+  /**
+   * Creates a new TypesProvider instance
+   * @param {VersionProvider} versionProvider - Used to look up versions and package file listings
+   */
+  constructor(versionProvider) {
+    this.versionProvider = versionProvider;
+  }
+
+  /**
+   * Works out which declaration files to download for a p5.js version and sketch mode.
+   * p5.js 2.x ships its own types (types/global.d.ts and types/p5.d.ts); for 1.x the
+   * multi-file @types/p5 package is used, picking the release closest to the p5.js version.
+   * @param {string} p5Version - The p5.js version used by the project
+   * @param {string} sketchMode - 'global' or 'instance'
+   * @returns {Promise<{ packageName: string, version: string, files: Array<{ source: string, target: string }>, entry: string, module: string } | null>}
+   *   The download plan (`target` and `entry` are relative to the version folder), or null if no types are available
+   */
+  async resolve(p5Version, sketchMode) {
+    const major = Number(p5Version.split('.')[0]);
+    return major >= 2
+      ? await this.resolveBundled(p5Version, sketchMode)
+      : await this.resolveDefinitelyTyped(p5Version, sketchMode);
+  }
+
+  /**
+   * Plans the download of the declaration files bundled in the p5 package (2.x)
+   * Falls back to the latest p5 release if the requested version doesn't ship types.
+   * @param {string} p5Version - The p5.js version
+   * @param {string} sketchMode - 'global' or 'instance'
+   * @returns {Promise<Object>} The download plan (see resolve)
+   */
+  async resolveBundled(p5Version, sketchMode) {
+    let version = p5Version;
+    const listing = await this.versionProvider.getFileList(version, 'p5');
+
+    if (listing && !listing.some(f => f.name === '/types/p5.d.ts')) {
+      version = await this.versionProvider.getLatestForPackage('p5');
+    }
+
+    const names = sketchMode === 'instance' ? ['p5.d.ts'] : ['global.d.ts', 'p5.d.ts'];
+
+    return {
+      packageName: 'p5',
+      version,
+      files: names.map(name => ({ source: `types/${name}`, target: name })),
+      entry: sketchMode === 'instance' ? TypesProvider.INSTANCE_SHIM : 'global.d.ts',
+      module: 'p5'
+    };
+  }
+
+  /**
+   * Plans the download of the @types/p5 package (1.x)
+   * @param {string} p5Version - The p5.js version
+   * @param {string} sketchMode - 'global' or 'instance'
+   * @returns {Promise<Object|null>} The download plan (see resolve), or null if the package listing is unavailable
+   */
+  async resolveDefinitelyTyped(p5Version, sketchMode) {
+    const versions = await this.versionProvider.getVersionsForPackage('@types/p5');
+    const version = this.pickTypesVersion(versions, p5Version);
+    if (!version) return null;
+
+    const listing = await this.versionProvider.getFileList(version, '@types/p5');
+    if (!listing) return null;
+
+    const files = listing
+      .map(f => f.name.replace(/^\//, ''))
+      .filter(name => name.endsWith('.d.ts'))
+      .filter(name => sketchMode !== 'instance' || name !== 'global.d.ts')
+      .map(name => ({ source: name, target: name }));
+
+    return {
+      packageName: '@types/p5',
+      version,
+      files,
+      entry: sketchMode === 'instance' ? TypesProvider.INSTANCE_SHIM : 'global.d.ts',
+      module: 'index'
+    };
+  }
+
+  /**
+   * Picks the @types/p5 release for a p5.js 1.x version: the newest stable release
+   * whose major.minor does not exceed the p5.js version, else the newest with the same major
+   * @param {string[]} versions - @types/p5 versions, newest first
+   * @param {string} p5Version - The p5.js version
+   * @returns {string|null} The chosen version
+   */
+  pickTypesVersion(versions, p5Version) {
+    const [major, minor] = p5Version.split('.').map(Number);
+    const stable = versions.filter(v => !v.includes('-'));
+
+    const exact = stable.find(v => {
+      const [vMajor, vMinor] = v.split('.').map(Number);
+      return vMajor === major && vMinor <= minor;
+    });
+    if (exact) return exact;
+
+    return stable.find(v => Number(v.split('.')[0]) === major) || stable[0] || null;
+  }
+
+  /**
+   * Detects the sketch mode from the project's JavaScript sources
+   * @param {string[]} sources - Contents of the sketch's JavaScript files
+   * @returns {string|null} 'instance', 'global', or null if it can't be told
+   */
+  detectSketchMode(sources) {
+    if (sources.some(source => /\bnew\s+p5\s*\(/.test(source))) return 'instance';
+    if (sources.some(source => /^\s*(?:async\s+)?function\s+(?:setup|draw|preload)\s*\(/m.test(source))) return 'global';
+    return null;
+  }
+
+  /**
+   * Builds the declaration file that exposes the p5 class as a global value and type,
+   * so instance-mode sketches can call `new p5(...)` and annotate parameters with `@param {p5} p`
+   * @param {Object} plan - The download plan (see resolve)
+   * @returns {string} The declaration file content
+   */
+  buildInstanceShim(plan) {
+    const importLine = plan.packageName === 'p5'
+      ? `import P5 from './${plan.module}';`
+      : `import P5 = require('./${plan.module}');`;
+
+    return [
+      '// Generated by the p5.js project setup: exposes the p5 class to instance-mode sketches',
+      importLine,
+      '',
+      'declare global {',
+      '  const p5: typeof P5;',
+      '  type p5 = P5;',
+      '}',
+      '',
+      'export {};',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Updates a jsconfig.json object so it includes the entry declaration file.
+   * Other settings are kept; includes of previously installed p5.js type folders are replaced.
+   * @param {Object|null} current - The current jsconfig.json content (null to start from the default)
+   * @param {string|null} entryPath - Path of the entry declaration file, relative to the project directory
+   *   (null to only remove stale entries)
+   * @returns {Object} The updated jsconfig.json content
+   */
+  buildJSConfig(current, entryPath) {
+    const config = current && typeof current === 'object' ? { ...current } : { compilerOptions: { target: 'ES6' } };
+    const include = Array.isArray(config.include) ? [...config.include] : ['*.js', 'types/*.d.ts'];
+
+    config.include = include
+      .filter(pattern => !pattern.startsWith(`types/${TypesProvider.DIR_PREFIX}`))
+      .concat(entryPath ? [entryPath] : []);
+
+    return config;
+  }
+}
@@ -1,12 +1,58 @@
 // VersionProvider - Handles version fetching from jsdelivr API
+import { SemVer } from './SemVer.js';
+import { Downloader } from '../net/Downloader.js';
+
 export class VersionProvider {
+  /**
+   * The jsdelivr data API (version lists and file listings)
+   */
+  static API_URL = 'https://data.jsdelivr.com/v1/package/npm';
+
+  /**
+   * The jsdelivr CDN that package files are downloaded from
+   */
+  static CDN_URL = 'https://cdn.jsdelivr.net/npm';
+
   /**
    * Creates a new VersionProvider instance
    * @param {string} [packageName='p5'] - The npm package name to fetch versions for
+   * @param {CacheManager|null} [cache=null] - Optional cache for version lists (used when offline)
+   * @param {Object} [options={}] - Provider options
+   * @param {string|null} [options.mirror=null] - Base URL of a jsdelivr-compatible mirror (see setMirror)
+   * @param {Downloader} [options.downloader] - Performs the API requests (a default Downloader if omitted)
    */
-  constructor(packageName = 'p5') {
+  constructor(packageName = 'p5', cache = null, options = {}) {
     this.packageName = packageName;
-    this.baseUrl = 'https://data.jsdelivr.com/v1/package/npm';
+    this.cache = cache;
+    this.downloader = options.downloader ?? new Downloader();
+    this.setMirror(options.mirror ?? null);
+    // Set when a response had to be served from an expired cache entry because the network was unavailable
+    this.offline = false;
+  }
+
+  /**
+   * Points the version API and file downloads at a mirror, or back at jsdelivr.
+   * A mirror serves the data API under <mirror>/v1/package/npm and package files under <mirror>/npm,
+   * the same paths as data.jsdelivr.com and cdn.jsdelivr.net.
+   * @param {string|null} mirror - Base URL of the mirror (e.g., "https://p5-mirror.school.example"), or null for jsdelivr
+   * @returns {void}
+   */
+  setMirror(mirror) {
+    const base = mirror ? mirror.replace(/\/+$/, '') : null;
+    this.mirror = base;
+    this.baseUrl = base ? `${base}/v1/package/npm` : VersionProvider.API_URL;
+    this.cdnBaseUrl = base ? `${base}/npm` : VersionProvider.CDN_URL;
+  }
+
+  /**
+   * Builds the download URL of a file in a published package version (from the mirror, if one is set)
+   * @param {string} version - The package version
+   * @param {string} path - Path of the file inside the package (e.g., "lib/p5.js")
+   * @param {string} [packageName=this.packageName] - The npm package name
+   * @returns {string} The URL
+   */
+  getFileURL(version, path, packageName = this.packageName) {
+    return `${this.cdnBaseUrl}/${packageName}@${version}/${path.replace(/^\//, '')}`;
   }
 
   /**
@@ -14,8 +60,7 @@ export class VersionProvider {
    * @returns {Promise<string[]>} Array of version strings
    */
   async getVersions() {
-    const response = await fetch(`${this.baseUrl}/${this.packageName}`);
-    const data = await response.json();
+    const data = await this.getPackageData(this.packageName);
     return data.versions;
   }
 
@@ -24,19 +69,42 @@ export class VersionProvider {
    * @returns {Promise<string>} The latest version string
    */
   async getLatest() {
-    const response = await fetch(`${this.baseUrl}/${this.packageName}`);
-    const data = await response.json();
+    const data = await this.getPackageData(this.packageName);
     return data.tags.latest;
   }
 
+  /**
+   * Gets the dist-tags of the configured package (e.g., { latest: "2.1.1", beta: "2.2.0-rc.1" })
+   * @returns {Promise<Object<string, string>>} Versions by tag name
+   */
+  async getDistTags() {
+    const data = await this.getPackageData(this.packageName);
+    return data.tags || {};
+  }
+
+  /**
+   * Resolves a version spec to a concrete, published version of the configured package.
+   * The spec can be an exact version, a dist-tag (latest, beta, ...) or a semver range
+   * (^1.9, ~2.1, 1.x, ...), which resolves to the newest matching version.
+   * @param {string} spec - The version spec
+   * @returns {Promise<string|null>} The version, or null if nothing matches
+   */
+  async resolveVersion(spec) {
+    const data = await this.getPackageData(this.packageName);
+    const tags = data.tags || {};
+
+    if (Object.prototype.hasOwnProperty.call(tags, spec)) return tags[spec];
+    if (SemVer.isVersion(spec)) return data.versions.includes(spec) ? spec : null;
+    return SemVer.maxSatisfying(data.versions, spec);
+  }
+
   /**
    * Gets all available versions for a specific package (useful for @types/p5)
    * @param {string} packageName - The npm package name to fetch versions for
    * @returns {Promise<string[]>} Array of version strings
    */
   async getVersionsForPackage(packageName) {
-    const response = await fetch(`${this.baseUrl}/${packageName}`);
-    const data = await response.json();
+    const data = await this.getPackageData(packageName);
     return data.versions;
   }
 
@@ -46,9 +114,80 @@ export class VersionProvider {
    * @returns {Promise<string>} The latest version string
    */
   async getLatestForPackage(packageName) {
-    const response = await fetch(`${this.baseUrl}/${packageName}`);
-    const data = await response.json();
+    const data = await this.getPackageData(packageName);
     return data.tags.latest;
   }
-}
 
+  /**
+   * Gets the versions of a package that have files in the local cache
+   * @param {string} [packageName=this.packageName] - The npm package name
+   * @returns {Promise<string[]>} Version strings available offline
+   */
+  async getOfflineVersions(packageName = this.packageName) {
+    if (!this.cache) return [];
+    return await this.cache.getCachedVersions(packageName);
+  }
+
+  /**
+   * Gets the file listing of a published package version from jsdelivr.
+   * Each entry has the file name (with a leading slash), a base64 SHA-256 hash and the size.
+   * @param {string} version - The package version
+   * @param {string} [packageName=this.packageName] - The npm package name
+   * @returns {Promise<Array<{ name: string, hash: string, size: number }>|null>} The files, or null if unavailable
+   */
+  async getFileList(version, packageName = this.packageName) {
+    let listing = this.cache ? await this.cache.getMetadata(packageName, version, 'files') : null;
+
+    if (!listing) {
+      try {
+        listing = await this.downloader.json(`${this.baseUrl}/${packageName}@${version}/flat`);
+        if (this.cache) await this.cache.setMetadata(packageName, version, 'files', listing);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return listing.files || [];
+  }
+
+  /**
+   * Gets the Subresource Integrity hash of a file in a published package version,
+   * from the jsdelivr file listing (which includes a base64 SHA-256 of each file)
+   * @param {string} version - The package version
+   * @param {string} path - Path of the file inside the package (e.g., "lib/p5.js")
+   * @param {string} [packageName=this.packageName] - The npm package name
+   * @returns {Promise<string|null>} The integrity string (e.g., "sha256-..."), or null if unavailable
+   */
+  async getFileIntegrity(version, path, packageName = this.packageName) {
+    const files = await this.getFileList(version, packageName);
+    if (!files) return null;
+
+    const name = `/${path.replace(/^\//, '')}`;
+    const file = files.find(f => f.name === name);
+    return file && file.hash ? `sha256-${file.hash}` : null;
+  }
+
+  /**
+   * Fetches the package data ({tags, versions}) from the API.
+   * A fresh cache entry is used without hitting the network; an expired one is
+   * refreshed, and only used as a fallback when the network is unavailable.
+   * @param {string} packageName - The npm package name
+   * @returns {Promise<{ tags: Object<string, string>, versions: string[] }>} The package data
+   * @throws {DownloadError} If the request fails and nothing is cached, or the package doesn't exist
+   */
+  async getPackageData(packageName) {
+    const cached = this.cache ? await this.cache.getVersionList(packageName) : null;
+    if (cached && cached.fresh) return cached.data;
+
+    try {
+      const data = await this.downloader.json(`${this.baseUrl}/${packageName}`);
+      if (this.cache) await this.cache.setVersionList(packageName, data);
+      return data;
+    } catch (error) {
+      // A missing package is an answer, not an outage
+      if (!cached || error.status === 404) throw error;
+      this.offline = true;
+      return cached.data;
+    }
+  }
+}
@@ -0,0 +1,265 @@
+// CacheManager - Handles the per-user content cache for version lists and package files
+import { readFile, writeFile, mkdir, readdir, rm, stat, rename } from 'fs/promises';
+import { homedir } from 'os';
+import { join, dirname } from 'path';
+import { randomBytes } from 'crypto';
+
+export class CacheManager {
+  /**
+   * How long a cached version list is considered fresh (1 hour)
+   */
+  static DEFAULT_TTL = 60 * 60 * 1000;
+
+  /**
+   * Creates a new CacheManager instance
+   * @param {Object} [options={}] - Cache options
+   * @param {string} [options.dir] - Cache directory (defaults to CacheManager.defaultDir())
+   * @param {number} [options.ttl=CacheManager.DEFAULT_TTL] - Version list TTL in milliseconds
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || CacheManager.defaultDir();
+    this.ttl = options.ttl ?? CacheManager.DEFAULT_TTL;
+  }
+
+  /**
+   * Gets the default cache directory
+   * Honors P5_CACHE_DIR, then XDG_CACHE_HOME, then LOCALAPPDATA on Windows, then ~/.cache
+   * @returns {string} Absolute path of the cache directory
+   */
+  static defaultDir() {
+    if (process.env.P5_CACHE_DIR) return process.env.P5_CACHE_DIR;
+    if (process.env.XDG_CACHE_HOME) return join(process.env.XDG_CACHE_HOME, 'p5-project-creator');
+    if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+      return join(process.env.LOCALAPPDATA, 'p5-project-creator', 'cache');
+    }
+    return join(homedir(), '.cache', 'p5-project-creator');
+  }
+
+  /**
+   * Extracts the package, version and file path from a versioned CDN URL
+   * Only URLs pinned to an exact version are cacheable; `@latest` and other tags are not.
+   * @param {string} url - A jsdelivr, unpkg or mirror URL (e.g., https://cdn.jsdelivr.net/npm/p5@2.1.0/lib/p5.js)
+   * @returns {{ packageName: string, version: string, path: string } | null} The cache key, or null if not cacheable
+   */
+  keyForURL(url) {
+    const match = /^https?:\/\/[^/]+\/(?:[^@]*\/)?((?:@[^/@]+\/)?[^/@]+)@(\d+\.\d+\.\d+[^/]*)\/(.+)$/.exec(url);
+    if (!match) return null;
+    return { packageName: match[1], version: match[2], path: match[3] };
+  }
+
+  /**
+   * Reads a cached version list
+   * @param {string} packageName - The npm package name
+   * @returns {Promise<{ data: Object, fetchedAt: number, fresh: boolean } | null>} The cached entry, or null if not cached
+   */
+  async getVersionList(packageName) {
+    try {
+      const entry = JSON.parse(await readFile(this.versionListPath(packageName), 'utf-8'));
+      return { ...entry, fresh: Date.now() - entry.fetchedAt < this.ttl };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a version list (the raw jsdelivr package response)
+   * @param {string} packageName - The npm package name
+   * @param {Object} data - The package data with {tags, versions}
+   * @returns {Promise<void>}
+   */
+  async setVersionList(packageName, data) {
+    const path = this.versionListPath(packageName);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify({ fetchedAt: Date.now(), data }), 'utf-8');
+  }
+
+  /**
+   * Reads a cached package file
+   * @param {{ packageName: string, version: string, path: string }} key - Cache key (see keyForURL)
+   * @returns {Promise<string|null>} The file content, or null if not cached
+   */
+  async getFile(key) {
+    try {
+      return await readFile(this.filePath(key), 'utf-8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a package file
+   * @param {{ packageName: string, version: string, path: string }} key - Cache key (see keyForURL)
+   * @param {string} content - The file content
+   * @returns {Promise<void>}
+   */
+  async setFile(key, content) {
+    const path = this.filePath(key);
+    await mkdir(dirname(path), { recursive: true });
+
+    // Other runs may read the cache meanwhile, so they must never see a half-written file;
+    // downloads in the same run (batch updates) may store the same file at once, so each gets its own temp file
+    const temp = `${path}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    await writeFile(temp, content, 'utf-8');
+    await rename(temp, path);
+  }
+
+  /**
+   * Removes a cached package file (e.g., after it failed verification)
+   * @param {{ packageName: string, version: string, path: string }} key - Cache key (see keyForURL)
+   * @returns {Promise<void>}
+   */
+  async deleteFile(key) {
+    await rm(this.filePath(key), { force: true });
+  }
+
+  /**
+   * Reads cached metadata about a package version (e.g., the file hash listing)
+   * @param {string} packageName - The npm package name
+   * @param {string} version - The package version
+   * @param {string} name - Metadata name
+   * @returns {Promise<Object|null>} The metadata, or null if not cached
+   */
+  async getMetadata(packageName, version, name) {
+    try {
+      return JSON.parse(await readFile(this.metadataPath(packageName, version, name), 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Stores metadata about a package version. Published versions are immutable, so it never expires.
+   * @param {string} packageName - The npm package name
+   * @param {string} version - The package version
+   * @param {string} name - Metadata name
+   * @param {Object} data - The metadata
+   * @returns {Promise<void>}
+   */
+  async setMetadata(packageName, version, name, data) {
+    const path = this.metadataPath(packageName, version, name);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(data), 'utf-8');
+  }
+
+  /**
+   * Lists the versions of a package that have at least one file cached
+   * @param {string} packageName - The npm package name
+   * @returns {Promise<string[]>} Cached version strings
+   */
+  async getCachedVersions(packageName) {
+    try {
+      return await readdir(join(this.dir, 'files', encodeURIComponent(packageName)));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Lists everything in the cache
+   * @returns {Promise<{ versionLists: Array<{ packageName: string, fetchedAt: number, fresh: boolean }>, files: Array<{ packageName: string, version: string, files: string[], size: number }> }>}
+   */
+  async list() {
+    const versionLists = [];
+    for (const file of await this.readDirSafe(join(this.dir, 'versions'))) {
+      const packageName = decodeURIComponent(file.replace(/\.json$/, ''));
+      const entry = await this.getVersionList(packageName);
+      if (entry) versionLists.push({ packageName, fetchedAt: entry.fetchedAt, fresh: entry.fresh });
+    }
+
+    const files = [];
+    for (const encoded of await this.readDirSafe(join(this.dir, 'files'))) {
+      const packageName = decodeURIComponent(encoded);
+      for (const version of await this.readDirSafe(join(this.dir, 'files', encoded))) {
+        const versionDir = join(this.dir, 'files', encoded, version);
+        const entries = await this.walk(versionDir);
+        let size = 0;
+        for (const entry of entries) size += (await stat(join(versionDir, entry))).size;
+        files.push({ packageName, version, files: entries, size });
+      }
+    }
+
+    return { versionLists, files };
+  }
+
+  /**
+   * Removes cached data
+   * @param {string} [packageName] - Only remove entries for this package (everything if omitted)
+   * @param {string} [version] - Only remove files for this version of the package
+   * @returns {Promise<void>}
+   */
+  async clean(packageName, version) {
+    if (!packageName) {
+      await rm(this.dir, { recursive: true, force: true });
+      return;
+    }
+
+    const filesDir = join(this.dir, 'files', encodeURIComponent(packageName));
+    if (version) {
+      await rm(join(filesDir, version), { recursive: true, force: true });
+      await rm(join(this.dir, 'meta', encodeURIComponent(packageName), version), { recursive: true, force: true });
+      return;
+    }
+
+    await rm(filesDir, { recursive: true, force: true });
+    await rm(join(this.dir, 'meta', encodeURIComponent(packageName)), { recursive: true, force: true });
+    await rm(this.versionListPath(packageName), { force: true });
+  }
+
+  /**
+   * Gets the path of a cached version list
+   * @param {string} packageName - The npm package name
+   * @returns {string} File path
+   */
+  versionListPath(packageName) {
+    return join(this.dir, 'versions', `${encodeURIComponent(packageName)}.json`);
+  }
+
+  /**
+   * Gets the path of a cached package file
+   * @param {{ packageName: string, version: string, path: string }} key - Cache key
+   * @returns {string} File path
+   */
+  filePath(key) {
+    return join(this.dir, 'files', encodeURIComponent(key.packageName), key.version, ...key.path.split('/'));
+  }
+
+  /**
+   * Gets the path of cached package metadata
+   * @param {string} packageName - The npm package name
+   * @param {string} version - The package version
+   * @param {string} name - Metadata name
+   * @returns {string} File path
+   */
+  metadataPath(packageName, version, name) {
+    return join(this.dir, 'meta', encodeURIComponent(packageName), version, `${name}.json`);
+  }
+
+  /**
+   * Lists a directory, returning an empty array if it doesn't exist
+   * @param {string} path - Directory path
+   * @returns {Promise<string[]>} Entry names
+   */
+  async readDirSafe(path) {
+    try {
+      return await readdir(path);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Recursively lists the files below a directory
+   * @param {string} dir - Directory path
+   * @param {string} [prefix=''] - Path prefix for the returned entries
+   * @returns {Promise<string[]>} File paths relative to dir, with forward slashes
+   */
+  async walk(dir, prefix = '') {
+    const result = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) result.push(...await this.walk(join(dir, entry.name), relative));
+      else result.push(relative);
+    }
+    return result;
+  }
+}
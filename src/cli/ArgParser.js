@@ -0,0 +1,205 @@
+// ArgParser - Handles command-line flag parsing and validation
+
+/**
+ * Error thrown when the command line contains an unknown flag or an invalid value
+ */
+export class UsageError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export class ArgParser {
+  /**
+   * Supported flags
+   * `key` is the property name on the parsed options object,
+   * `value` is true when the flag expects an argument,
+   * `choices` restricts the accepted values,
+   * `min` makes the value a whole number no smaller than min
+   */
+  static OPTIONS = {
+    '--dir': { key: 'dir', value: true },
+    '--p5-version': { key: 'version', value: true },
+    '--mode': { key: 'mode', value: true, choices: ['cdn', 'local'] },
+    '--cdn': { key: 'cdnProvider', value: true, choices: ['jsdelivr', 'cdnjs', 'unpkg'] },
+    '--mirror': { key: 'mirror', value: true },
+    '--template': { key: 'template', value: true },
+    '--sketch-mode': { key: 'sketchMode', value: true, choices: ['global', 'instance'] },
+    '--file': { key: 'file', value: true },
+    '--port': { key: 'port', value: true },
+    '--out': { key: 'out', value: true },
+    '--timeout': { key: 'timeout', value: true, min: 1 },
+    '--retries': { key: 'retries', value: true, min: 0 },
+    '--concurrency': { key: 'concurrency', value: true, min: 1 },
+    '--minify': { key: 'minify' },
+    '--no-minify': { key: 'minify', negate: true },
+    '--versioned-file': { key: 'versionedFile' },
+    '--no-versioned-file': { key: 'versionedFile', negate: true },
+    '--zip': { key: 'zip' },
+    '--git': { key: 'git' },
+    '--no-git': { key: 'git', negate: true },
+    '--web-editor': { key: 'webEditor' },
+    '--dry-run': { key: 'dryRun' },
+    '--yes': { key: 'yes' },
+    '-y': { key: 'yes' },
+    '--no-types': { key: 'types', negate: true },
+    '--json': { key: 'json' },
+    '--no-update-notice': { key: 'updateNotice', negate: true },
+    '--verbose': { key: 'verbose' },
+    '--help': { key: 'help' },
+    '-h': { key: 'help' }
+  };
+
+  /**
+   * Parses command-line arguments into an options object
+   * Accepts both `--flag value` and `--flag=value` forms.
+   * @param {string[]} argv - Arguments without the node executable and script path
+   * @returns {{ dir?: string, version?: string, mode?: string, cdnProvider?: string, mirror?: string, template?: string, sketchMode?: string, file?: string, port?: string, out?: string, timeout?: number, retries?: number, concurrency?: number, minify?: boolean, versionedFile?: boolean, zip?: boolean, git?: boolean, webEditor?: boolean, dryRun: boolean, yes: boolean, types: boolean, json: boolean, updateNotice: boolean, verbose: boolean, help: boolean, positionals: string[] }}
+   * @throws {UsageError} If a flag is unknown, a value is missing, a value is not one of the allowed choices
+   *   or a number is invalid
+   */
+  parse(argv) {
+    const options = {
+      dryRun: false,
+      yes: false,
+      types: true,
+      json: false,
+      updateNotice: true,
+      verbose: false,
+      help: false,
+      positionals: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (!arg.startsWith('-')) {
+        options.positionals.push(arg);
+        continue;
+      }
+
+      const [flag, inlineValue] = arg.includes('=') ? splitOnce(arg, '=') : [arg, undefined];
+      const definition = ArgParser.OPTIONS[flag];
+
+      if (!definition) {
+        throw new UsageError(`Unknown option: ${flag}`);
+      }
+
+      if (!definition.value) {
+        if (inlineValue !== undefined) {
+          throw new UsageError(`Option ${flag} does not take a value`);
+        }
+        options[definition.key] = !definition.negate;
+        continue;
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value === '' || (inlineValue === undefined && value.startsWith('-'))) {
+        throw new UsageError(`Option ${flag} requires a value`);
+      }
+
+      if (definition.choices && !definition.choices.includes(value)) {
+        throw new UsageError(`Invalid value for ${flag}: "${value}" (expected one of: ${definition.choices.join(', ')})`);
+      }
+
+      if (definition.min !== undefined) {
+        if (!/^\d+$/.test(value) || Number(value) < definition.min) {
+          throw new UsageError(`Invalid value for ${flag}: "${value}" (expected a whole number of at least ${definition.min})`);
+        }
+        options[definition.key] = Number(value);
+        continue;
+      }
+
+      options[definition.key] = value;
+    }
+
+    return options;
+  }
+
+  /**
+   * Returns the usage text printed by `--help`
+   * @returns {string} Multi-line usage text
+   */
+  usage() {
+    return [
+      'Usage: node setup.js [<dir>] [options]',
+      '       node setup.js create <name> [--git|--no-git] [options]',
+      '       node setup.js add <library[@version]> [--file <path>]',
+      '       node setup.js remove <library>',
+      '       node setup.js cache list | cache clean [package[@version]]',
+      '       node setup.js serve [--port <n>]',
+      '       node setup.js export [--out <path>] [--minify] [--zip] [--web-editor]',
+      '       node setup.js import <zip|dir>',
+      '       node setup.js rollback',
+      '       node setup.js doctor',
+      '       node setup.js outdated [--json]',
+      '       node setup.js batch [<root>] --p5-version <x|tag|range> [--mode <cdn|local>] [--concurrency <n>]',
+      '',
+      'Commands:',
+      '  (none)                       Set up or update the p5.js version and delivery mode',
+      '  create <name>                Create a standalone project in a new directory, with its own package.json',
+      '  add <library[@version]>      Add an add-on library (e.g., p5.sound, ml5, p5.collide2D)',
+      '  remove <library>             Remove an add-on library',
+      '  cache list                   Show cached version lists and files',
+      '  cache clean [pkg[@version]]  Clear the cache (or one package/version)',
+      '  serve                        Serve the project with live reload',
+      '  export                       Copy the sketch into a self-contained folder (default: dist)',
+      '  import <zip|dir>             Import a p5.js Web Editor project into the project directory',
+      '  rollback                     Undo the last setup, add, remove, import or doctor fix from its backup',
+      '  doctor                       Check that the project files agree with p5-config.json and offer fixes',
+      '  outdated                     Show how far p5.js and its type definitions are behind, with release notes',
+      '  batch [<root>]               Update every p5.js project found under a folder (default: .)',
+      '',
+      'Options:',
+      '  --dir <path>                 Project directory (default: sketch)',
+      '  --p5-version <x|tag|range>   p5.js version to install (e.g., 2.1.0, latest, beta, ~2.1)',
+      '  --mode <cdn|local>           Delivery mode',
+      '  --cdn <jsdelivr|cdnjs|unpkg> CDN provider used in CDN mode (saved in p5-config.json)',
+      '  --mirror <url|none>          jsdelivr-compatible mirror for the version list and downloads',
+      '                               (saved in p5-config.json; also read from P5_MIRROR)',
+      '  --template <name|path>       Starter template for new projects (global, instance, webgl,',
+      '                               async, multi-file, a ~/.p5-templates folder or a path)',
+      '  --sketch-mode <global|instance>',
+      '                               Sketch mode used for type definitions (detected if omitted)',
+      '  -y, --yes                    Accept defaults and confirmations without prompting',
+      '  --dry-run                    Print the planned changes and diffs without touching any files',
+      '  --no-types                   Skip downloading TypeScript type definitions',
+      '  --no-update-notice           Don\'t check for a newer p5.js version when setup starts',
+      '  --json                       Print the outdated report as JSON',
+      '  --file <path>                Script path inside the npm package (libraries outside the catalog)',
+      '  --port <n>                   Port for the serve command (default: 3000)',
+      '  --out <path>                 Output folder for the export command (default: dist)',
+      '  --minify, --no-minify        Use the minified p5.js build (or not); setup saves the choice',
+      '  --versioned-file             Name the local build after its version (lib/p5@2.1.0.js)',
+      '  --no-versioned-file          Use the plain name (lib/p5.js)',
+      '  --timeout <seconds>          Give up a download after this long without data (default: 30)',
+      '  --retries <n>                Retries after a network error, timeout or busy server (default: 2)',
+      '  --concurrency <n>            Projects the batch command updates at the same time (default: 4)',
+      '  --git, --no-git              Initialize a git repository in a created project (or not)',
+      '  --zip                        Also write the export as a zip archive',
+      '  --web-editor                 Export a zip for the p5.js Web Editor (default: <name>.zip)',
+      '  --verbose                    Print detailed progress',
+      '  -h, --help                   Show this help',
+      '',
+      'The project directory can also be given as the first argument when it looks',
+      'like a path (e.g., ./my-sketch).',
+      'Missing values are prompted for when a terminal is attached.',
+      'Without a terminal, pass the values as flags or use --yes.'
+    ].join('\n');
+  }
+}
+
+/**
+ * Splits a string on the first occurrence of a separator
+ * @param {string} str - The string to split
+ * @param {string} separator - The separator
+ * @returns {[string, string]} The parts before and after the separator
+ */
+function splitOnce(str, separator) {
+  const index = str.indexOf(separator);
+  return [str.slice(0, index), str.slice(index + separator.length)];
+}
@@ -1,31 +1,266 @@
 // ConfigManager - Handles project configuration
-import { access } from 'fs/promises';
+import { SemVer } from '../api/SemVer.js';
 
-const basePath = 'sketch/';
+/**
+ * Error thrown when p5-config.json can't be parsed or doesn't match the schema
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {string} path - Path of the configuration file
+   * @param {string[]} [problems=[]] - One entry per invalid field
+   */
+  constructor(message, path, problems = []) {
+    super(problems.length > 0 ? `${message}\n${problems.map(problem => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.path = path;
+    this.problems = problems;
+  }
+}
 
 export class ConfigManager {
+  /**
+   * Schema version written to p5-config.json as `schemaVersion`.
+   * Files without the field are version 0 (written before the schema was versioned).
+   */
+  static SCHEMA_VERSION = 2;
+
+  /**
+   * The fields of p5-config.json. `type` is checked with typeof (plus "array"),
+   * `nullable` allows null, `choices` restricts the value and `check` returns a problem or null.
+   */
+  static SCHEMA = {
+    schemaVersion: { type: 'number', required: true },
+    version: { type: 'string', nullable: true, required: true, check: value => SemVer.isVersion(value) ? null : 'must be an exact version such as "2.1.0" (put ranges in "versionRange")' },
+    versionRange: { type: 'string', nullable: true, check: value => SemVer.isRange(value) || SemVer.isVersion(value) || /^[a-z][\w.-]*$/i.test(value) ? null : 'must be a version range or dist-tag such as "^1.9", "~2.1" or "latest"' },
+    mode: { type: 'string', required: true, choices: ['cdn', 'local'] },
+    cdnProvider: { type: 'string', nullable: true, choices: ['jsdelivr', 'cdnjs', 'unpkg'] },
+    mirror: { type: 'string', nullable: true, check: value => /^https?:\/\/[^/]+/.test(value) ? null : 'must be an http:// or https:// URL' },
+    minified: { type: 'boolean', nullable: true },
+    versionedFile: { type: 'boolean' },
+    typeDefsVersion: { type: 'string', nullable: true },
+    typeDefsPackage: { type: 'string', nullable: true },
+    sketchMode: { type: 'string', nullable: true, choices: ['global', 'instance'] },
+    integrity: { type: 'string', nullable: true, check: value => /^sha(256|384|512)-[A-Za-z0-9+/]+=*$/.test(value) ? null : 'must be a Subresource Integrity hash such as "sha256-..."' },
+    template: { type: 'string', nullable: true },
+    libraries: { type: 'array' },
+    lastUpdated: { type: 'string', check: value => Number.isNaN(Date.parse(value)) ? 'must be an ISO date' : null }
+  };
+
+  /**
+   * The fields of each entry in `libraries`
+   */
+  static LIBRARY_SCHEMA = {
+    name: { type: 'string', required: true },
+    package: { type: 'string', required: true },
+    version: { type: 'string', required: true, check: value => SemVer.isVersion(value) ? null : 'must be an exact version' },
+    file: { type: 'string', required: true },
+    followsP5: { type: 'boolean' }
+  };
+
+  /**
+   * Forward migrations, applied in order to files with an older schema version.
+   * Each step only adds or reshapes fields and never drops unknown ones.
+   */
+  static MIGRATIONS = [
+    {
+      from: 0,
+      to: 1,
+      // The first files only had version, mode, typeDefsVersion and lastUpdated
+      migrate: config => ({
+        ...config,
+        // getDefault() used to write the tag "latest" instead of a version
+        version: config.version === 'latest' ? null : config.version ?? null,
+        versionRange: config.versionRange ?? (config.version === 'latest' ? 'latest' : null),
+        // null: the provider is read from the p5.js script tag, as before it was recorded
+        cdnProvider: config.cdnProvider ?? null,
+        mirror: config.mirror ?? null,
+        minified: config.minified ?? false,
+        typeDefsPackage: config.typeDefsPackage ?? null,
+        sketchMode: config.sketchMode ?? null,
+        integrity: config.integrity ?? null,
+        // null: the default starter template
+        template: config.template ?? null,
+        libraries: config.libraries ?? [],
+        schemaVersion: 1
+      })
+    },
+    {
+      from: 1,
+      to: 2,
+      migrate: config => ({
+        ...config,
+        // Nothing chose a build before version 2, so false only meant "not chosen":
+        // null keeps the build of the existing script tag
+        minified: config.minified === true ? true : null,
+        versionedFile: config.versionedFile ?? false,
+        schemaVersion: 2
+      })
+    }
+  ];
+
   /**
    * Creates a new ConfigManager instance
    * @param {FileManager} fileManager - The file manager instance for file operations
-   * @param {string} [configPath='sketch/p5-config.json'] - Path to the configuration file
+   * @param {string} [configPath='<basePath>p5-config.json'] - Path to the configuration file (defaults to the file manager's project directory)
    */
-  constructor(fileManager, configPath = `${basePath}p5-config.json`) {
+  constructor(fileManager, configPath = `${fileManager.basePath}p5-config.json`) {
     this.fileManager = fileManager;
     this.configPath = configPath;
+    // Set by load() when the file was written with an older schema: { from, to }
+    this.migrated = null;
   }
 
   /**
-   * Loads configuration from file
-   * @returns {Promise<Object|null>} The configuration object with {version, mode, typeDefsVersion, lastUpdated} or null if config doesn't exist
+   * Loads configuration from file, migrating older schema versions and validating the result.
+   * A semver range written as `version` (e.g., "^1.9") is moved to `versionRange`,
+   * leaving `version` null until setup installs a concrete version.
+   * @returns {Promise<Object|null>} The configuration object with {schemaVersion, version, versionRange, mode, cdnProvider, mirror, minified, versionedFile, typeDefsVersion, typeDefsPackage, sketchMode, integrity, template, libraries, lastUpdated} or null if config doesn't exist
+   * @throws {ConfigError} If the file can't be read, isn't valid JSON, comes from a newer schema or has invalid fields
    */
   async load() {
+    this.migrated = null;
+    if (!await this.fileManager.exists(this.configPath)) return null;
+
+    let content;
     try {
-      await access(this.configPath);
-      return await this.fileManager.readJSON(this.configPath);
+      content = await this.fileManager.readHTML(this.configPath);
     } catch (error) {
-      // Config doesn't exist
-      return null;
+      throw new ConfigError(`Could not read ${this.configPath}: ${error.message}`, this.configPath);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new ConfigError(`${this.configPath} is not valid JSON: ${ConfigManager.describeJSONError(error, content)}`, this.configPath);
     }
+
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+      throw new ConfigError(`${this.configPath} must contain a JSON object`, this.configPath);
+    }
+
+    if (SemVer.isRange(config.version)) {
+      config = { ...config, version: null, versionRange: config.versionRange ?? config.version };
+    }
+
+    const from = config.schemaVersion ?? 0;
+    if (typeof from === 'number' && from > ConfigManager.SCHEMA_VERSION) {
+      throw new ConfigError(`${this.configPath} uses schema version ${from}, but this tool only knows up to ${ConfigManager.SCHEMA_VERSION}. Update the project creator.`, this.configPath);
+    }
+
+    config = this.migrate(config);
+    if (from !== ConfigManager.SCHEMA_VERSION) {
+      this.migrated = { from, to: ConfigManager.SCHEMA_VERSION };
+    }
+
+    const problems = this.validate(config);
+    if (problems.length > 0) {
+      throw new ConfigError(`${this.configPath} has invalid settings:`, this.configPath, problems);
+    }
+
+    return config;
+  }
+
+  /**
+   * Applies the forward migrations a configuration needs to reach the current schema version
+   * @param {Object} config - The configuration as read from disk
+   * @returns {Object} The migrated configuration
+   */
+  migrate(config) {
+    let migrated = config;
+    for (const step of ConfigManager.MIGRATIONS) {
+      if ((migrated.schemaVersion ?? 0) === step.from) {
+        migrated = JSON.parse(JSON.stringify(step.migrate(migrated)));
+      }
+    }
+    return migrated;
+  }
+
+  /**
+   * Checks a configuration against the schema
+   * @param {Object} config - The configuration
+   * @returns {string[]} One message per problem, naming the field (empty if valid)
+   */
+  validate(config) {
+    const problems = ConfigManager.checkFields(config, ConfigManager.SCHEMA, '');
+
+    if (config.schemaVersion !== undefined && config.schemaVersion !== ConfigManager.SCHEMA_VERSION) {
+      problems.push(`"schemaVersion" must be ${ConfigManager.SCHEMA_VERSION} (found ${JSON.stringify(config.schemaVersion)})`);
+    }
+
+    if (config.version === null && !config.versionRange) {
+      problems.push('"version" must be set unless "versionRange" is');
+    }
+
+    if (Array.isArray(config.libraries)) {
+      config.libraries.forEach((library, index) => {
+        if (library === null || typeof library !== 'object' || Array.isArray(library)) {
+          problems.push(`"libraries[${index}]" must be an object`);
+        } else {
+          problems.push(...ConfigManager.checkFields(library, ConfigManager.LIBRARY_SCHEMA, `libraries[${index}].`));
+        }
+      });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Checks the fields of an object against a schema
+   * @param {Object} object - The object to check
+   * @param {Object} schema - Field definitions (see ConfigManager.SCHEMA)
+   * @param {string} prefix - Prefix for field names in messages (e.g., "libraries[0].")
+   * @returns {string[]} The problems found
+   */
+  static checkFields(object, schema, prefix) {
+    const problems = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+      const value = object[field];
+      const name = `"${prefix}${field}"`;
+
+      if (value === undefined) {
+        if (rule.required) problems.push(`${name} is missing`);
+        continue;
+      }
+      if (value === null) {
+        if (!rule.nullable) problems.push(`${name} must not be null`);
+        continue;
+      }
+
+      const type = Array.isArray(value) ? 'array' : typeof value;
+      if (type !== rule.type) {
+        problems.push(`${name} must be ${rule.type === 'array' ? 'an array' : `a ${rule.type}`} (found ${JSON.stringify(value)})`);
+        continue;
+      }
+
+      if (rule.choices && !rule.choices.includes(value)) {
+        problems.push(`${name} must be one of ${rule.choices.map(choice => `"${choice}"`).join(', ')} (found ${JSON.stringify(value)})`);
+        continue;
+      }
+
+      const problem = rule.check ? rule.check(value) : null;
+      if (problem) problems.push(`${name} ${problem} (found ${JSON.stringify(value)})`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Turns a JSON.parse error into a message with the line and column of the problem
+   * @param {SyntaxError} error - The parse error
+   * @param {string} content - The text that failed to parse
+   * @returns {string} The description
+   */
+  static describeJSONError(error, content) {
+    const match = /at position (\d+)/.exec(error.message);
+    if (!match) return error.message;
+
+    const before = content.slice(0, Number(match[1]));
+    const line = before.split('\n').length;
+    const column = before.length - before.lastIndexOf('\n');
+    return `${error.message.replace(/ in JSON at position \d+.*$/, '')} (line ${line}, column ${column})`;
   }
 
   /**
@@ -33,30 +268,97 @@ export class ConfigManager {
    * @param {string} version - The p5.js version to save
    * @param {string} [mode='cdn'] - The delivery mode: "cdn" or "local"
    * @param {string|null} [typeDefsVersion=null] - The version of type definitions downloaded
+   * @param {Object} [extra={}] - Additional fields to store (e.g., integrity, libraries)
    * @returns {Promise<void>}
+   * @throws {ConfigError} If the resulting configuration doesn't match the schema
    */
-  async save(version, mode = 'cdn', typeDefsVersion = null) {
-    const config = {
+  async save(version, mode = 'cdn', typeDefsVersion = null, extra = {}) {
+    await this.write({
+      ...this.getDefault(),
       version,
       mode,
       typeDefsVersion,
+      ...extra
+    });
+  }
+
+  /**
+   * Merges changes into the existing configuration file, keeping all other fields
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<void>}
+   * @throws {ConfigError} If the existing file is invalid or the result doesn't match the schema
+   */
+  async update(changes) {
+    const current = (await this.load()) || this.getDefault();
+    await this.write({ ...current, ...changes });
+  }
+
+  /**
+   * Validates a configuration and writes it with the current schema version and timestamp.
+   * A write that changes nothing else keeps the old timestamp, so the file stays as it is.
+   * @param {Object} config - The configuration
+   * @returns {Promise<void>}
+   * @throws {ConfigError} If the configuration doesn't match the schema
+   */
+  async write(config) {
+    const { schemaVersion, ...fields } = config;
+    const complete = {
+      schemaVersion: ConfigManager.SCHEMA_VERSION,
+      ...fields,
       lastUpdated: new Date().toISOString()
     };
 
-    await this.fileManager.writeJSON(this.configPath, config);
+    const problems = this.validate(complete);
+    if (problems.length > 0) {
+      throw new ConfigError(`Refusing to write invalid settings to ${this.configPath}:`, this.configPath, problems);
+    }
+
+    const previous = await this.readPrevious();
+    if (previous && JSON.stringify({ ...complete, lastUpdated: previous.config.lastUpdated }, null, 2) === previous.content) {
+      complete.lastUpdated = previous.config.lastUpdated;
+    }
+
+    await this.fileManager.writeJSON(this.configPath, complete);
+    this.migrated = null;
+  }
+
+  /**
+   * Reads the configuration file as it is, without migrating or validating it
+   * @returns {Promise<{ content: string, config: Object }|null>} The file content and its parsed object,
+   *   or null if the file is missing or not a JSON object
+   */
+  async readPrevious() {
+    try {
+      if (!await this.fileManager.exists(this.configPath)) return null;
+      const content = await this.fileManager.readHTML(this.configPath);
+      const config = JSON.parse(content);
+      return config !== null && typeof config === 'object' ? { content, config } : null;
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
    * Gets the default configuration object
-   * @returns {Object} Default configuration with {version: 'latest', mode: 'cdn', typeDefsVersion: null, lastUpdated: ISO timestamp}
+   * @returns {Object} Default configuration for a new CDN-mode project with no version installed yet
    */
   getDefault() {
     return {
-      version: 'latest',
+      schemaVersion: ConfigManager.SCHEMA_VERSION,
+      version: null,
+      versionRange: null,
       mode: 'cdn',
+      cdnProvider: null,
+      mirror: null,
+      minified: null,
+      versionedFile: false,
       typeDefsVersion: null,
+      typeDefsPackage: null,
+      sketchMode: null,
+      integrity: null,
+      template: null,
+      libraries: [],
       lastUpdated: new Date().toISOString()
     };
   }
 }
-
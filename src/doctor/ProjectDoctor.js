@@ -0,0 +1,245 @@
+// ProjectDoctor - Handles cross-checking p5-config.json against the files of a project
+import { TypesProvider } from '../api/TypesProvider.js';
+
+export class ProjectDoctor {
+  /**
+   * Repairs the doctor can offer, in the order they are applied. Removing duplicate tags
+   * comes before rewriting the remaining one; reinstalling types also rewrites jsconfig.json.
+   */
+  static FIXES = {
+    'remove-duplicates': 'Remove the duplicate p5.js script tags',
+    'rewrite-tag': 'Rewrite the p5.js script tag from p5-config.json',
+    'download-p5': 'Download the local p5.js build again',
+    'reinstall-types': 'Reinstall the type definitions',
+    'update-jsconfig': 'Point jsconfig.json at the installed type definitions'
+  };
+
+  /**
+   * Banner at the top of p5.js builds, e.g. "/*! p5.js v2.1.0 August 12, 2025 *\/"
+   */
+  static BANNER_PATTERN = /^\s*\/\*!?\s*p5\.js v(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)/;
+
+  /**
+   * Creates a new ProjectDoctor instance
+   * @param {FileManager} fileManager - The file manager of the project to check
+   * @param {HTMLManager} htmlManager - Used to find the p5.js script tags
+   * @param {TypesProvider} typesProvider - Used to tell which type definitions belong to the configured version
+   */
+  constructor(fileManager, htmlManager, typesProvider) {
+    this.fileManager = fileManager;
+    this.htmlManager = htmlManager;
+    this.typesProvider = typesProvider;
+  }
+
+  /**
+   * Checks the project against its configuration
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {Promise<Array<{ id: string, message: string, fix: string|null }>>} The problems found, ordered by fix
+   *   (see FIXES); fix is null when the doctor can't repair the problem
+   */
+  async diagnose(config) {
+    if (!config.version) {
+      return [this.problem('not-installed', 'p5-config.json does not name an installed p5.js version.', null)];
+    }
+
+    const problems = [
+      ...await this.checkHTML(config),
+      ...(config.mode === 'local' ? await this.checkLocalP5(config) : []),
+      ...(config.typeDefsVersion ? await this.checkTypes(config) : []),
+      ...(config.typeDefsVersion ? await this.checkJSConfig(config) : [])
+    ];
+
+    const order = Object.keys(ProjectDoctor.FIXES);
+    const rank = problem => problem.fix === null ? -1 : order.indexOf(problem.fix);
+    return problems.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Checks the p5.js script tags of every page: index.html must load p5.js, and each page that
+   * does must load it once, in the way p5-config.json describes
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {Promise<Array<Object>>} The problems found
+   */
+  async checkHTML(config) {
+    const base = this.fileManager.basePath;
+    if (!await this.fileManager.exists(`${base}index.html`)) {
+      return [this.problem('missing-html', `\`${base}index.html\` is missing. Run setup to create it.`, null)];
+    }
+
+    const problems = [];
+    for (const page of await this.fileManager.listPages()) {
+      const tags = this.htmlManager.getP5ScriptInfos(await this.fileManager.readHTML(`${base}${page}`));
+      if (tags.length === 0) {
+        if (page === 'index.html') problems.push(this.problem('missing-tag', `\`${base}index.html\` has no p5.js script tag.`, 'rewrite-tag'));
+        continue;
+      }
+
+      if (tags.length > 1) {
+        const sources = tags.map(tag => `    ${tag.src}`).join('\n');
+        problems.push(this.problem('duplicate-tags', `\`${base}${page}\` loads p5.js ${tags.length} times:\n${sources}`, 'remove-duplicates'));
+      }
+
+      const tag = tags[this.htmlManager.pickP5Script(tags, config.mode)];
+      const problem = this.checkTag(tag, `\`${base}${page}\``, config);
+      if (problem) problems.push(problem);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Checks one p5.js script tag against the configuration
+   * @param {Object} tag - The tag (see HTMLManager.getP5ScriptInfos)
+   * @param {string} page - The page, as shown in messages
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {Object|null} The first problem found, or null
+   */
+  checkTag(tag, page, config) {
+    const expectedFile = this.getLocalFileName(config);
+    if (tag.mode !== config.mode) {
+      return this.problem('mode-mismatch', `The p5.js tag in ${page} loads a ${tag.mode === 'local' ? 'local file' : 'CDN build'}, but p5-config.json uses ${config.mode} mode.`, 'rewrite-tag');
+    }
+    if (tag.mode === 'local') {
+      return tag.src.split('/').pop() !== expectedFile
+        ? this.problem('file-mismatch', `The p5.js tag in ${page} loads ${tag.src}, but p5-config.json expects lib/${expectedFile}.`, 'rewrite-tag')
+        : null;
+    }
+    if (tag.version !== config.version) {
+      return this.problem('version-mismatch', `The p5.js tag in ${page} loads version ${tag.version}, but p5-config.json has ${config.version}.`, 'rewrite-tag');
+    }
+    if (config.minified !== null && tag.isMinified !== config.minified) {
+      return this.problem('build-mismatch', `The p5.js tag in ${page} loads the ${tag.isMinified ? 'minified' : 'unminified'} build, but p5-config.json asks for the ${config.minified ? 'minified' : 'unminified'} one.`, 'rewrite-tag');
+    }
+    if (config.cdnProvider && tag.cdnProvider !== config.cdnProvider) {
+      return this.problem('provider-mismatch', `The p5.js tag in ${page} loads from ${tag.cdnProvider}, but p5-config.json uses ${config.cdnProvider}.`, 'rewrite-tag');
+    }
+    if (config.integrity && tag.integrity !== config.integrity) {
+      return this.problem('integrity-mismatch', `The integrity attribute of the p5.js tag in ${page} does not match the hash in p5-config.json.`, 'rewrite-tag');
+    }
+    return null;
+  }
+
+  /**
+   * Checks the local p5.js build of a local-mode project
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {Promise<Array<Object>>} The problems found
+   */
+  async checkLocalP5(config) {
+    const base = this.fileManager.basePath;
+    const p5Path = `${base}lib/${this.getLocalFileName(config)}`;
+    if (!await this.fileManager.exists(p5Path)) {
+      return [this.problem('missing-lib', `\`${p5Path}\` is missing, but p5-config.json uses local mode.`, 'download-p5')];
+    }
+
+    if (config.integrity && !await this.fileManager.verifyFile(p5Path, config.integrity)) {
+      return [this.problem('modified-lib', `\`${p5Path}\` does not match the integrity hash in p5-config.json.`, 'download-p5')];
+    }
+
+    const banner = ProjectDoctor.BANNER_PATTERN.exec(await this.fileManager.readHTML(p5Path));
+    if (banner && banner[1] !== config.version) {
+      return [this.problem('lib-version-mismatch', `\`${p5Path}\` is version ${banner[1]}, but p5-config.json has ${config.version}.`, 'download-p5')];
+    }
+
+    return [];
+  }
+
+  /**
+   * Checks the installed type definitions: the folder named in p5-config.json must exist,
+   * no other p5.js type definitions may be left over, and it must belong to the configured version
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {Promise<Array<Object>>} The problems found
+   */
+  async checkTypes(config) {
+    const base = this.fileManager.basePath;
+    const typesDir = `${base}types`;
+    const folder = `${TypesProvider.DIR_PREFIX}${config.typeDefsVersion}`;
+    const entries = await this.fileManager.exists(typesDir) ? await this.fileManager.listDir(typesDir) : [];
+
+    if (!entries.includes(folder) || !await this.fileManager.exists(`${typesDir}/${folder}/${this.getEntryFile(config)}`)) {
+      return [this.problem('missing-types', `The type definitions in \`${base}types/${folder}/\` are missing or incomplete.`, 'reinstall-types')];
+    }
+
+    const leftovers = entries.filter(entry => entry !== folder && (entry.startsWith(TypesProvider.DIR_PREFIX) || /^p5\.js.*\.d\.ts$/.test(entry)));
+    if (leftovers.length > 0) {
+      return [this.problem('leftover-types', `Other p5.js type definitions are installed next to ${folder}: ${leftovers.join(', ')}`, 'reinstall-types')];
+    }
+
+    let plan = null;
+    try {
+      plan = await this.typesProvider.resolve(config.version, config.sketchMode ?? 'global');
+    } catch (error) {
+      // Offline: the installed types can't be compared with the expected ones
+    }
+    if (plan && plan.version !== config.typeDefsVersion) {
+      return [this.problem('stale-types', `The installed type definitions are for ${config.typeDefsVersion}; p5.js ${config.version} uses ${plan.packageName}@${plan.version}.`, 'reinstall-types')];
+    }
+
+    return [];
+  }
+
+  /**
+   * Checks that jsconfig.json includes the entry file of the installed type definitions
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {Promise<Array<Object>>} The problems found
+   */
+  async checkJSConfig(config) {
+    const base = this.fileManager.basePath;
+    const jsconfigPath = `${base}jsconfig.json`;
+    if (!await this.fileManager.exists(jsconfigPath)) {
+      return [this.problem('missing-jsconfig', `\`${base}jsconfig.json\` is missing, so editors don't load the type definitions.`, 'update-jsconfig')];
+    }
+
+    let jsconfig;
+    try {
+      jsconfig = await this.fileManager.readJSON(jsconfigPath);
+    } catch (error) {
+      return [this.problem('invalid-jsconfig', `\`${base}jsconfig.json\` is not valid JSON.`, 'update-jsconfig')];
+    }
+
+    const entry = this.getEntryPath(config);
+    const include = Array.isArray(jsconfig?.include) ? jsconfig.include : [];
+    if (!include.includes(entry)) {
+      return [this.problem('jsconfig-types', `\`${base}jsconfig.json\` does not include \`${entry}\`.`, 'update-jsconfig')];
+    }
+
+    return [];
+  }
+
+  /**
+   * Gets the file name of the local p5.js build the configuration asks for
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {string} The file name inside lib/
+   */
+  getLocalFileName(config) {
+    return this.htmlManager.getLocalFileName(config.version, { isMinified: config.minified ?? false, versionedFile: config.versionedFile });
+  }
+
+  /**
+   * Gets the entry declaration file of the installed type definitions
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {string} The path, relative to the project directory
+   */
+  getEntryPath(config) {
+    return `types/${TypesProvider.DIR_PREFIX}${config.typeDefsVersion}/${this.getEntryFile(config)}`;
+  }
+
+  /**
+   * Gets the name of the entry declaration file for the configured sketch mode
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {string} The file name inside the type definitions folder
+   */
+  getEntryFile(config) {
+    return config.sketchMode === 'instance' ? TypesProvider.INSTANCE_SHIM : 'global.d.ts';
+  }
+
+  /**
+   * Builds a problem entry
+   * @param {string} id - Identifies the kind of problem
+   * @param {string} message - Describes the problem
+   * @param {string|null} fix - The repair that resolves it (see FIXES), or null
+   * @returns {{ id: string, message: string, fix: string|null }} The problem
+   */
+  problem(id, message, fix) {
+    return { id, message, fix };
+  }
+}
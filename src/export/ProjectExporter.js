@@ -0,0 +1,218 @@
+// ProjectExporter - Handles exporting a sketch as a self-contained bundle
+import { isAbsolute, relative, resolve, sep } from 'path';
+import { ZipWriter } from '../file/ZipWriter.js';
+
+export class ProjectExporter {
+  /**
+   * Project files that are only needed while developing and are left out of exports.
+   * Local p5.js builds are left out too: the export gets a fresh copy of the chosen build.
+   */
+  static EXCLUDED = [
+    /^types\//,
+    /^jsconfig\.json$/,
+    /^p5-config\.json$/,
+    /^node_modules\//,
+    /^\.git\//,
+    /^\.p5-backup\//,
+    /(^|\/)\.DS_Store$/,
+    /(^|\/)Thumbs\.db$/,
+    /^lib\/p5(?:@[^/]+)?(?:\.min)?\.js$/
+  ];
+
+  /**
+   * Creates a new ProjectExporter instance
+   * @param {FileManager} fileManager - The file manager of the project to export
+   * @param {HTMLManager} htmlManager - Used to rewrite script tags and URLs
+   * @param {VersionProvider} versionProvider - Used to look up integrity hashes and download URLs of p5.js builds
+   * @param {LibraryProvider} libraryProvider - Used for local file names of add-on libraries
+   */
+  constructor(fileManager, htmlManager, versionProvider, libraryProvider) {
+    this.fileManager = fileManager;
+    this.htmlManager = htmlManager;
+    this.versionProvider = versionProvider;
+    this.libraryProvider = libraryProvider;
+  }
+
+  /**
+   * Lists the project files that go into an export
+   * @param {string} outDir - The export directory (skipped if it lies inside the project)
+   * @returns {Promise<string[]>} File paths relative to the project directory
+   */
+  async listFiles(outDir) {
+    const basePath = this.fileManager.basePath;
+    // Resolved, so "./" and "dist/" or "sketch/" and "./sketch/dist" are recognized as nested
+    const inside = relative(resolve(basePath), resolve(outDir));
+    const outPrefix = inside && !inside.startsWith('..') && !isAbsolute(inside) ? `${inside.split(sep).join('/')}/` : null;
+
+    return (await this.fileManager.listFiles(basePath.replace(/\/$/, '') || '.'))
+      .filter(file => !ProjectExporter.EXCLUDED.some(pattern => pattern.test(file)))
+      .filter(file => !outPrefix || !file.startsWith(outPrefix));
+  }
+
+  /**
+   * Copies the sketch into the export directory. HTML pages load a local p5.js build
+   * (and local copies of CDN add-on libraries), and root-relative URLs are made relative.
+   * The export directory is replaced.
+   * @param {string} outDir - The export directory, with a trailing slash
+   * @param {Object} options - Export options
+   * @param {string} options.version - The p5.js version to bundle
+   * @param {string} options.mode - The project's delivery mode ("cdn" or "local")
+   * @param {boolean} [options.minify=false] - Bundle lib/p5.min.js instead of lib/p5.js
+   * @param {Array<Object>} [options.libraries=[]] - Add-on libraries from p5-config.json
+   * @returns {Promise<{ files: string[], pages: string[] }>} Exported files and rewritten pages, relative to outDir
+   * @throws {IntegrityError} If a downloaded p5.js build does not match its published hash
+   */
+  async export(outDir, options) {
+    const { version, mode, minify = false, libraries = [] } = options;
+    const basePath = this.fileManager.basePath;
+    const projectFiles = await this.listFiles(outDir);
+
+    await this.fileManager.deleteDir(outDir);
+    await this.fileManager.createDir(outDir);
+
+    const files = [];
+    const pages = [];
+
+    for (const file of projectFiles) {
+      const target = `${outDir}${file}`;
+      await this.fileManager.createDir(target.slice(0, target.lastIndexOf('/')));
+
+      if (/\.html?$/i.test(file)) {
+        const html = this.rewriteHTML(await this.fileManager.readHTML(`${basePath}${file}`), file, { version, mode, minify, libraries });
+        await this.fileManager.writeHTML(target, html);
+        pages.push(file);
+      } else {
+        await this.fileManager.copyFile(`${basePath}${file}`, target);
+      }
+      files.push(file);
+    }
+
+    await this.fileManager.createDir(`${outDir}lib`);
+
+    const p5File = minify ? 'lib/p5.min.js' : 'lib/p5.js';
+    const url = this.versionProvider.getFileURL(version, p5File);
+    const integrity = await this.versionProvider.getFileIntegrity(version, p5File);
+    if (integrity) {
+      await this.fileManager.downloadVerifiedFile(url, `${outDir}${p5File}`, integrity);
+    } else {
+      await this.fileManager.downloadFile(url, `${outDir}${p5File}`);
+    }
+    files.push(p5File);
+
+    // In local mode the libraries were copied from lib/ with the other project files
+    if (mode === 'cdn') {
+      for (const library of libraries) {
+        const fileName = `lib/${this.libraryProvider.getLocalFileName(library)}`;
+        await this.fileManager.downloadFile(this.versionProvider.getFileURL(library.version, library.file, library.package), `${outDir}${fileName}`);
+        files.push(fileName);
+      }
+    }
+
+    return { files, pages };
+  }
+
+  /**
+   * Rewrites an HTML page for the export: the p5.js tag and CDN library tags point to
+   * the bundled files, and root-relative URLs become relative to the page
+   * @param {string} html - The page content
+   * @param {string} file - Path of the page relative to the project directory
+   * @param {Object} options - Export options (see export)
+   * @returns {string} The rewritten page
+   */
+  rewriteHTML(html, file, options) {
+    if (this.htmlManager.getP5ScriptInfo(html)) {
+      html = this.htmlManager.updateP5Script(html, options.version, 'local', { isMinified: options.minify }).html;
+
+      if (options.mode === 'cdn') {
+        for (const library of options.libraries) {
+          // Only switch tags the page already has; updateLibraryScript would add missing ones
+          const result = this.htmlManager.updateLibraryScript(html, library, 'local', { previous: library });
+          if (result.method === 'updated-existing-script') html = result.html;
+        }
+      }
+    }
+
+    const depth = file.split('/').length - 1;
+    const prefix = depth === 0 ? './' : '../'.repeat(depth);
+    return this.htmlManager.relativizePaths(html, prefix).html;
+  }
+
+  /**
+   * Builds a zip in the layout the p5.js Web Editor downloads and accepts: the project in a
+   * top-level folder, p5.js and catalog libraries from the CDN, and other local scripts in libraries/
+   * @param {string} zipPath - Where to write the archive
+   * @param {Object} options - Export options
+   * @param {string} options.name - Name of the top-level folder (the sketch name)
+   * @param {string} options.version - The p5.js version the pages load
+   * @param {Array<Object>} [options.libraries=[]] - Add-on libraries from p5-config.json
+   * @returns {Promise<{ files: string[], size: number }>} Files in the archive (without the folder) and its size in bytes
+   */
+  async exportWebEditor(zipPath, options) {
+    const { name, version, libraries = [] } = options;
+    const basePath = this.fileManager.basePath;
+    const localLibraries = libraries.map(library => `lib/${this.libraryProvider.getLocalFileName(library)}`);
+    const rename = path => path.startsWith('lib/') ? `libraries/${path.slice('lib/'.length)}` : path;
+
+    const zip = new ZipWriter();
+    const files = [];
+
+    for (const file of await this.listFiles(zipPath)) {
+      // Libraries are loaded from the CDN, so their local copies are not needed
+      if (localLibraries.includes(file)) continue;
+
+      let content = await this.fileManager.readBuffer(`${basePath}${file}`);
+      if (/\.html?$/i.test(file)) {
+        content = this.rewriteWebEditorHTML(content.toString('utf-8'), file, version, libraries, rename);
+      }
+
+      zip.addFile(`${name}/${rename(file)}`, content);
+      files.push(rename(file));
+    }
+
+    const buffer = zip.toBuffer();
+    await this.fileManager.writeBuffer(zipPath, buffer);
+    return { files, size: buffer.length };
+  }
+
+  /**
+   * Rewrites an HTML page for the Web Editor: p5.js and add-on library tags use the CDN,
+   * and root-relative URLs become relative, with lib/ renamed to libraries/
+   * @param {string} html - The page content
+   * @param {string} file - Path of the page relative to the project directory
+   * @param {string} version - The p5.js version
+   * @param {Array<Object>} libraries - Add-on libraries from p5-config.json
+   * @param {function(string): string} rename - Maps project paths to Web Editor paths
+   * @returns {string} The rewritten page
+   */
+  rewriteWebEditorHTML(html, file, version, libraries, rename) {
+    if (this.htmlManager.getP5ScriptInfo(html)) {
+      html = this.htmlManager.updateP5Script(html, version, 'cdn', { cdnProvider: 'jsdelivr' }).html;
+
+      for (const library of libraries) {
+        const result = this.htmlManager.updateLibraryScript(html, library, 'cdn', { previous: library });
+        if (result.method === 'updated-existing-script') html = result.html;
+      }
+    }
+
+    const depth = file.split('/').length - 1;
+    const prefix = depth === 0 ? '' : '../'.repeat(depth);
+    return this.htmlManager.relativizePaths(html, prefix, rename).html;
+  }
+
+  /**
+   * Packs an exported directory into a zip archive, with index.html at the top level
+   * @param {string} outDir - The export directory, with a trailing slash
+   * @param {string} zipPath - Where to write the archive
+   * @returns {Promise<number>} Size of the archive in bytes
+   */
+  async createZip(outDir, zipPath) {
+    const zip = new ZipWriter();
+    for (const file of await this.fileManager.listFiles(outDir.replace(/\/$/, ''))) {
+      zip.addFile(file, await this.fileManager.readBuffer(`${outDir}${file}`));
+    }
+
+    const buffer = zip.toBuffer();
+    await this.fileManager.writeBuffer(zipPath, buffer);
+    return buffer.length;
+  }
+}
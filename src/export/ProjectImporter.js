@@ -0,0 +1,193 @@
+// ProjectImporter - Handles importing p5.js Web Editor projects into the managed layout
+import { posix } from 'path';
+import { ZipReader } from '../file/ZipReader.js';
+import { ProjectError } from '../project/Project.js';
+
+/**
+ * Error thrown when a project cannot be imported
+ */
+export class ImportError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+export class ProjectImporter {
+  /**
+   * Folder the p5.js Web Editor keeps p5.js and add-on libraries in
+   */
+  static LIBRARIES_DIR = 'libraries/';
+
+  /**
+   * Archive entries that are not part of the project
+   */
+  static SKIPPED = [/^__MACOSX\//, /(^|\/)\.DS_Store$/, /(^|\/)Thumbs\.db$/];
+
+  /**
+   * Creates a new ProjectImporter instance
+   * @param {FileManager} fileManager - The file manager of the project to import into
+   * @param {HTMLManager} htmlManager - Used to find and rewrite script tags
+   */
+  constructor(fileManager, htmlManager) {
+    this.fileManager = fileManager;
+    this.htmlManager = htmlManager;
+  }
+
+  /**
+   * Reads the files of a Web Editor project from a downloaded zip or an unpacked folder.
+   * The folder the Web Editor wraps the project in is removed from the paths.
+   * @param {string} source - Path of the zip archive or folder
+   * @returns {Promise<Map<string, Buffer>>} File contents by path relative to the project root
+   * @throws {ImportError} If the source doesn't exist
+   * @throws {ZipError} If the archive can't be read
+   * @throws {ProjectError} If a file would end up outside the project directory
+   */
+  async readSource(source) {
+    const files = new Map();
+
+    if (await this.fileManager.isDirectory(source)) {
+      for (const file of await this.fileManager.listFiles(source)) {
+        files.set(this.safePath(file), await this.fileManager.readBuffer(`${source.replace(/[/\\]$/, '')}/${file}`));
+      }
+    } else if (await this.fileManager.exists(source)) {
+      const zip = new ZipReader(await this.fileManager.readBuffer(source));
+      for (const entry of zip.entries()) {
+        files.set(this.safePath(entry.name), zip.read(entry));
+      }
+    } else {
+      throw new ImportError(`Not found: ${source}`);
+    }
+
+    for (const file of files.keys()) {
+      if (ProjectImporter.SKIPPED.some(pattern => pattern.test(file))) files.delete(file);
+    }
+
+    // Strip a single top-level folder (e.g., "My Sketch/index.html")
+    const tops = new Set([...files.keys()].map(file => file.split('/')[0]));
+    if (tops.size === 1 && !files.has('index.html') && [...files.keys()][0].includes('/')) {
+      const [top] = tops;
+      return new Map([...files].map(([file, content]) => [file.slice(top.length + 1), content]));
+    }
+
+    return files;
+  }
+
+  /**
+   * Normalizes the path of a source file or archive entry. Paths that would be written outside the
+   * project directory (zip-slip) are refused before anything is staged.
+   * @param {string} name - The path as stored in the source
+   * @returns {string} The path with forward slashes, relative to the project root
+   * @throws {ProjectError} If the path is absolute, starts with a drive letter or climbs out with ".."
+   */
+  safePath(name) {
+    const path = posix.normalize(name.replace(/\\/g, '/'));
+    if (/^[/\\]/.test(name) || /^[a-z]:/i.test(name) || path === '..' || path.startsWith('../')) {
+      throw new ProjectError(`Refusing to import "${name}": it points outside the project directory`, 'unsafe-path');
+    }
+    return path;
+  }
+
+  /**
+   * Imports a Web Editor project into the project directory.
+   * Files from libraries/ move to lib/ and their script tags become root-relative (/lib/...);
+   * the p5.js file itself is left out in local mode, so setup can install a verified copy.
+   * @param {string} source - Path of the zip archive or folder
+   * @returns {Promise<{ version: string, mode: string, isMinified: boolean, files: string[], pages: string[] }>}
+   *   The detected p5.js version and delivery mode, and the written files and pages (relative to the project)
+   * @throws {ImportError} If the project has no index.html, no p5.js script tag, or its p5.js version can't be told
+   * @throws {ProjectError} If a file would end up outside the project directory (see safePath)
+   */
+  async import(source) {
+    const files = await this.readSource(source);
+
+    if (!files.has('index.html')) {
+      throw new ImportError(`No index.html found in ${source}`);
+    }
+
+    const info = this.htmlManager.getP5ScriptInfo(files.get('index.html').toString('utf-8'));
+    if (!info) {
+      throw new ImportError('No p5.js script tag found in index.html');
+    }
+
+    const mode = /^https?:/.test(info.src) ? 'cdn' : 'local';
+    const p5File = mode === 'local' ? posix.normalize(info.src.replace(/^\//, '')) : null;
+    const version = this.detectVersion(info, p5File ? files.get(p5File) : null);
+    if (!version) {
+      throw new ImportError(`Could not tell the p5.js version from ${info.src}`);
+    }
+
+    const basePath = this.fileManager.basePath;
+    const written = [];
+    const pages = [];
+
+    for (const [file, content] of files) {
+      if (file === p5File) continue;
+
+      const target = this.mapPath(file);
+      await this.fileManager.createDir(`${basePath}${target}`.replace(/\/[^/]*$/, '') || '.');
+
+      if (/\.html?$/i.test(file)) {
+        await this.fileManager.writeHTML(`${basePath}${target}`, this.rewriteHTML(content.toString('utf-8'), file, version, mode));
+        pages.push(target);
+      } else {
+        await this.fileManager.writeBuffer(`${basePath}${target}`, content);
+      }
+      written.push(target);
+    }
+
+    return { version, mode, isMinified: info.isMinified, files: written, pages };
+  }
+
+  /**
+   * Tells the p5.js version from the script tag, or from the banner comment of a local copy
+   * (e.g., "/*! p5.js v1.4.0 July 19, 2021 *\/")
+   * @param {Object} info - The p5.js script tag info (see HTMLManager.getP5ScriptInfo)
+   * @param {Buffer|null} content - The content of the local p5.js file, if any
+   * @returns {string|null} The version, or null if unknown
+   */
+  detectVersion(info, content) {
+    if (info.version && info.version !== 'local') return info.version;
+    if (!content) return null;
+
+    const match = /p5\.js v(\d+\.\d+\.\d+(?:-[\w.]+)?)/.exec(content.subarray(0, 1024).toString('utf-8'));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Maps a Web Editor file path to the managed layout (libraries/ becomes lib/)
+   * @param {string} file - Path relative to the project root
+   * @returns {string} The new path
+   */
+  mapPath(file) {
+    return file.startsWith(ProjectImporter.LIBRARIES_DIR)
+      ? `lib/${file.slice(ProjectImporter.LIBRARIES_DIR.length)}`
+      : file;
+  }
+
+  /**
+   * Rewrites an imported page: the p5.js tag follows the managed layout for the delivery mode,
+   * and URLs pointing into libraries/ become root-relative /lib/ URLs
+   * @param {string} html - The page content
+   * @param {string} file - Path of the page relative to the project root
+   * @param {string} version - The p5.js version
+   * @param {string} mode - The delivery mode ("cdn" or "local")
+   * @returns {string} The rewritten page
+   */
+  rewriteHTML(html, file, version, mode) {
+    // The local tag points to the non-minified lib/p5.js that setup installs
+    if (mode === 'local' && this.htmlManager.getP5ScriptInfo(html)) {
+      html = this.htmlManager.updateP5Script(html, version, 'local', { isMinified: false }).html;
+    }
+
+    const dir = posix.dirname(file);
+    return this.htmlManager.rewriteURLs(html, value => {
+      if (/^([a-z]+:|\/|#)/i.test(value)) return value;
+      const path = posix.normalize(posix.join(dir, value));
+      return path.startsWith(ProjectImporter.LIBRARIES_DIR) ? `/${this.mapPath(path)}` : value;
+    }).html;
+  }
+}
@@ -1,35 +1,173 @@
 // FileManager - Handles all file system operations
-import { readFile, writeFile, mkdir, access, rm, readdir } from 'fs/promises';
-import { constants } from 'fs';
+import { readFile, writeFile, mkdir, mkdtemp, access, rm, readdir, stat, copyFile, rename, rmdir } from 'fs/promises';
+import { constants, rmSync } from 'fs';
+import { createHash } from 'crypto';
+import { tmpdir } from 'os';
+import { join, posix } from 'path';
+import { Downloader } from '../net/Downloader.js';
 
-const basePath = 'sketch/';
+/**
+ * Error thrown when downloaded or installed content does not match its expected integrity hash
+ */
+export class IntegrityError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {string} expected - The expected integrity string
+   * @param {string} actual - The integrity string of the actual content
+   */
+  constructor(message, expected, actual) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Error thrown when staged changes could not be applied (the project has been restored)
+ */
+export class CommitError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {Error} cause - The error that stopped the commit
+   * @param {boolean} [restored=true] - Whether all original files were restored
+   */
+  constructor(message, cause, restored = true) {
+    super(message);
+    this.name = 'CommitError';
+    this.cause = cause;
+    this.restored = restored;
+  }
+}
+
+/**
+ * Planned content that was downloaded to a temporary file instead of being held in memory
+ */
+class StagedFile {
+  /**
+   * @param {string} path - The temporary file
+   */
+  constructor(path) {
+    this.path = path;
+  }
+}
 
 export class FileManager {
+  /**
+   * Folder inside the project that holds the originals of the last applied changes
+   */
+  static BACKUP_DIR = '.p5-backup';
+
+  /**
+   * Folders inside the project that never hold sketch pages
+   */
+  static NON_PAGE_DIRS = ['node_modules', '.git', '.p5-backup', 'lib', 'types'];
+
+  /**
+   * Creates a new FileManager instance
+   * @param {string} [basePath='sketch/'] - The project directory, with a trailing slash
+   * @param {CacheManager|null} [cache=null] - Optional cache for downloads of versioned package files
+   * @param {Object} [options={}] - File manager options
+   * @param {boolean} [options.dryRun=false] - Record writes, deletes and downloads in a plan instead of
+   *   performing them; reads see the planned state, so later steps behave as if the changes were made
+   * @param {Downloader} [options.downloader] - Performs the downloads (a default Downloader if omitted)
+   */
+  constructor(basePath = 'sketch/', cache = null, options = {}) {
+    this.basePath = FileManager.normalizeBasePath(basePath);
+    this.cache = cache;
+    this.downloader = options.downloader ?? new Downloader();
+    this.dryRun = options.dryRun ?? false;
+    this.staging = this.dryRun;
+
+    // Staged state: planned actions and the planned content of touched paths (null = deleted)
+    this.actions = new Map();
+    this.pending = new Map();
+    this.originals = new Map();
+    this.createdDirs = new Set();
+    this.deletedDirs = new Set();
+    // Temporary folder for files downloaded while staging, created on the first download
+    this.downloadDir = null;
+  }
+
+  /**
+   * Normalizes a project directory to the form used for building paths:
+   * forward slashes and exactly one trailing slash (e.g., "./my-sketch" -> "./my-sketch/")
+   * @param {string} dir - The project directory
+   * @returns {string} The normalized base path
+   */
+  static normalizeBasePath(dir) {
+    const normalized = dir.replace(/\\/g, '/').replace(/\/+$/, '');
+    return normalized === '' ? '/' : `${normalized}/`;
+  }
+
   /**
    * Reads HTML file content from the specified path
-   * @param {string} [path='sketch/index.html'] - The path to the HTML file
+   * @param {string} [path='<basePath>index.html'] - The path to the HTML file
    * @returns {Promise<string>} The file content as a string
    */
-  async readHTML(path = `${basePath}index.html`) {
+  async readHTML(path = `${this.basePath}index.html`) {
+    const planned = this.planned(path);
+    if (planned instanceof StagedFile) return await readFile(planned.path, 'utf-8');
+    if (planned !== undefined) return FileManager.toText(planned, path);
     return await readFile(path, 'utf-8');
   }
 
   /**
    * Writes HTML content to the specified path
-   * @param {string} [path='sketch/index.html'] - The path where the file should be written
+   * @param {string} [path='<basePath>index.html'] - The path where the file should be written
    * @param {string} content - The HTML content to write
    * @returns {Promise<void>}
    */
-  async writeHTML(path = `${basePath}index.html`, content) {
+  async writeHTML(path = `${this.basePath}index.html`, content) {
+    if (this.staging) return await this.stage(path, content);
     await writeFile(path, content, 'utf-8');
   }
 
+  /**
+   * Reads a file as raw bytes (for binary files such as images or archives)
+   * @param {string} path - The file path
+   * @returns {Promise<Buffer>} The file content
+   */
+  async readBuffer(path) {
+    const planned = this.planned(path);
+    if (planned instanceof StagedFile) return await readFile(planned.path);
+    if (planned !== undefined) return Buffer.isBuffer(planned) ? planned : Buffer.from(FileManager.toText(planned, path), 'utf-8');
+    return await readFile(path);
+  }
+
+  /**
+   * Writes raw bytes to a file
+   * @param {string} path - The file path
+   * @param {Buffer} data - The content to write
+   * @returns {Promise<void>}
+   */
+  async writeBuffer(path, data) {
+    if (this.staging) return await this.stage(path, data);
+    await writeFile(path, data);
+  }
+
   /**
    * Creates a directory recursively (creates parent directories if needed)
    * @param {string} path - The directory path to create
    * @returns {Promise<void>}
    */
   async createDir(path) {
+    if (this.staging) {
+      const key = FileManager.key(path);
+      if (this.actions.get(`${key}/`)?.type === 'delete' && await this.existsOnDisk(key)) {
+        // Deleted and created again, the directory stays; only the files that aren't written again go
+        this.actions.delete(`${key}/`);
+        this.deletedDirs.delete(key);
+        for (const [file, content] of this.pending) {
+          if (content === null && file.startsWith(`${key}/`)) this.record('delete', file);
+        }
+      } else if (!await this.exists(path)) {
+        this.record('create', `${key}/`);
+      }
+      this.createdDirs.add(key);
+      return;
+    }
+
     try {
       await mkdir(path, { recursive: true });
     } catch (error) {
@@ -43,6 +181,13 @@ export class FileManager {
    * @returns {Promise<boolean>} True if the path exists, false otherwise
    */
   async exists(path) {
+    if (this.staging) {
+      const planned = this.planned(path);
+      if (planned !== undefined) return planned !== null;
+      if (this.plannedChildren(path).length > 0 || this.createdDirs.has(FileManager.key(path))) return true;
+      if (this.isDeleted(path)) return false;
+    }
+
     try {
       await access(path, constants.F_OK);
       return true;
@@ -57,11 +202,94 @@ export class FileManager {
    * @returns {Promise<string[]>} Array of file/folder names, or empty array if directory doesn't exist
    */
   async listDir(path) {
+    let names = [];
+    if (!this.staging || !this.isDeleted(path)) {
+      try {
+        names = await readdir(path);
+      } catch (err) {
+        names = [];
+      }
+    }
+    if (!this.staging) return names;
+
+    const planned = this.plannedChildren(path).map(child => child.split('/')[0]);
+    const all = [...new Set([...names, ...planned])];
+    const present = await Promise.all(all.map(name => this.exists(`${FileManager.key(path)}/${name}`)));
+    return all.filter((name, index) => present[index]);
+  }
+
+  /**
+   * Checks if a directory exists at the specified path
+   * @param {string} path - The path to check
+   * @returns {Promise<boolean>} True if the path is a directory, false otherwise
+   */
+  async isDirectory(path) {
+    if (this.staging) {
+      if (this.planned(path) !== undefined) return false;
+      if (this.plannedChildren(path).length > 0 || this.createdDirs.has(FileManager.key(path))) return true;
+      if (this.isDeleted(path)) return false;
+    }
+
+    try {
+      return (await stat(path)).isDirectory();
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Lists all files below a directory recursively
+   * @param {string} path - The directory path to list
+   * @param {string} [prefix=''] - Prefix for the returned paths (used for recursion)
+   * @returns {Promise<string[]>} File paths relative to the directory, with forward slashes, or empty array if directory doesn't exist
+   */
+  async listFiles(path, prefix = '') {
+    let entries;
     try {
-      return await readdir(path);
+      entries = await readdir(path, { withFileTypes: true });
     } catch (err) {
-      return [];
+      entries = [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(`${path}/${entry.name}`, relative));
+      } else {
+        files.push(relative);
+      }
     }
+
+    // Only the outermost call merges the planned state; planned directories aren't files
+    if (!this.staging || prefix) return files;
+
+    const all = [...new Set([...files, ...this.plannedChildren(path, false)])];
+    const present = await Promise.all(all.map(file => this.exists(`${FileManager.key(path)}/${file}`)));
+    return all.filter((file, index) => present[index]);
+  }
+
+  /**
+   * Lists the HTML pages of the project, skipping dependencies, backups and downloaded files
+   * @returns {Promise<string[]>} Page paths relative to the project directory, index.html first
+   */
+  async listPages() {
+    const pages = (await this.listFiles(this.basePath.replace(/\/$/, '') || '.'))
+      .filter(file => /\.html?$/i.test(file))
+      .filter(file => !FileManager.NON_PAGE_DIRS.includes(file.split('/')[0]))
+      .sort();
+    return [...pages.filter(page => page === 'index.html'), ...pages.filter(page => page !== 'index.html')];
+  }
+
+  /**
+   * Copies a file byte-for-byte
+   * @param {string} source - The file to copy
+   * @param {string} target - The destination path
+   * @returns {Promise<void>}
+   */
+  async copyFile(source, target) {
+    if (this.staging) return await this.stage(target, await this.readBuffer(source));
+    await copyFile(source, target);
   }
 
   /**
@@ -70,6 +298,11 @@ export class FileManager {
    * @returns {Promise<boolean>} True if deletion succeeded, false otherwise
    */
   async deleteFile(path) {
+    if (this.staging) {
+      if (await this.exists(path)) await this.stage(path, null);
+      return true;
+    }
+
     try {
       await rm(path, { force: true });
       return true;
@@ -84,6 +317,21 @@ export class FileManager {
    * @returns {Promise<boolean>} True if deletion succeeded, false otherwise
    */
   async deleteDir(path) {
+    if (this.staging) {
+      if (!await this.exists(path)) return true;
+
+      for (const file of await this.listFiles(path)) {
+        await this.stage(`${FileManager.key(path)}/${file}`, null, false);
+      }
+      const key = FileManager.key(path);
+      this.deletedDirs.add(key);
+      for (const dir of this.createdDirs) {
+        if (dir === key || dir.startsWith(`${key}/`)) this.createdDirs.delete(dir);
+      }
+      this.record('delete', `${key}/`);
+      return true;
+    }
+
     try {
       await rm(path, { recursive: true, force: true });
       return true;
@@ -93,31 +341,148 @@ export class FileManager {
   }
 
   /**
-   * Downloads a file from a URL and saves it to the specified path
+   * Downloads a file from a URL and saves it to the specified path.
+   * Uncached files are streamed to disk: outside a transaction they replace the target only when complete,
+   * while staging they go to a temporary file that commit() puts in place.
    * @param {string} url - The URL to download from
    * @param {string} targetPath - The local path where the file should be saved
    * @returns {Promise<string>} The downloaded content as a string
+   * @throws {DownloadError} If the download fails or the server answers with an error status
    */
   async downloadFile(url, targetPath) {
-    const response = await fetch(url);
+    if (this.dryRun) return await this.planDownload(url, targetPath);
+
+    const key = this.cache ? this.cache.keyForURL(url) : null;
+    if (!(key && await this.cache.getFile(key) !== null)) {
+      const file = this.staging ? await this.downloadPath(targetPath) : targetPath;
+      await this.downloader.toFile(url, file);
+      const content = await readFile(file, 'utf-8');
+      if (key) await this.cache.setFile(key, content);
+
+      if (this.staging) {
+        await this.stage(targetPath, new StagedFile(file));
+        // Downloading what is already on disk changes nothing
+        if (content === this.originals.get(FileManager.key(targetPath))) await this.stage(targetPath, content);
+      }
+      return content;
+    }
+
+    const response = await this.downloadFileWithCheck(url);
+    if (!response.ok) throw this.downloader.statusError(url, response.status);
+
     const content = await response.text();
-    await writeFile(targetPath, content, 'utf-8');
+    await this.writeHTML(targetPath, content);
     return content;
   }
 
   /**
-   * Downloads a file from a URL and returns the response with status check
+   * Downloads a file from a URL and returns the response with status check.
+   * Files pinned to an exact package version are served from the cache when available,
+   * and stored in it after a successful download.
    * @param {string} url - The URL to download from
-   * @returns {Promise<{ok: boolean, text: Function}>} Object with ok status and text() method to get content
+   * @returns {Promise<{ok: boolean, status: number, fromCache: boolean, text: Function}>} Object with ok status and text() method to get content
+   * @throws {DownloadError} If the connection fails or times out (error statuses are returned as ok: false)
    */
   async downloadFileWithCheck(url) {
-    const response = await fetch(url);
+    const key = this.cache ? this.cache.keyForURL(url) : null;
+    const cached = key ? await this.cache.getFile(key) : null;
+
+    if (cached !== null) {
+      return {
+        ok: true,
+        status: 200,
+        fromCache: true,
+        text: async () => cached
+      };
+    }
+
+    const response = await this.downloader.get(url);
+    const content = response.ok ? response.body.toString('utf-8') : '';
+    if (key && response.ok) await this.cache.setFile(key, content);
+
     return {
       ok: response.ok,
-      text: async () => await response.text()
+      status: response.status,
+      fromCache: false,
+      text: async () => content
     };
   }
 
+  /**
+   * Downloads a file, verifies it against an integrity hash and only then saves it.
+   * A cached copy that fails verification is evicted and downloaded again once.
+   * @param {string} url - The URL to download from
+   * @param {string} targetPath - The local path where the file should be saved
+   * @param {string} integrity - The expected integrity string (e.g., "sha256-...")
+   * @returns {Promise<string>} The downloaded content as a string
+   * @throws {IntegrityError} If the content does not match the expected hash (nothing is written)
+   * @throws {DownloadError} If the download fails or the server answers with an error status
+   */
+  async downloadVerifiedFile(url, targetPath, integrity) {
+    if (this.dryRun) return await this.planDownload(url, targetPath);
+
+    let response = await this.downloadFileWithCheck(url);
+    let content = await response.text();
+
+    if (response.fromCache && !this.matchesIntegrity(content, integrity)) {
+      await this.cache.deleteFile(this.cache.keyForURL(url));
+      response = await this.downloadFileWithCheck(url);
+      content = await response.text();
+    }
+    if (!response.ok) throw this.downloader.statusError(url, response.status);
+
+    const actual = this.computeIntegrity(content, integrity);
+    if (actual !== integrity) {
+      // Don't keep bad content around for the next run
+      const key = this.cache ? this.cache.keyForURL(url) : null;
+      if (key) await this.cache.deleteFile(key);
+      throw new IntegrityError(`Integrity check failed for ${url}`, integrity, actual);
+    }
+
+    await this.writeHTML(targetPath, content);
+    return content;
+  }
+
+  /**
+   * Computes the Subresource Integrity string of some content
+   * @param {string} content - The content to hash
+   * @param {string} [algorithmOrIntegrity='sha256'] - Hash algorithm, or an integrity string whose algorithm to use
+   * @returns {string} The integrity string (e.g., "sha256-...")
+   */
+  computeIntegrity(content, algorithmOrIntegrity = 'sha256') {
+    const algorithm = algorithmOrIntegrity.split('-')[0];
+    const digest = createHash(algorithm).update(content, 'utf-8').digest('base64');
+    return `${algorithm}-${digest}`;
+  }
+
+  /**
+   * Checks content against an integrity string
+   * @param {string} content - The content to check
+   * @param {string} integrity - The expected integrity string
+   * @returns {boolean} True if the content matches
+   */
+  matchesIntegrity(content, integrity) {
+    return this.computeIntegrity(content, integrity) === integrity;
+  }
+
+  /**
+   * Checks a file on disk against an integrity string
+   * @param {string} path - The file to check
+   * @param {string} integrity - The expected integrity string
+   * @returns {Promise<boolean|null>} True if the file matches, false if it doesn't, null if it doesn't exist
+   */
+  async verifyFile(path, integrity) {
+    // A planned download is verified when it runs
+    if (this.actions.get(FileManager.key(path))?.type === 'download') return true;
+
+    try {
+      const content = await this.readHTML(path);
+      return this.matchesIntegrity(content, integrity);
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Writes a JavaScript object as formatted JSON to a file
    * @param {string} path - The file path to write to
@@ -125,7 +490,7 @@ export class FileManager {
    * @returns {Promise<void>}
    */
   async writeJSON(path, data) {
-    await writeFile(path, JSON.stringify(data, null, 2), 'utf-8');
+    await this.writeHTML(path, JSON.stringify(data, null, 2));
   }
 
   /**
@@ -134,8 +499,381 @@ export class FileManager {
    * @returns {Promise<Object>} The parsed JSON object
    */
   async readJSON(path) {
-    const content = await readFile(path, 'utf-8');
+    const content = await this.readHTML(path);
     return JSON.parse(content);
   }
+
+  /**
+   * Starts staging: from now on writes, deletes and downloads are kept in memory and
+   * only reach the disk when commit() is called
+   * @returns {void}
+   */
+  begin() {
+    this.staging = true;
+  }
+
+  /**
+   * Applies all staged changes together. The original files are first copied to the backup
+   * folder (replacing the previous backup), and restored if any step fails or the signal aborts.
+   * @param {Object} [options={}] - Commit options
+   * @param {AbortSignal} [options.signal] - Aborts the commit and restores the originals (e.g., on Ctrl+C)
+   * @param {boolean} [options.keepBackup=true] - Keep the backup in the project for rollback; without it the
+   *   backup goes to a temporary folder that only guards the commit itself, and the project's last backup
+   *   is left alone (e.g., for exports, or a project created in an empty folder)
+   * @returns {Promise<Object|null>} The backup manifest, or null if nothing was staged
+   * @throws {CommitError} If a change could not be applied; the project is restored (as far as possible) before this is thrown
+   */
+  async commit(options = {}) {
+    const { signal, keepBackup = true } = options;
+    if (this.dryRun) throw new Error('A dry run cannot be committed');
+
+    // Unchanged files are skipped, unless they are rewritten into a directory that is removed first
+    const changes = [...this.pending.entries()]
+      .filter(([key, content]) => content !== this.originals.get(key) || content === null || this.isDeleted(key));
+    // Missing parents are created along with a directory, so rollback must remove them as well
+    const newDirs = [];
+    const addMissing = async dir => {
+      for (let current = dir; !newDirs.includes(current) && !await this.existsOnDisk(current); current = posix.dirname(current)) {
+        newDirs.push(current);
+      }
+    };
+    for (const dir of this.createdDirs) await addMissing(dir);
+    for (const [key, content] of changes) {
+      if (content !== null) await addMissing(posix.dirname(key));
+    }
+
+    if (changes.length === 0 && newDirs.length === 0 && this.deletedDirs.size === 0) {
+      this.reset();
+      return null;
+    }
+
+    const backupDir = keepBackup ? `${this.basePath}${FileManager.BACKUP_DIR}` : await mkdtemp(join(tmpdir(), 'p5-backup-'));
+    const manifest = await this.writeBackup(changes.map(([key]) => key), newDirs, backupDir);
+
+    try {
+      for (const dir of this.deletedDirs) {
+        signal?.throwIfAborted();
+        await rm(dir, { recursive: true, force: true });
+      }
+
+      for (const dir of newDirs) {
+        signal?.throwIfAborted();
+        await mkdir(dir, { recursive: true });
+      }
+
+      for (const [key, content] of changes) {
+        signal?.throwIfAborted();
+        if (content === null) {
+          await rm(key, { force: true });
+          continue;
+        }
+
+        // Write next to the target and rename, so a file is never left half-written
+        await mkdir(posix.dirname(key), { recursive: true });
+        const temp = `${key}.p5-tmp`;
+        if (content instanceof StagedFile) {
+          await copyFile(content.path, temp);
+        } else {
+          await writeFile(temp, content);
+        }
+        await rename(temp, key);
+      }
+    } catch (error) {
+      const reason = signal?.aborted ? 'Interrupted' : error.message;
+      try {
+        await this.restoreBackup(backupDir);
+      } catch (restoreError) {
+        throw new CommitError(`${reason}. ${restoreError.message}`, error, false);
+      }
+      throw new CommitError(reason, error);
+    } finally {
+      this.reset();
+    }
+
+    if (!keepBackup) await rm(backupDir, { recursive: true, force: true });
+    return manifest;
+  }
+
+  /**
+   * Copies the files about to change into the backup folder and writes its manifest
+   * @param {string[]} paths - Normalized paths of the files that change
+   * @param {string[]} newDirs - Normalized paths of the directories that will be created
+   * @param {string} [backupDir] - The backup folder (default: BACKUP_DIR in the project), which is replaced
+   * @returns {Promise<Object>} The manifest: { createdAt, files: [{ path, backup }], dirs }, with paths
+   *   relative to the project directory and backup null for files that didn't exist
+   */
+  async writeBackup(paths, newDirs, backupDir = `${this.basePath}${FileManager.BACKUP_DIR}`) {
+    const relative = path => posix.relative(FileManager.key(this.basePath), path);
+
+    await rm(backupDir, { recursive: true, force: true });
+    await mkdir(`${backupDir}/files`, { recursive: true });
+
+    const files = [];
+    for (const [index, path] of paths.entries()) {
+      let backup = null;
+      if (await this.existsOnDisk(path)) {
+        backup = `files/${index}`;
+        await copyFile(path, `${backupDir}/${backup}`);
+      }
+      files.push({ path: relative(path), backup });
+    }
+
+    const manifest = {
+      createdAt: new Date().toISOString(),
+      files,
+      dirs: newDirs.map(relative)
+    };
+    await writeFile(`${backupDir}/manifest.json`, JSON.stringify(manifest, null, 2), 'utf-8');
+    return manifest;
+  }
+
+  /**
+   * Reads the manifest of the last backup
+   * @param {string} [backupDir] - The backup folder (default: BACKUP_DIR in the project)
+   * @returns {Promise<Object|null>} The manifest (see writeBackup), or null if there is no backup
+   */
+  async readBackup(backupDir = `${this.basePath}${FileManager.BACKUP_DIR}`) {
+    try {
+      return JSON.parse(await readFile(`${backupDir}/manifest.json`, 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Restores the files of the last backup: changed files get their original content back,
+   * files that were added are deleted, as are directories that were added and are now empty.
+   * The backup is removed afterwards.
+   * @param {string} [backupDir] - The backup folder (default: BACKUP_DIR in the project)
+   * @returns {Promise<Object|null>} The restored manifest, or null if there is no backup
+   * @throws {Error} If some files could not be restored (the backup is kept)
+   */
+  async restoreBackup(backupDir = `${this.basePath}${FileManager.BACKUP_DIR}`) {
+    const manifest = await this.readBackup(backupDir);
+    if (!manifest) return null;
+
+    // Keep going after a failure, so as much as possible is restored
+    const failed = [];
+    for (const file of manifest.files) {
+      const path = posix.join(this.basePath, file.path);
+      try {
+        await rm(`${path}.p5-tmp`, { force: true });
+        if (file.backup) {
+          await mkdir(posix.dirname(path), { recursive: true });
+          await copyFile(`${backupDir}/${file.backup}`, path);
+        } else {
+          await rm(path, { force: true });
+        }
+      } catch (error) {
+        if (file.backup || error.code !== 'ENOTDIR') failed.push(file.path);
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`Could not restore ${failed.join(', ')}; the originals are kept in ${backupDir}`);
+    }
+
+    // The backup goes before the directories, as it may sit in one of them
+    await rm(backupDir, { recursive: true, force: true });
+
+    // Deepest first, so parents are empty by the time they are checked
+    for (const dir of [...manifest.dirs].sort((a, b) => b.length - a.length)) {
+      try {
+        await rmdir(posix.join(this.basePath, dir));
+      } catch (error) {
+        // Not empty or already gone
+      }
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Discards all staged changes, including staged downloads, and stops staging
+   * @returns {void}
+   */
+  reset() {
+    this.staging = this.dryRun;
+    this.actions.clear();
+    this.pending.clear();
+    this.originals.clear();
+    this.createdDirs.clear();
+    this.deletedDirs.clear();
+    if (this.downloadDir) rmSync(this.downloadDir, { recursive: true, force: true });
+    this.downloadDir = null;
+  }
+
+  /**
+   * Gets the temporary file a download is staged in while staging
+   * @param {string} targetPath - The local path the file is saved to on commit
+   * @returns {Promise<string>} The temporary file, the same for every download to the target
+   */
+  async downloadPath(targetPath) {
+    this.downloadDir ??= await mkdtemp(join(tmpdir(), 'p5-download-'));
+    return join(this.downloadDir, createHash('sha256').update(FileManager.key(targetPath)).digest('hex'));
+  }
+
+  /**
+   * Checks whether a path exists on disk, ignoring staged changes
+   * @param {string} path - The path to check
+   * @returns {Promise<boolean>} True if the path exists
+   */
+  async existsOnDisk(path) {
+    try {
+      await access(path, constants.F_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Gets the planned actions of a dry run, in the order they were first planned
+   * @returns {Array<{ type: 'create'|'rewrite'|'delete'|'download', path: string, url?: string }>}
+   *   The actions; directory paths end with a slash
+   */
+  getPlan() {
+    return [...this.actions.values()];
+  }
+
+  /**
+   * Gets the original and planned content of a file touched by a dry run
+   * @param {string} path - The file path
+   * @returns {{ before: string|null, after: string|null } | null} The contents (null for a missing file),
+   *   or null if the file is unchanged or isn't text
+   */
+  getPlannedChange(path) {
+    const key = FileManager.key(path);
+    if (!this.pending.has(key) || this.actions.get(key)?.type === 'download') return null;
+
+    const before = this.originals.get(key);
+    const after = this.pending.get(key);
+    if ([before, after].some(content => Buffer.isBuffer(content) || content instanceof StagedFile)) return null;
+    return before === after ? null : { before, after };
+  }
+
+  /**
+   * Records the planned content of a file (null to delete it), keeping the original
+   * content from disk for diffs. Content identical to the original drops the file from the plan.
+   * @param {string} path - The file path
+   * @param {string|Buffer|StagedFile|null} content - The planned content
+   * @param {boolean} [record=true] - Whether to add the change to the plan
+   * @returns {Promise<void>}
+   */
+  async stage(path, content, record = true) {
+    const key = FileManager.key(path);
+
+    if (!this.originals.has(key)) {
+      let original = null;
+      if (!this.isDeleted(key)) {
+        try {
+          original = await readFile(key, 'utf-8');
+        } catch (error) {
+          // New file
+        }
+      }
+      this.originals.set(key, original);
+    }
+
+    this.pending.set(key, content);
+    if (!record) return;
+
+    const original = this.originals.get(key);
+    if (content === original) {
+      // Writing back what is on disk (or deleting a file that doesn't exist) changes nothing
+      this.actions.delete(key);
+    } else if (content === null) {
+      this.record('delete', key);
+    } else {
+      this.record(original === null ? 'create' : 'rewrite', key);
+    }
+  }
+
+  /**
+   * Records a planned download without fetching the file
+   * @param {string} url - The URL that would be downloaded
+   * @param {string} targetPath - The local path the file would be saved to
+   * @returns {Promise<string>} An empty placeholder for the content
+   */
+  async planDownload(url, targetPath) {
+    await this.stage(targetPath, '', false);
+    this.record('download', FileManager.key(targetPath), { url });
+    return '';
+  }
+
+  /**
+   * Adds an action to the dry-run plan, replacing an earlier action on the same path
+   * @param {string} type - 'create', 'rewrite', 'delete' or 'download'
+   * @param {string} path - The normalized path
+   * @param {Object} [details={}] - Extra fields (e.g., the url of a download)
+   * @returns {void}
+   */
+  record(type, path, details = {}) {
+    const previous = this.actions.get(path);
+    // A file created earlier in the plan is still new when it is written again
+    const kept = previous && previous.type === 'create' && type === 'rewrite' ? 'create' : type;
+    this.actions.set(path, { type: kept, path, ...details });
+  }
+
+  /**
+   * Gets the planned content of a path in a dry run
+   * @param {string} path - The file path
+   * @returns {string|Buffer|StagedFile|null|undefined} The content, null if deleted, undefined if the plan doesn't touch it
+   */
+  planned(path) {
+    if (!this.staging) return undefined;
+    const key = FileManager.key(path);
+    if (this.pending.has(key)) return this.pending.get(key);
+    return this.isDeleted(key) ? null : undefined;
+  }
+
+  /**
+   * Lists files (and, unless excluded, directories) the dry-run plan creates or writes below a directory
+   * @param {string} path - The directory path
+   * @param {boolean} [includeDirs=true] - Whether to include the directories the plan creates
+   * @returns {string[]} Paths relative to the directory
+   */
+  plannedChildren(path, includeDirs = true) {
+    const prefix = `${FileManager.key(path)}/`;
+    const dirs = includeDirs ? [...this.createdDirs].filter(dir => dir.startsWith(prefix)).map(dir => `${dir}/`) : [];
+    return [...this.pending.entries(), ...dirs.map(dir => [dir, ''])]
+      .filter(([key, content]) => content !== null && key.startsWith(prefix))
+      .map(([key]) => key.slice(prefix.length).replace(/\/$/, ''));
+  }
+
+  /**
+   * Checks whether a path lies in a directory the dry-run plan deletes
+   * @param {string} path - The path
+   * @returns {boolean} True if a deleted directory contains the path
+   */
+  isDeleted(path) {
+    const key = FileManager.key(path);
+    return [...this.deletedDirs].some(dir => key === dir || key.startsWith(`${dir}/`));
+  }
+
+  /**
+   * Normalizes a path for use as a key in the dry-run plan
+   * @param {string} path - The path
+   * @returns {string} Normalized path with forward slashes and no trailing slash
+   */
+  static key(path) {
+    return posix.normalize(path.replace(/\\/g, '/')).replace(/\/$/, '') || '.';
+  }
+
+  /**
+   * Reads planned content as text, failing like a read of a missing file if it was deleted
+   * @param {string|Buffer|null} content - The planned content
+   * @param {string} path - The file path (for the error)
+   * @returns {string} The content
+   * @throws {Error} ENOENT if the file is planned to be deleted
+   */
+  static toText(content, path) {
+    if (content === null) {
+      const error = new Error(`ENOENT: no such file or directory, open '${path}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return Buffer.isBuffer(content) ? content.toString('utf-8') : content;
+  }
 }
 
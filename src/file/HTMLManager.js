@@ -1,7 +1,6 @@
 // HTMLManager - Handles HTML DOM manipulation using linkedom
 import { parseHTML } from 'linkedom';
-
-const basePath = 'sketch/';
+import { HTMLSource } from './HTMLSource.js';
 
 export class HTMLManager {
   /**
@@ -10,10 +9,13 @@ export class HTMLManager {
    */
   static P5_PATTERNS = [
     /^https?:\/\/cdn\.jsdelivr\.net\/npm\/p5@([^/]+)\/lib\/p5\.(min\.)?js$/,
-    /^https?:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/p5\.js\/([^/]+)\/p5\.(?:min\.)?js$/,
+    /^https?:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/p5\.js\/([^/]+)\/p5\.(min\.)?js$/,
     /^https?:\/\/unpkg\.com\/p5@([^/]+)\/lib\/p5\.(min\.)?js$/,
-    /^\.?\/?\bsketch\/lib\/p5(?:@([^/]+))?\.(min\.)?js$/,
-    /^\.?\/?\blib\/p5(?:@([^/]+))?\.(min\.)?js$/
+    // Local builds may carry their version (p5@2.1.0.min.js); the lazy capture leaves ".min" to group 2
+    /^\.?\/?(?:[\w.-]+\/)+lib\/p5(?:@([^/]+?))?\.(min\.)?js$/,
+    /^\.?\/?\blib\/p5(?:@([^/]+?))?\.(min\.)?js$/,
+    // p5.js Web Editor downloads keep p5.js in libraries/
+    /^\.?\/?\blibraries\/p5(?:@([^/]+?))?\.(min\.)?js$/
   ];
 
   /**
@@ -22,25 +24,144 @@ export class HTMLManager {
    * @returns {{ scriptNode: Element, version: string, isMinified: boolean, cdnProvider: string } | null}
    */
   findP5Script(document) {
-    const scripts = document.querySelectorAll('script');
+    return this.findP5Scripts(document)[0] || null;
+  }
+
+  /**
+   * Find all p5.js script tags in document, in document order
+   * @param {Document} document - linkedom document
+   * @returns {Array<{ scriptNode: Element, version: string, isMinified: boolean, cdnProvider: string }>}
+   */
+  findP5Scripts(document) {
+    const found = [];
 
-    for (const script of scripts) {
+    for (const script of document.querySelectorAll('script')) {
       const src = script.getAttribute('src') || '';
 
       for (const pattern of HTMLManager.P5_PATTERNS) {
         const match = pattern.exec(src);
         if (match) {
-          return {
+          found.push({
             scriptNode: script,
             version: match[1] || 'local',
             isMinified: !!match[2],
             cdnProvider: this.detectCDN(src)
-          };
+          });
+          break;
         }
       }
     }
 
-    return null;
+    return found;
+  }
+
+  /**
+   * Find all p5.js script tags in an HTML string
+   * @param {string} htmlString - HTML content
+   * @returns {Array<{ src: string, mode: string, version: string, isMinified: boolean, cdnProvider: string, integrity: string|null }>}
+   *   The tags in document order; mode is "cdn" for absolute URLs and "local" otherwise
+   */
+  getP5ScriptInfos(htmlString) {
+    const { document } = parseHTML(htmlString);
+    return this.findP5Scripts(document).map(({ scriptNode, ...info }) => ({
+      ...info,
+      src: scriptNode.getAttribute('src'),
+      mode: /^(?:https?:)?\/\//.test(scriptNode.getAttribute('src')) ? 'cdn' : 'local',
+      integrity: scriptNode.getAttribute('integrity')
+    }));
+  }
+
+  /**
+   * Pick the p5.js script tag to keep when a page loads p5.js more than once:
+   * the first one in the given delivery mode, or else the first one
+   * @param {Array<Object>} tags - The tags of the page (see getP5ScriptInfos)
+   * @param {string} mode - The delivery mode the project uses ("cdn" or "local")
+   * @returns {number} Index of the tag to keep
+   */
+  pickP5Script(tags, mode) {
+    return Math.max(tags.findIndex(tag => tag.mode === mode), 0);
+  }
+
+  /**
+   * Remove all p5.js script tags but one, so p5.js is only loaded once
+   * @param {string} htmlString - HTML content
+   * @param {number} [keep=0] - Index of the tag to keep (see getP5ScriptInfos)
+   * @returns {{ html: string, updated: boolean, removed: string[] }} Result with updated HTML and the src of each removed tag
+   */
+  removeDuplicateP5Scripts(htmlString, keep = 0) {
+    const { document } = parseHTML(htmlString);
+    const { source, tags } = this.locateScripts(htmlString, document);
+    const removed = [];
+    const patches = [];
+
+    this.findP5Scripts(document).forEach(({ scriptNode }, index) => {
+      if (index === keep) return;
+
+      removed.push(scriptNode.getAttribute('src'));
+      if (tags) {
+        patches.push(source.removeElement(tags.get(scriptNode)));
+        return;
+      }
+
+      const previous = scriptNode.previousSibling;
+      if (previous && previous.nodeType === 3 && previous.textContent.trim() === '') {
+        previous.remove();
+      }
+      scriptNode.remove();
+    });
+
+    if (tags) {
+      return { html: source.apply(patches), updated: removed.length > 0, removed };
+    }
+
+    return {
+      html: removed.length > 0 ? this.serialize(document) : htmlString,
+      updated: removed.length > 0,
+      removed
+    };
+  }
+
+  /**
+   * Find p5.js script tag in an HTML string
+   * @param {string} htmlString - HTML content
+   * @returns {{ src: string, version: string, isMinified: boolean, cdnProvider: string, integrity: string|null } | null}
+   */
+  getP5ScriptInfo(htmlString) {
+    const { document } = parseHTML(htmlString);
+    const p5Info = this.findP5Script(document);
+    if (!p5Info) return null;
+
+    const { scriptNode, ...info } = p5Info;
+    return {
+      ...info,
+      src: scriptNode.getAttribute('src'),
+      integrity: scriptNode.getAttribute('integrity')
+    };
+  }
+
+  /**
+   * Set or clear the Subresource Integrity attributes of a script tag.
+   * A stale hash would make the browser refuse the script, so the attributes are
+   * removed whenever no hash is given.
+   * @param {Element} script - The script element
+   * @param {string|null|undefined} integrity - Integrity string (e.g., "sha256-..."), or nothing to clear
+   * @returns {void}
+   */
+  applyIntegrity(script, integrity) {
+    if (integrity) {
+      script.setAttribute('integrity', integrity);
+      script.setAttribute('crossorigin', 'anonymous');
+
+      // linkedom prepends new attributes; move src back in front of them
+      const src = script.getAttribute('src');
+      if (src !== null) {
+        script.removeAttribute('src');
+        script.setAttribute('src', src);
+      }
+    } else {
+      script.removeAttribute('integrity');
+      script.removeAttribute('crossorigin');
+    }
   }
 
   /**
@@ -55,18 +176,29 @@ export class HTMLManager {
     return 'jsdelivr'; // default
   }
 
+  /**
+   * Get the file name of a local p5.js build in lib/
+   * @param {string} version - p5.js version
+   * @param {Object} [preferences={}] - User preferences (isMinified, versionedFile)
+   * @returns {string} File name (e.g., "p5.js", "p5.min.js" or "p5@2.1.0.min.js")
+   */
+  getLocalFileName(version, preferences = {}) {
+    const stamp = preferences.versionedFile ? `@${version}` : '';
+    return `p5${stamp}${preferences.isMinified ? '.min' : ''}.js`;
+  }
+
   /**
    * Build script URL based on version, mode, and preferences
    * @param {string} version - p5.js version
    * @param {string} mode - 'cdn' or 'local'
-   * @param {Object} preferences - User preferences (isMinified, cdnProvider)
+   * @param {Object} preferences - User preferences (isMinified, cdnProvider, versionedFile)
    * @returns {string} Script URL
    */
   buildScriptURL(version, mode, preferences = {}) {
     const file = preferences.isMinified ? 'p5.min.js' : 'p5.js';
 
     if (mode === 'local') {
-      return `/lib/${file}`;
+      return `/lib/${this.getLocalFileName(version, preferences)}`;
     }
 
     const cdn = preferences.cdnProvider || 'jsdelivr';
@@ -113,15 +245,35 @@ export class HTMLManager {
   }
 
   /**
-   * Update p5.js script tag in HTML
+   * Find all marker comments in document, in document order
+   * @param {Document} document - linkedom document
+   * @returns {Comment[]} Marker comment nodes
+   */
+  findMarkers(document) {
+    const markers = [];
+    const collect = (node) => {
+      if (node.nodeType === 8 && node.textContent.trim() === 'P5JS_SCRIPT_TAG') markers.push(node);
+      for (const child of node.childNodes || []) collect(child);
+    };
+    collect(document);
+    return markers;
+  }
+
+  /**
+   * Update p5.js script tag in HTML. The tag (or marker) is edited in place, leaving the rest of the
+   * source untouched; the document is only re-serialized when the parser had to repair the markup.
    * @param {string} htmlString - HTML content
    * @param {string} version - p5.js version
    * @param {string} mode - 'cdn' or 'local'
+   * @param {Object} [preferences={}] - Overrides for the detected preferences (isMinified, cdnProvider),
+   *   plus the integrity hash added to CDN tags and whether local file names carry the version (versionedFile)
    * @returns {{ html: string, updated: boolean, method: string }}
    */
-  updateP5Script(htmlString, version, mode) {
-    // Parse HTML
+  updateP5Script(htmlString, version, mode, preferences = {}) {
+    // Parse HTML, and find the script tags in the source for in-place edits
     const { document } = parseHTML(htmlString);
+    const { source, tags } = this.locateScripts(htmlString, document);
+    const integrity = mode === 'cdn' ? preferences.integrity : null;
 
     // Try to find existing p5.js script
     const p5Info = this.findP5Script(document);
@@ -129,11 +281,22 @@ export class HTMLManager {
     if (p5Info) {
       // Update existing script tag
       const newURL = this.buildScriptURL(version, mode, {
-        isMinified: p5Info.isMinified,
-        cdnProvider: mode === 'cdn' ? p5Info.cdnProvider : undefined
+        isMinified: preferences.isMinified ?? p5Info.isMinified,
+        cdnProvider: mode === 'cdn' ? (preferences.cdnProvider || p5Info.cdnProvider) : undefined,
+        versionedFile: preferences.versionedFile
       });
 
+      if (tags) {
+        const tag = tags.get(p5Info.scriptNode);
+        return {
+          html: source.apply([source.setAttribute(tag, 'src', newURL), ...this.integrityPatches(source, tag, integrity)]),
+          updated: true,
+          method: 'updated-existing-script'
+        };
+      }
+
       p5Info.scriptNode.setAttribute('src', newURL);
+      this.applyIntegrity(p5Info.scriptNode, integrity);
 
       return {
         html: this.serialize(document),
@@ -146,9 +309,23 @@ export class HTMLManager {
     const marker = this.findMarker(document);
 
     if (marker) {
+      const newURL = this.buildScriptURL(version, mode, preferences);
+
+      // The marker is the n-th P5JS_SCRIPT_TAG comment both in the document and in the source
+      const markers = this.findMarkers(document);
+      const sourceMarkers = source.comments.filter(comment => comment.text.trim() === 'P5JS_SCRIPT_TAG');
+      if (tags && sourceMarkers.length === markers.length) {
+        const { start, end } = sourceMarkers[markers.indexOf(marker)];
+        return {
+          html: source.apply([{ start, end, text: this.buildScriptTag(newURL, integrity) }]),
+          updated: true,
+          method: 'replaced-marker'
+        };
+      }
+
       // Replace marker with script tag
       const script = document.createElement('script');
-      const newURL = this.buildScriptURL(version, mode);
+      this.applyIntegrity(script, integrity);
       script.setAttribute('src', newURL);
       marker.parentNode.replaceChild(script, marker);
 
@@ -161,8 +338,21 @@ export class HTMLManager {
 
     // No script tag and no marker - insert into head
     if (document.head) {
+      const newURL = this.buildScriptURL(version, mode, preferences);
+
+      // Insert as first child of head (before meta, link, etc.), on its own line when head spans several
+      const [head] = source.findTags('head');
+      if (tags && head) {
+        const tag = `${source.indentAfter(head.end)}${this.buildScriptTag(newURL, integrity)}`;
+        return {
+          html: source.apply([{ start: head.end, end: head.end, text: tag }]),
+          updated: true,
+          method: 'inserted-new-script'
+        };
+      }
+
       const script = document.createElement('script');
-      const newURL = this.buildScriptURL(version, mode);
+      this.applyIntegrity(script, integrity);
       script.setAttribute('src', newURL);
 
       // Insert as first child of head (before meta, link, etc.)
@@ -188,6 +378,284 @@ export class HTMLManager {
     };
   }
 
+  /**
+   * Build script URL for an add-on library
+   * cdnjs does not host every add-on under a predictable path, so it falls back to jsdelivr.
+   * @param {{ package: string, version: string, file: string }} library - Resolved library entry
+   * @param {string} mode - 'cdn' or 'local'
+   * @param {Object} preferences - User preferences (cdnProvider)
+   * @returns {string} Script URL
+   */
+  buildLibraryURL(library, mode, preferences = {}) {
+    if (mode === 'local') {
+      return `/lib/${library.file.split('/').pop()}`;
+    }
+
+    if (preferences.cdnProvider === 'unpkg') {
+      return `https://unpkg.com/${library.package}@${library.version}/${library.file}`;
+    }
+
+    return `https://cdn.jsdelivr.net/npm/${library.package}@${library.version}/${library.file}`;
+  }
+
+  /**
+   * Find the script tag of an add-on library in document
+   * Tags inserted by this tool carry a `data-p5-library` attribute; hand-written tags are matched by URL.
+   * @param {Document} document - linkedom document
+   * @param {...{ name: string, package: string, file: string }} libraries - Library entries to look for (e.g., the old and new entry)
+   * @returns {Element | null} The script element
+   */
+  findLibraryScript(document, ...libraries) {
+    const scripts = [...document.querySelectorAll('script')];
+    const entries = libraries.filter(Boolean);
+
+    for (const library of entries) {
+      const tagged = scripts.find(script => script.getAttribute('data-p5-library') === library.name);
+      if (tagged) return tagged;
+    }
+
+    for (const library of entries) {
+      const fileName = escapeRegExp(library.file.split('/').pop());
+      const patterns = [
+        new RegExp(`/${escapeRegExp(library.package)}@[^/]+/${escapeRegExp(library.file)}$`),
+        new RegExp(`^\\.?/?(?:[\\w.-]+/)*lib/${fileName}$`)
+      ];
+      const match = scripts.find(script => {
+        const src = script.getAttribute('src') || '';
+        return patterns.some(pattern => pattern.test(src));
+      });
+      if (match) return match;
+    }
+
+    return null;
+  }
+
+  /**
+   * Insert or update the script tag of an add-on library in HTML
+   * New tags are inserted after the p5.js script tag (after the last library tag, to keep the add order).
+   * @param {string} htmlString - HTML content
+   * @param {Object} library - Resolved library entry
+   * @param {string} mode - 'cdn' or 'local'
+   * @param {Object} [preferences={}] - User preferences (cdnProvider, previous: the entry being replaced)
+   * @returns {{ html: string, updated: boolean, method: string }}
+   */
+  updateLibraryScript(htmlString, library, mode, preferences = {}) {
+    const { document } = parseHTML(htmlString);
+    const { source, tags } = this.locateScripts(htmlString, document);
+    const newURL = this.buildLibraryURL(library, mode, preferences);
+
+    const existing = this.findLibraryScript(document, preferences.previous, library);
+    if (existing && tags) {
+      const tag = tags.get(existing);
+      return {
+        html: source.apply([source.setAttribute(tag, 'src', newURL), source.setAttribute(tag, 'data-p5-library', library.name)]),
+        updated: true,
+        method: 'updated-existing-script'
+      };
+    }
+    if (existing) {
+      existing.setAttribute('src', newURL);
+      existing.setAttribute('data-p5-library', library.name);
+      return {
+        html: this.serialize(document),
+        updated: true,
+        method: 'updated-existing-script'
+      };
+    }
+
+    const p5Info = this.findP5Script(document);
+    if (!p5Info) {
+      return {
+        html: htmlString,
+        updated: false,
+        method: 'no-p5-script-found'
+      };
+    }
+
+    // Keep add-ons in the order they were added, right after p5.js
+    let anchor = p5Info.scriptNode;
+    let next = anchor.nextElementSibling;
+    while (next && next.tagName === 'SCRIPT' && next.hasAttribute('data-p5-library')) {
+      anchor = next;
+      next = next.nextElementSibling;
+    }
+
+    if (tags) {
+      const tag = tags.get(anchor);
+      const text = `${source.indentBefore(tag.start) || source.lineBreak()}<script src="${HTMLSource.encode(newURL, '"')}" data-p5-library="${HTMLSource.encode(library.name, '"')}"></script>`;
+      return {
+        html: source.apply([{ start: tag.closeEnd, end: tag.closeEnd, text }]),
+        updated: true,
+        method: 'inserted-after-p5'
+      };
+    }
+
+    // linkedom prepends attributes, so set them in reverse to get src first
+    const script = document.createElement('script');
+    script.setAttribute('data-p5-library', library.name);
+    script.setAttribute('src', newURL);
+
+    // Reuse the indentation in front of the anchor tag
+    const indent = anchor.previousSibling && anchor.previousSibling.nodeType === 3
+      ? anchor.previousSibling.textContent.replace(/^[^\r\n]*/, '')
+      : '\n';
+    anchor.after(document.createTextNode(indent || '\n'), script);
+
+    return {
+      html: this.serialize(document),
+      updated: true,
+      method: 'inserted-after-p5'
+    };
+  }
+
+  /**
+   * Remove the script tag of an add-on library from HTML
+   * @param {string} htmlString - HTML content
+   * @param {Object} library - Library entry from p5-config.json
+   * @returns {{ html: string, updated: boolean, method: string }}
+   */
+  removeLibraryScript(htmlString, library) {
+    const { document } = parseHTML(htmlString);
+    const { source, tags } = this.locateScripts(htmlString, document);
+    const script = this.findLibraryScript(document, library);
+
+    if (!script) {
+      return {
+        html: htmlString,
+        updated: false,
+        method: 'no-library-script-found'
+      };
+    }
+
+    if (tags) {
+      return {
+        html: source.apply([source.removeElement(tags.get(script))]),
+        updated: true,
+        method: 'removed-script'
+      };
+    }
+
+    // Drop the whitespace in front of the tag as well, so no blank line is left behind
+    const previous = script.previousSibling;
+    if (previous && previous.nodeType === 3 && previous.textContent.trim() === '') {
+      previous.remove();
+    }
+    script.remove();
+
+    return {
+      html: this.serialize(document),
+      updated: true,
+      method: 'removed-script'
+    };
+  }
+
+  /**
+   * Rewrite the URLs in src and href attributes
+   * @param {string} htmlString - HTML content
+   * @param {function(string): string} rewrite - Returns the new URL for an attribute value (or the value itself to keep it)
+   * @returns {{ html: string, updated: boolean, count: number }} Result with updated HTML and the number of rewritten URLs
+   */
+  rewriteURLs(htmlString, rewrite) {
+    const { document } = parseHTML(htmlString);
+    const source = new HTMLSource(htmlString);
+    const patches = [];
+    let located = true;
+    let count = 0;
+
+    for (const attribute of ['src', 'href']) {
+      const elements = [...document.querySelectorAll(`[${attribute}]`)];
+      const tags = this.matchTags(elements, source.findTagsWithAttribute(attribute), source, attribute);
+      located = located && tags !== null;
+
+      for (const element of elements) {
+        const value = element.getAttribute(attribute);
+        const newValue = rewrite(value);
+        if (newValue === value) continue;
+
+        element.setAttribute(attribute, newValue);
+        if (tags) patches.push(source.setAttribute(tags.get(element), attribute, newValue));
+        count++;
+      }
+    }
+
+    if (located) {
+      return { html: source.apply(patches), updated: count > 0, count };
+    }
+
+    return {
+      html: count > 0 ? this.serialize(document) : htmlString,
+      updated: count > 0,
+      count
+    };
+  }
+
+  /**
+   * Rewrite root-relative URLs (e.g., /lib/p5.js) in src and href attributes to relative ones,
+   * so the page also works from file:// or when hosted below a subpath
+   * @param {string} htmlString - HTML content
+   * @param {string} [prefix='./'] - Path from the page to the site root (e.g., "../" for pages one folder deep)
+   * @param {function(string): string} [rename] - Maps the root-relative path (without the leading slash) to its new location
+   * @returns {{ html: string, updated: boolean, count: number }} Result with updated HTML and the number of rewritten URLs
+   */
+  relativizePaths(htmlString, prefix = './', rename = path => path) {
+    // Protocol-relative URLs (//host/...) point to another site
+    return this.rewriteURLs(htmlString, value =>
+      value.startsWith('/') && !value.startsWith('//') ? prefix + rename(value.slice(1)) : value
+    );
+  }
+
+  /**
+   * Find the source tags of the script elements of a document, so they can be edited in place
+   * @param {string} htmlString - HTML content the document was parsed from
+   * @param {Document} document - linkedom document
+   * @returns {{ source: HTMLSource, tags: Map<Element, Object>|null }} The scanned source, and the tag of each
+   *   script element (null when the parser repaired the markup and the two don't line up)
+   */
+  locateScripts(htmlString, document) {
+    const source = new HTMLSource(htmlString);
+    const tags = this.matchTags([...document.querySelectorAll('script')], source.findTags('script'), source, 'src');
+    return { source, tags };
+  }
+
+  /**
+   * Pair elements with source tags in document order, checking that an attribute agrees on every pair
+   * @param {Element[]} elements - The elements, in document order
+   * @param {Array<Object>} tags - The source tags, in source order (see HTMLSource)
+   * @param {HTMLSource} source - The scanned source
+   * @param {string} attribute - Attribute compared between each element and its tag
+   * @returns {Map<Element, Object>|null} The tag of each element, or null if they don't line up
+   */
+  matchTags(elements, tags, source, attribute) {
+    if (elements.length !== tags.length) return null;
+    const aligned = elements.every((element, index) => element.getAttribute(attribute) === source.getAttribute(tags[index], attribute));
+    return aligned ? new Map(elements.map((element, index) => [element, tags[index]])) : null;
+  }
+
+  /**
+   * Build the patches that set or clear the Subresource Integrity attributes of a source tag
+   * (see applyIntegrity)
+   * @param {HTMLSource} source - The scanned source
+   * @param {Object} tag - The script tag
+   * @param {string|null|undefined} integrity - Integrity string, or nothing to clear
+   * @returns {Array<Object|null>} The patches
+   */
+  integrityPatches(source, tag, integrity) {
+    return integrity
+      ? [source.setAttribute(tag, 'integrity', integrity), source.setAttribute(tag, 'crossorigin', 'anonymous')]
+      : [source.removeAttribute(tag, 'integrity'), source.removeAttribute(tag, 'crossorigin')];
+  }
+
+  /**
+   * Build the markup of a new p5.js script tag
+   * @param {string} src - Script URL
+   * @param {string|null|undefined} integrity - Integrity string, or nothing for a tag without SRI attributes
+   * @returns {string} The script tag
+   */
+  buildScriptTag(src, integrity) {
+    const sri = integrity ? ` integrity="${HTMLSource.encode(integrity, '"')}" crossorigin="anonymous"` : '';
+    return `<script src="${HTMLSource.encode(src, '"')}"${sri}></script>`;
+  }
+
   /**
    * Serialize document back to HTML string
    * @param {Document} document - linkedom document
@@ -200,3 +668,11 @@ export class HTMLManager {
   }
 }
 
+/**
+ * Escapes a string for literal use inside a regular expression
+ * @param {string} str - The string to escape
+ * @returns {string} The escaped string
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,276 @@
+// HTMLSource - Handles locating tags in HTML source text and patching them in place
+export class HTMLSource {
+  /**
+   * Elements whose content is raw text: tags and comments inside them are not markup
+   */
+  static RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext'];
+
+  /**
+   * Creates a new HTMLSource instance and scans the start tags and comments of the source
+   * @param {string} html - HTML content
+   */
+  constructor(html) {
+    this.html = html;
+    // Start tags in source order: { name, start, end, nameEnd, attributes, closeEnd }
+    this.tags = [];
+    // Comments in source order: { start, end, text }
+    this.comments = [];
+    this.scan();
+  }
+
+  /**
+   * Gets the start tags of an element type, in source order
+   * @param {string} name - Lowercase tag name (e.g., "script")
+   * @returns {Array<Object>} The tags; closeEnd is the offset after the matching end tag of raw text elements
+   */
+  findTags(name) {
+    return this.tags.filter(tag => tag.name === name);
+  }
+
+  /**
+   * Gets the start tags that carry an attribute, in source order
+   * @param {string} name - Lowercase attribute name
+   * @returns {Array<Object>} The tags
+   */
+  findTagsWithAttribute(name) {
+    return this.tags.filter(tag => this.getAttribute(tag, name) !== null);
+  }
+
+  /**
+   * Gets the decoded value of an attribute
+   * @param {Object} tag - A tag from findTags
+   * @param {string} name - Lowercase attribute name
+   * @returns {string|null} The value ("" for an attribute without value), or null if the tag doesn't have it
+   */
+  getAttribute(tag, name) {
+    const attribute = tag.attributes.find(attr => attr.name === name);
+    if (!attribute) return null;
+    return attribute.valueStart === null ? '' : HTMLSource.decode(this.html.slice(attribute.valueStart, attribute.valueEnd));
+  }
+
+  /**
+   * Builds the patch that sets an attribute, keeping the quoting of an existing value.
+   * New attributes are added after the last attribute of the tag.
+   * @param {Object} tag - A tag from findTags
+   * @param {string} name - Lowercase attribute name
+   * @param {string} value - The new value
+   * @returns {{ start: number, end: number, text: string }|null} The patch, or null if the value is unchanged
+   */
+  setAttribute(tag, name, value) {
+    const attribute = tag.attributes.find(attr => attr.name === name);
+    if (!attribute) {
+      const at = tag.attributes.length > 0 ? tag.attributes[tag.attributes.length - 1].end : tag.nameEnd;
+      return { start: at, end: at, text: ` ${name}="${HTMLSource.encode(value, '"')}"` };
+    }
+
+    if (this.getAttribute(tag, name) === value && attribute.valueStart !== null) return null;
+
+    if (attribute.valueStart === null || !attribute.quote) {
+      const start = attribute.valueStart === null ? attribute.end : attribute.valueStart;
+      const prefix = attribute.valueStart === null ? '=' : '';
+      return { start, end: attribute.end, text: `${prefix}"${HTMLSource.encode(value, '"')}"` };
+    }
+    return { start: attribute.valueStart, end: attribute.valueEnd, text: HTMLSource.encode(value, attribute.quote) };
+  }
+
+  /**
+   * Builds the patch that removes an attribute along with the whitespace in front of it
+   * @param {Object} tag - A tag from findTags
+   * @param {string} name - Lowercase attribute name
+   * @returns {{ start: number, end: number, text: string }|null} The patch, or null if the tag doesn't have the attribute
+   */
+  removeAttribute(tag, name) {
+    const attribute = tag.attributes.find(attr => attr.name === name);
+    if (!attribute) return null;
+    return { start: this.skipWhitespaceBack(attribute.start), end: attribute.end, text: '' };
+  }
+
+  /**
+   * Builds the patch that removes an element (start tag to end tag) along with the whitespace
+   * in front of it on its line, so no blank line is left behind
+   * @param {Object} tag - A tag from findTags; needs closeEnd, so only raw text elements like script qualify
+   * @returns {{ start: number, end: number, text: string }} The patch
+   */
+  removeElement(tag) {
+    return { start: this.skipWhitespaceBack(tag.start), end: tag.closeEnd ?? tag.end, text: '' };
+  }
+
+  /**
+   * Gets the line break the source uses, for text inserted on a line of its own
+   * @returns {string} "\r\n" if the source has Windows line breaks, otherwise "\n"
+   */
+  lineBreak() {
+    return this.html.includes('\r\n') ? '\r\n' : '\n';
+  }
+
+  /**
+   * Gets the whitespace in front of a tag, starting at the last line break (e.g., "\n    "),
+   * for inserting siblings with the same indentation. The line break is kept as written ("\r\n" or "\n").
+   * @param {number} offset - Start offset of the tag
+   * @returns {string} The line break and indentation, or "" if the tag doesn't start a line
+   */
+  indentBefore(offset) {
+    const whitespace = this.html.slice(this.skipWhitespaceBack(offset), offset);
+    const lineBreak = whitespace.search(/\r?\n/);
+    return lineBreak === -1 ? '' : whitespace.slice(lineBreak);
+  }
+
+  /**
+   * Gets the whitespace after an offset up to and including the indentation of the next line,
+   * keeping the line break as written
+   * @param {number} offset - The offset (e.g., the end of a start tag)
+   * @returns {string} The whitespace, or "" if no line break follows
+   */
+  indentAfter(offset) {
+    const whitespace = /^[ \t]*\r?\n[ \t]*/.exec(this.html.slice(offset));
+    return whitespace ? whitespace[0].replace(/^[ \t]*/, '') : '';
+  }
+
+  /**
+   * Applies patches to the source; everything outside them stays byte-for-byte the same
+   * @param {Array<{ start: number, end: number, text: string }|null>} patches - Non-overlapping patches (nulls are skipped);
+   *   insertions at the same offset end up in the order given
+   * @returns {string} The patched HTML
+   */
+  apply(patches) {
+    // Back to front, so earlier offsets stay valid; insertions at the same offset keep their order
+    const sorted = patches
+      .map((patch, index) => patch && { ...patch, index })
+      .filter(Boolean)
+      .sort((a, b) => b.start - a.start || b.end - a.end || b.index - a.index);
+    let html = this.html;
+    for (const { start, end, text } of sorted) {
+      html = html.slice(0, start) + text + html.slice(end);
+    }
+    return html;
+  }
+
+  /**
+   * Moves an offset back over spaces and tabs, and over one line break with its indentation
+   * @param {number} offset - The offset
+   * @returns {number} The offset where the whitespace begins
+   */
+  skipWhitespaceBack(offset) {
+    let start = offset;
+    while (start > 0 && /[ \t]/.test(this.html[start - 1])) start--;
+    if (this.html[start - 1] === '\n') start--;
+    if (this.html[start - 1] === '\r') start--;
+    return start;
+  }
+
+  /**
+   * Scans the source for start tags, comments and the end tags of raw text elements
+   * @returns {void}
+   */
+  scan() {
+    const { html } = this;
+    let position = 0;
+
+    while (position < html.length) {
+      const open = html.indexOf('<', position);
+      if (open === -1) break;
+
+      if (html.startsWith('<!--', open)) {
+        const close = html.indexOf('-->', open + 4);
+        const end = close === -1 ? html.length : close + 3;
+        this.comments.push({ start: open, end, text: html.slice(open + 4, close === -1 ? html.length : close) });
+        position = end;
+      } else if (/^<[!?/]/.test(html.slice(open, open + 2))) {
+        // Doctype, processing instruction or end tag
+        const close = html.indexOf('>', open + 1);
+        position = close === -1 ? html.length : close + 1;
+      } else if (/^<[a-zA-Z]/.test(html.slice(open, open + 2))) {
+        position = this.scanTag(open);
+      } else {
+        position = open + 1;
+      }
+    }
+  }
+
+  /**
+   * Scans one start tag with its attributes, and skips the content of raw text elements
+   * @param {number} open - Offset of the "<"
+   * @returns {number} The offset to continue scanning at
+   */
+  scanTag(open) {
+    const { html } = this;
+    const nameMatch = /[^\s/>]+/y;
+    nameMatch.lastIndex = open + 1;
+    const name = nameMatch.exec(html)[0].toLowerCase();
+
+    const tag = { name, start: open, end: html.length, nameEnd: nameMatch.lastIndex, attributes: [], closeEnd: null };
+    const attributePattern = /[\s/]*([^\s/>=][^\s/>=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+    let position = nameMatch.lastIndex;
+
+    while (position < html.length) {
+      const close = /[\s/]*>/y;
+      close.lastIndex = position;
+      if (close.exec(html)) {
+        tag.end = close.lastIndex;
+        break;
+      }
+
+      attributePattern.lastIndex = position;
+      const match = attributePattern.exec(html);
+      if (!match) {
+        position++;
+        continue;
+      }
+
+      const start = match.index + match[0].indexOf(match[1]);
+      const raw = match[2] ?? match[3] ?? match[4];
+      const quote = match[2] !== undefined ? '"' : match[3] !== undefined ? "'" : null;
+      const end = attributePattern.lastIndex;
+      const valueEnd = raw === undefined ? null : end - (quote ? 1 : 0);
+      tag.attributes.push({
+        name: match[1].toLowerCase(),
+        start,
+        end,
+        quote,
+        valueStart: raw === undefined ? null : valueEnd - raw.length,
+        valueEnd
+      });
+      position = end;
+    }
+
+    this.tags.push(tag);
+
+    if (!HTMLSource.RAW_TEXT_ELEMENTS.includes(name)) return tag.end;
+
+    const endTag = new RegExp(`</${name}[\\s/>]`, 'ig');
+    endTag.lastIndex = tag.end;
+    const found = endTag.exec(html);
+    if (!found) {
+      tag.closeEnd = html.length;
+      return html.length;
+    }
+    const close = html.indexOf('>', found.index);
+    tag.closeEnd = close === -1 ? html.length : close + 1;
+    return tag.closeEnd;
+  }
+
+  /**
+   * Decodes the character references that appear in attribute values
+   * @param {string} value - The raw attribute value
+   * @returns {string} The decoded value
+   */
+  static decode(value) {
+    const named = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+    return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(amp|quot|apos|lt|gt));/gi, (entity, decimal, hex, name) => {
+      if (decimal) return String.fromCodePoint(Number(decimal));
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      return named[name.toLowerCase()];
+    });
+  }
+
+  /**
+   * Encodes an attribute value for a quoted attribute
+   * @param {string} value - The value
+   * @param {string} quote - The quote character around the value
+   * @returns {string} The encoded value
+   */
+  static encode(value, quote) {
+    const encoded = value.replace(/&/g, '&amp;');
+    return quote === '"' ? encoded.replace(/"/g, '&quot;') : encoded.replace(/'/g, '&#39;');
+  }
+}
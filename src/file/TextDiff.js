@@ -0,0 +1,179 @@
+// TextDiff - Handles line-based diffs of text files in unified format
+export class TextDiff {
+  /**
+   * Largest line table (changed lines before × after) compared line by line;
+   * bigger changes are shown as a full replacement
+   */
+  static MAX_CELLS = 4_000_000;
+
+  /**
+   * Builds a unified diff of two versions of a file
+   * @param {string|null} before - The original content (null if the file is new)
+   * @param {string|null} after - The new content (null if the file is deleted)
+   * @param {Object} [options={}] - Diff options
+   * @param {string} [options.path='file'] - File name shown in the ---/+++ header
+   * @param {number} [options.context=3] - Unchanged lines shown around each change
+   * @returns {string} The diff, or an empty string if the contents are equal
+   */
+  static unified(before, after, options = {}) {
+    const { path = 'file', context = 3 } = options;
+    if (before === after) return '';
+
+    const a = TextDiff.lines(before);
+    const b = TextDiff.lines(after);
+    const edits = TextDiff.edits(a, b);
+    const hunks = TextDiff.hunks(edits, context);
+    if (hunks.length === 0) return '';
+
+    const output = [
+      `--- ${before === null ? '/dev/null' : `a/${path}`}`,
+      `+++ ${after === null ? '/dev/null' : `b/${path}`}`
+    ];
+
+    for (const hunk of hunks) {
+      output.push(`@@ -${TextDiff.range(hunk.aStart, hunk.aLength)} +${TextDiff.range(hunk.bStart, hunk.bLength)} @@`);
+      for (const edit of hunk.edits) {
+        output.push(`${edit.type}${edit.line}`);
+      }
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Splits content into lines; a trailing newline does not start another line
+   * @param {string|null} content - The content
+   * @returns {string[]} The lines
+   */
+  static lines(content) {
+    if (!content) return [];
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  /**
+   * Computes the edit script between two line arrays (longest common subsequence)
+   * @param {string[]} a - Original lines
+   * @param {string[]} b - New lines
+   * @returns {Array<{ type: ' '|'-'|'+', line: string }>} Kept, removed and added lines in order
+   */
+  static edits(a, b) {
+    // Common prefix and suffix don't need the line table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+    const x = a.slice(start, a.length - end);
+    const y = b.slice(start, b.length - end);
+    const middle = [];
+
+    if (x.length * y.length > TextDiff.MAX_CELLS) {
+      middle.push(...x.map(line => ({ type: '-', line })), ...y.map(line => ({ type: '+', line })));
+    } else {
+      // lengths[i][j] is the LCS length of x[i..] and y[j..]
+      const lengths = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+      for (let i = x.length - 1; i >= 0; i--) {
+        for (let j = y.length - 1; j >= 0; j--) {
+          lengths[i][j] = x[i] === y[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < x.length || j < y.length) {
+        if (i < x.length && j < y.length && x[i] === y[j]) {
+          middle.push({ type: ' ', line: x[i++] });
+          j++;
+        } else if (j < y.length && (i === x.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+          middle.push({ type: '+', line: y[j++] });
+        } else {
+          middle.push({ type: '-', line: x[i++] });
+        }
+      }
+    }
+
+    return [
+      ...a.slice(0, start).map(line => ({ type: ' ', line })),
+      ...TextDiff.removalsFirst(middle),
+      ...a.slice(a.length - end).map(line => ({ type: ' ', line }))
+    ];
+  }
+
+  /**
+   * Reorders each run of changed lines so removals come before additions, as diff tools show them
+   * @param {Array<{ type: string, line: string }>} edits - The edit script
+   * @returns {Array<{ type: string, line: string }>} The reordered edit script
+   */
+  static removalsFirst(edits) {
+    const result = [];
+    let removed = [];
+    let added = [];
+
+    for (const edit of edits) {
+      if (edit.type === '-') removed.push(edit);
+      else if (edit.type === '+') added.push(edit);
+      else {
+        result.push(...removed, ...added, edit);
+        removed = [];
+        added = [];
+      }
+    }
+    return [...result, ...removed, ...added];
+  }
+
+  /**
+   * Groups an edit script into hunks with surrounding context
+   * @param {Array<{ type: string, line: string }>} edits - The edit script
+   * @param {number} context - Unchanged lines around each change
+   * @returns {Array<{ aStart: number, aLength: number, bStart: number, bLength: number, edits: Array }>} The hunks (1-based starts)
+   */
+  static hunks(edits, context) {
+    const changed = edits.map((edit, index) => edit.type === ' ' ? -1 : index).filter(index => index !== -1);
+    if (changed.length === 0) return [];
+
+    // Merge changes whose context windows touch
+    const ranges = [];
+    for (const index of changed) {
+      const last = ranges[ranges.length - 1];
+      if (last && index - last.end <= context * 2 + 1) last.end = index;
+      else ranges.push({ start: index, end: index });
+    }
+
+    return ranges.map(({ start, end }) => {
+      const from = Math.max(0, start - context);
+      const to = Math.min(edits.length, end + context + 1);
+
+      let aStart = 1;
+      let bStart = 1;
+      for (const edit of edits.slice(0, from)) {
+        if (edit.type !== '+') aStart++;
+        if (edit.type !== '-') bStart++;
+      }
+
+      const slice = edits.slice(from, to);
+      const aLength = slice.filter(edit => edit.type !== '+').length;
+      const bLength = slice.filter(edit => edit.type !== '-').length;
+
+      // An empty side starts at the line before it, as in GNU diff
+      return {
+        aStart: aLength === 0 ? aStart - 1 : aStart,
+        aLength,
+        bStart: bLength === 0 ? bStart - 1 : bStart,
+        bLength,
+        edits: slice
+      };
+    });
+  }
+
+  /**
+   * Formats the line range of a hunk header
+   * @param {number} start - First line (1-based)
+   * @param {number} length - Number of lines
+   * @returns {string} "start,length", or just "start" for a single line
+   */
+  static range(start, length) {
+    return length === 1 ? `${start}` : `${start},${length}`;
+  }
+}
@@ -0,0 +1,96 @@
+// ZipReader - Handles reading zip archives in memory
+import { inflateRawSync } from 'zlib';
+
+/**
+ * Error thrown when an archive cannot be read
+ */
+export class ZipError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+export class ZipReader {
+  /**
+   * Creates a new ZipReader for an archive
+   * @param {Buffer} buffer - The zip file content
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+  }
+
+  /**
+   * Lists the files in the archive (directory entries are skipped)
+   * @returns {Array<{ name: string, method: number, compressedSize: number, size: number, offset: number }>}
+   * @throws {ZipError} If the archive is malformed or uses unsupported features
+   */
+  entries() {
+    const end = this.findEndOfCentralDirectory();
+    const count = this.buffer.readUInt16LE(end + 10);
+    let position = this.buffer.readUInt32LE(end + 16);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (this.buffer.readUInt32LE(position) !== 0x02014b50) {
+        throw new ZipError('Invalid zip archive: corrupt central directory');
+      }
+
+      const nameLength = this.buffer.readUInt16LE(position + 28);
+      const extraLength = this.buffer.readUInt16LE(position + 30);
+      const commentLength = this.buffer.readUInt16LE(position + 32);
+      const name = this.buffer.toString('utf-8', position + 46, position + 46 + nameLength);
+
+      if (!name.endsWith('/')) {
+        entries.push({
+          name,
+          method: this.buffer.readUInt16LE(position + 10),
+          compressedSize: this.buffer.readUInt32LE(position + 20),
+          size: this.buffer.readUInt32LE(position + 24),
+          offset: this.buffer.readUInt32LE(position + 42)
+        });
+      }
+
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Extracts a file from the archive
+   * @param {Object} entry - An entry returned by entries()
+   * @returns {Buffer} The file content
+   * @throws {ZipError} If the entry uses an unsupported compression method
+   */
+  read(entry) {
+    const header = entry.offset;
+    if (this.buffer.readUInt32LE(header) !== 0x04034b50) {
+      throw new ZipError(`Invalid zip archive: corrupt entry ${entry.name}`);
+    }
+
+    const start = header + 30 + this.buffer.readUInt16LE(header + 26) + this.buffer.readUInt16LE(header + 28);
+    const data = this.buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return Buffer.from(data);
+    if (entry.method === 8) return inflateRawSync(data);
+    throw new ZipError(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  /**
+   * Finds the end-of-central-directory record, which sits at the end of the file
+   * before an optional comment of up to 64 KB
+   * @returns {number} Offset of the record
+   * @throws {ZipError} If the buffer is not a zip archive
+   */
+  findEndOfCentralDirectory() {
+    const min = Math.max(0, this.buffer.length - 22 - 0xFFFF);
+    for (let i = this.buffer.length - 22; i >= min; i--) {
+      if (this.buffer.readUInt32LE(i) === 0x06054b50) return i;
+    }
+    throw new ZipError('Not a zip archive');
+  }
+}
@@ -0,0 +1,119 @@
+// ZipWriter - Handles building zip archives in memory
+import { deflateRawSync } from 'zlib';
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320), as used by the zip format
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export class ZipWriter {
+  /**
+   * Creates a new, empty ZipWriter
+   */
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Adds a file to the archive
+   * @param {string} name - Path inside the archive, with forward slashes
+   * @param {Buffer|string} content - The file content
+   * @param {Date} [date=new Date()] - Modification time stored in the archive
+   * @returns {void}
+   */
+  addFile(name, content, date = new Date()) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+    const deflated = deflateRawSync(data);
+    // Already-compressed files (images, audio) are stored as-is when deflate doesn't help
+    const compressed = deflated.length < data.length;
+
+    this.entries.push({
+      name: Buffer.from(name, 'utf-8'),
+      data: compressed ? deflated : data,
+      method: compressed ? 8 : 0,
+      crc: this.crc32(data),
+      size: data.length,
+      ...this.dosDateTime(date)
+    });
+  }
+
+  /**
+   * Builds the archive
+   * @returns {Buffer} The zip file content
+   */
+  toBuffer() {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      local.writeUInt16LE(entry.method, 8);
+      local.writeUInt16LE(entry.time, 10);
+      local.writeUInt16LE(entry.date, 12);
+      local.writeUInt32LE(entry.crc, 14);
+      local.writeUInt32LE(entry.data.length, 18);
+      local.writeUInt32LE(entry.size, 22);
+      local.writeUInt16LE(entry.name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(entry.method, 10);
+      central.writeUInt16LE(entry.time, 12);
+      central.writeUInt16LE(entry.date, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.data.length, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.name.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      parts.push(local, entry.name, entry.data);
+      directory.push(central, entry.name);
+      offset += local.length + entry.name.length + entry.data.length;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, ...directory, end]);
+  }
+
+  /**
+   * Computes the CRC-32 checksum of a buffer
+   * @param {Buffer} data - The data
+   * @returns {number} The unsigned checksum
+   */
+  crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Converts a date to the MS-DOS time and date fields used in zip headers
+   * @param {Date} date - The date
+   * @returns {{ time: number, date: number }} The packed fields
+   */
+  dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+}
@@ -0,0 +1,527 @@
+// MigrationAssistant - Handles finding and rewriting sketch code that breaks across p5.js major versions
+
+/**
+ * Functions that load assets; they return promises in p5.js 2.x
+ */
+const LOAD_FUNCTIONS = 'load(?:Image|JSON|Strings|Table|XML|Bytes|Blob|Font|Model|Shader|Sound|Pixels)';
+
+export class MigrationAssistant {
+  /**
+   * Known API changes between major versions. Patterns run on the source with comments and
+   * string contents blanked out. Rules with `fix` can be rewritten automatically: `fix`
+   * receives the match and returns the replacement for the matched text (or null to skip).
+   */
+  static RULES = [
+    {
+      id: 'preload',
+      from: 1,
+      to: 2,
+      pattern: /^[ \t]*function\s+preload\s*\(/gm,
+      message: 'preload() is no longer called in p5.js 2.x',
+      suggestion: 'Make setup() async and load assets with await, e.g. `img = await loadImage(...)`'
+    },
+    {
+      id: 'instance-preload',
+      from: 1,
+      to: 2,
+      pattern: /\.\s*preload\s*=/g,
+      message: 'preload is no longer called in p5.js 2.x',
+      suggestion: 'Use an async setup and load assets with await, e.g. `p.setup = async () => { img = await p.loadImage(...) }`'
+    },
+    {
+      id: 'load-callback',
+      from: 1,
+      to: 2,
+      pattern: new RegExp(`(?<![\\w$])${LOAD_FUNCTIONS}\\s*\\(`, 'g'),
+      test: (call) => call.args.slice(1).some(arg => /^(?:async\s+)?(?:function\b|\(?[\w$,\s]*\)?\s*=>|(?!true$|false$|null$|undefined$)[A-Za-z_$][\w$.]*$)/.test(arg.text.trim())),
+      message: 'Loading functions return promises in p5.js 2.x',
+      suggestion: 'Replace the callback with `const result = await loadX(...)` inside an async function (or `.then()`)'
+    },
+    {
+      id: 'load-model-normalize',
+      from: 1,
+      to: 2,
+      pattern: /(?<![\w$])loadModel\s*\(/g,
+      test: (call) => call.args.length >= 2 && /^(true|false)$/.test(call.args[1].text.trim()),
+      message: 'loadModel() takes an options object instead of the normalize flag in p5.js 2.x',
+      suggestion: 'loadModel(path, { normalize: true })',
+      fix: (call) => call.rewriteArgument(1, arg => `{ normalize: ${arg.trim()} }`)
+    },
+    {
+      id: 'curve-vertex',
+      from: 1,
+      to: 2,
+      pattern: /(?<![\w$])curveVertex\s*\(/g,
+      message: 'curveVertex() was renamed to splineVertex() in p5.js 2.x',
+      suggestion: 'splineVertex(x, y)',
+      fix: (call) => call.renameFunction('splineVertex')
+    },
+    {
+      id: 'curve',
+      from: 1,
+      to: 2,
+      pattern: /(?<![\w$])curve\s*\(/g,
+      message: 'curve() was renamed to spline() in p5.js 2.x',
+      suggestion: 'spline(x1, y1, x2, y2, x3, y3, x4, y4)',
+      fix: (call) => call.renameFunction('spline')
+    },
+    {
+      id: 'curve-tightness',
+      from: 1,
+      to: 2,
+      pattern: /(?<![\w$])curveTightness\s*\(/g,
+      message: 'curveTightness() was replaced by splineProperty() in p5.js 2.x',
+      suggestion: "splineProperty('tightness', amount)",
+      fix: (call) => call.args.length === 1 ? call.replace(`${call.prefix}splineProperty('tightness', ${call.args[0].text.trim()})`) : null
+    },
+    {
+      id: 'bezier-vertex',
+      from: 1,
+      to: 2,
+      pattern: /(?<![\w$])bezierVertex\s*\(/g,
+      test: (call) => call.args.length === 6 || call.args.length === 9,
+      message: 'bezierVertex() takes one point per call in p5.js 2.x',
+      suggestion: 'Call bezierVertex() once for each control point and once for the anchor point',
+      fix: (call) => call.splitStatement(3)
+    },
+    {
+      id: 'quadratic-vertex',
+      from: 1,
+      to: 2,
+      pattern: /(?<![\w$])quadraticVertex\s*\(/g,
+      message: 'quadraticVertex() was removed in p5.js 2.x',
+      suggestion: 'Call bezierOrder(2) after beginShape(), then bezierVertex() once for the control point and once for the anchor point'
+    },
+    {
+      id: 'typed-dict',
+      from: 1,
+      to: 2,
+      pattern: /(?<![\w$.]|function\s+)create(?:String|Number)Dict\s*\(/g,
+      message: 'createStringDict() and createNumberDict() were removed in p5.js 2.x',
+      suggestion: 'Use a plain object or a Map'
+    },
+    {
+      id: 'array-functions',
+      from: 1,
+      to: 2,
+      pattern: /(?<![\w$.]|function\s+)(?:append|arrayCopy|concat|reverse|shorten|sort|splice|subset)\s*\(/g,
+      message: 'The p5.js array helper functions were removed in p5.js 2.x',
+      suggestion: 'Use the Array methods instead, e.g. arr.push(x), arr.concat(other), arr.slice(), arr.sort()'
+    },
+    {
+      id: 'register-preload-method',
+      from: 1,
+      to: 2,
+      pattern: /registerPreloadMethod\s*\(/g,
+      message: 'registerPreloadMethod() was removed in p5.js 2.x',
+      suggestion: 'Return a promise from the loading function; see the p5.js 2.x library guide'
+    },
+    {
+      id: 'async-setup',
+      from: 2,
+      to: 1,
+      pattern: /^[ \t]*async\s+function\s+setup\s*\(/gm,
+      message: 'p5.js 1.x does not wait for an async setup()',
+      suggestion: 'Load assets in preload() without await, and make setup() synchronous'
+    },
+    {
+      id: 'spline-vertex',
+      from: 2,
+      to: 1,
+      pattern: /(?<![\w$])splineVertex\s*\(/g,
+      message: 'splineVertex() is called curveVertex() in p5.js 1.x',
+      suggestion: 'curveVertex(x, y)',
+      fix: (call) => call.renameFunction('curveVertex')
+    },
+    {
+      id: 'spline',
+      from: 2,
+      to: 1,
+      pattern: /(?<![\w$])spline\s*\(/g,
+      message: 'spline() is called curve() in p5.js 1.x',
+      suggestion: 'curve(x1, y1, x2, y2, x3, y3, x4, y4)',
+      fix: (call) => call.renameFunction('curve')
+    },
+    {
+      id: 'bezier-order',
+      from: 2,
+      to: 1,
+      pattern: /(?<![\w$])(?:bezierOrder|splineProperty|splineProperties)\s*\(/g,
+      message: 'This function does not exist in p5.js 1.x',
+      suggestion: 'Use quadraticVertex()/bezierVertex() with all points in one call, or curveTightness()'
+    }
+  ];
+
+  /**
+   * Project folders that don't hold sketch code
+   */
+  static SKIPPED_DIRS = /^(?:lib|types|node_modules|dist|\.git|\.p5-backup)\//;
+
+  /**
+   * Creates a new MigrationAssistant instance
+   * @param {FileManager} fileManager - The file manager of the project
+   */
+  constructor(fileManager) {
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Checks whether moving between two versions crosses a major version boundary
+   * @param {string|null} fromVersion - The current version
+   * @param {string} toVersion - The new version
+   * @returns {boolean} True if the major versions differ
+   */
+  crossesMajor(fromVersion, toVersion) {
+    if (!fromVersion) return false;
+    return Number(fromVersion.split('.')[0]) !== Number(toVersion.split('.')[0]);
+  }
+
+  /**
+   * Scans the project's JavaScript files for code affected by the major version change
+   * @param {string} fromVersion - The current p5.js version
+   * @param {string} toVersion - The new p5.js version
+   * @returns {Promise<Array<{ file: string, line: number, column: number, rule: string, message: string, suggestion: string, fixable: boolean }>>}
+   *   Findings with paths relative to the project directory, in file and line order
+   */
+  async scan(fromVersion, toVersion) {
+    const findings = [];
+    for (const file of await this.listSketchFiles()) {
+      const source = await this.fileManager.readHTML(`${this.fileManager.basePath}${file}`);
+      findings.push(...this.scanSource(source, file, fromVersion, toVersion));
+    }
+    return findings;
+  }
+
+  /**
+   * Scans one source file
+   * @param {string} source - The file content
+   * @param {string} file - Path of the file, used in the findings
+   * @param {string} fromVersion - The current p5.js version
+   * @param {string} toVersion - The new p5.js version
+   * @returns {Array<Object>} Findings (see scan)
+   */
+  scanSource(source, file, fromVersion, toVersion) {
+    const masked = this.mask(source);
+    const declared = this.declaredFunctions(masked);
+    const findings = [];
+
+    for (const rule of this.rulesFor(fromVersion, toVersion)) {
+      for (const match of masked.matchAll(rule.pattern)) {
+        const call = this.parseCall(source, masked, match.index, match[0]);
+        if (rule.test && (!call || !rule.test(call))) continue;
+        // Calls to the sketch's own functions of the same name are fine
+        if (call && !call.prefix && declared.has(call.name)) continue;
+
+        const { line, column } = this.position(source, match.index + match[0].search(/\S/));
+        findings.push({
+          file,
+          line,
+          column,
+          rule: rule.id,
+          message: rule.message,
+          suggestion: rule.suggestion,
+          fixable: Boolean(rule.fix && call && rule.fix(call)) || (rule.id === 'preload' && this.rewritePreload(source) !== null)
+        });
+      }
+    }
+
+    return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Applies the automatic rewrites to the project's JavaScript files
+   * @param {string} fromVersion - The current p5.js version
+   * @param {string} toVersion - The new p5.js version
+   * @returns {Promise<Array<{ file: string, before: string, after: string }>>} The files that changed
+   */
+  async applyFixes(fromVersion, toVersion) {
+    const changed = [];
+    for (const file of await this.listSketchFiles()) {
+      const path = `${this.fileManager.basePath}${file}`;
+      const before = await this.fileManager.readHTML(path);
+      const after = this.fixSource(before, fromVersion, toVersion);
+
+      if (after !== before) {
+        await this.fileManager.writeHTML(path, after);
+        changed.push({ file, before, after });
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Applies the automatic rewrites to one source file
+   * @param {string} source - The file content
+   * @param {string} fromVersion - The current p5.js version
+   * @param {string} toVersion - The new p5.js version
+   * @returns {string} The rewritten content
+   */
+  fixSource(source, fromVersion, toVersion) {
+    const rules = this.rulesFor(fromVersion, toVersion);
+    const masked = this.mask(source);
+    const declared = this.declaredFunctions(masked);
+    const edits = [];
+
+    for (const rule of rules.filter(r => r.fix)) {
+      for (const match of masked.matchAll(rule.pattern)) {
+        const call = this.parseCall(source, masked, match.index, match[0]);
+        if (!call || (rule.test && !rule.test(call))) continue;
+        if (!call.prefix && declared.has(call.name)) continue;
+        const edit = rule.fix(call);
+        if (edit) edits.push(edit);
+      }
+    }
+
+    // Apply from the end so earlier offsets stay valid; overlapping edits are skipped
+    let result = source;
+    let limit = Infinity;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+      if (edit.end > limit) continue;
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+      limit = edit.start;
+    }
+
+    if (rules.some(rule => rule.id === 'preload')) {
+      result = this.rewritePreload(result) ?? result;
+    }
+    return result;
+  }
+
+  /**
+   * Moves the body of a global-mode preload() into setup(), which becomes async,
+   * and awaits the loading calls. Only done when both functions are plain top-level declarations.
+   * @param {string} source - The file content
+   * @returns {string|null} The rewritten content, or null if the file can't be rewritten safely
+   */
+  rewritePreload(source) {
+    const masked = this.mask(source);
+    const preload = /^[ \t]*function\s+preload\s*\(\s*\)\s*\{/m.exec(masked);
+    const setup = /^[ \t]*function\s+setup\s*\(\s*\)\s*\{/m.exec(masked);
+    if (!preload || !setup) return null;
+
+    const preloadOpen = preload.index + preload[0].length - 1;
+    const preloadClose = this.findClosing(masked, preloadOpen, '{', '}');
+    const setupOpen = setup.index + setup[0].length - 1;
+    if (preloadClose === -1 || (setupOpen > preload.index && setupOpen < preloadClose)) return null;
+
+    // Await every loading call in the preload body that isn't awaited yet
+    const bodyStart = preloadOpen + 1;
+    let body = source.slice(bodyStart, preloadClose);
+    const bodyMask = masked.slice(bodyStart, preloadClose);
+    const calls = [...bodyMask.matchAll(new RegExp(`(?<![\\w$.])${LOAD_FUNCTIONS}\\s*\\(`, 'g'))]
+      .filter(match => !/\bawait\s*$/.test(bodyMask.slice(0, match.index)));
+    for (const match of calls.reverse()) {
+      body = `${body.slice(0, match.index)}await ${body.slice(match.index)}`;
+    }
+
+    const setupHeader = source.slice(setup.index, setupOpen + 1).replace(/function\s+setup/, 'async function setup');
+    const setupWithBody = `${setupHeader}${body.replace(/\s+$/, '')}`;
+
+    // Remove preload() with the line break after it, then rebuild setup()
+    let removeEnd = preloadClose + 1;
+    const trailing = /^[ \t]*\r?\n(?:[ \t]*\r?\n)?/.exec(source.slice(removeEnd));
+    if (trailing) removeEnd += trailing[0].length;
+
+    const parts = [
+      { start: preload.index, end: removeEnd, text: '' },
+      { start: setup.index, end: setupOpen + 1, text: setupWithBody }
+    ].sort((a, b) => b.start - a.start);
+
+    let result = source;
+    for (const part of parts) {
+      result = result.slice(0, part.start) + part.text + result.slice(part.end);
+    }
+    return result;
+  }
+
+  /**
+   * Formats findings as a report, grouped by file
+   * @param {Array<Object>} findings - Findings (see scan)
+   * @returns {string} Multi-line report
+   */
+  formatReport(findings) {
+    const lines = [];
+    let currentFile = null;
+
+    for (const finding of findings) {
+      if (finding.file !== currentFile) {
+        if (currentFile !== null) lines.push('');
+        lines.push(finding.file);
+        currentFile = finding.file;
+      }
+      lines.push(`  ${finding.line}:${finding.column}  ${finding.message}${finding.fixable ? ' (auto-fixable)' : ''}`);
+      lines.push(`      → ${finding.suggestion}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Gets the rules for a version change
+   * @param {string} fromVersion - The current p5.js version
+   * @param {string} toVersion - The new p5.js version
+   * @returns {Array<Object>} The matching rules
+   */
+  rulesFor(fromVersion, toVersion) {
+    const from = Number(fromVersion.split('.')[0]);
+    const to = Number(toVersion.split('.')[0]);
+    return MigrationAssistant.RULES.filter(rule =>
+      (from < to && rule.from < rule.to && rule.from >= from && rule.to <= to) ||
+      (from > to && rule.from > rule.to && rule.from <= from && rule.to >= to)
+    );
+  }
+
+  /**
+   * Lists the project's JavaScript files, leaving out libraries, types and build output
+   * @returns {Promise<string[]>} Paths relative to the project directory
+   */
+  async listSketchFiles() {
+    const files = await this.fileManager.listFiles(this.fileManager.basePath.replace(/\/$/, '') || '.');
+    return files.filter(file => /\.m?js$/.test(file) && !MigrationAssistant.SKIPPED_DIRS.test(file));
+  }
+
+  /**
+   * Blanks out comments and the contents of string literals (keeping quotes and line breaks),
+   * so patterns only match code. Template literal expressions are blanked as well.
+   * @param {string} source - The file content
+   * @returns {string} Masked source of the same length
+   */
+  mask(source) {
+    let result = '';
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+      const next = source[i + 1];
+
+      if (char === '/' && next === '/') {
+        const end = source.indexOf('\n', i);
+        const stop = end === -1 ? source.length : end;
+        result += ' '.repeat(stop - i);
+        i = stop;
+      } else if (char === '/' && next === '*') {
+        const end = source.indexOf('*/', i + 2);
+        const stop = end === -1 ? source.length : end + 2;
+        result += source.slice(i, stop).replace(/[^\n]/g, ' ');
+        i = stop;
+      } else if (char === '"' || char === "'" || char === '`') {
+        let j = i + 1;
+        while (j < source.length && source[j] !== char && !(char !== '`' && source[j] === '\n')) {
+          j += source[j] === '\\' ? 2 : 1;
+        }
+        result += char + source.slice(i + 1, j).replace(/[^\n]/g, ' ') + (j < source.length ? char : '');
+        i = j + 1;
+      } else {
+        result += char;
+        i++;
+      }
+    }
+
+    return result.slice(0, source.length);
+  }
+
+  /**
+   * Parses a call expression starting at a pattern match
+   * @param {string} source - The file content
+   * @param {string} masked - The masked file content
+   * @param {number} index - Offset of the match
+   * @param {string} matched - The matched text, ending with the opening parenthesis
+   * @returns {Object|null} Call helper with args and rewrite methods, or null if it is not a complete call
+   */
+  parseCall(source, masked, index, matched) {
+    if (!matched.endsWith('(')) return null;
+
+    const open = index + matched.length - 1;
+    const close = this.findClosing(masked, open, '(', ')');
+    if (close === -1) return null;
+
+    const args = [];
+    let depth = 0;
+    let start = open + 1;
+    for (let i = open + 1; i <= close; i++) {
+      const char = masked[i];
+      if ('([{'.includes(char)) depth++;
+      else if (')]}'.includes(char) && i !== close) depth--;
+
+      if ((char === ',' && depth === 0) || i === close) {
+        const text = source.slice(start, i);
+        if (text.trim() !== '' || args.length > 0) args.push({ start, end: i, text });
+        start = i + 1;
+      }
+    }
+
+    const nameStart = index + matched.search(/\S/);
+    const name = /^[\w$]+/.exec(masked.slice(nameStart))[0];
+    // Instance-mode calls keep their receiver (e.g., "p.")
+    const receiver = /([A-Za-z_$][\w$]*\s*\.\s*)$/.exec(masked.slice(Math.max(0, nameStart - 40), nameStart));
+    const prefix = receiver ? receiver[1] : '';
+    const callStart = nameStart - prefix.length;
+
+    return {
+      name,
+      args,
+      prefix,
+      start: callStart,
+      end: close + 1,
+      replace: (text) => ({ start: callStart, end: close + 1, text }),
+      renameFunction: (newName) => ({ start: nameStart, end: nameStart + name.length, text: newName }),
+      rewriteArgument: (n, rewrite) => {
+        const arg = args[n];
+        const leading = /^\s*/.exec(arg.text)[0];
+        return { start: arg.start, end: arg.end, text: leading + rewrite(arg.text) };
+      },
+      splitStatement: (groups) => {
+        // Only whole statements can be split into several calls
+        const lineStart = source.lastIndexOf('\n', callStart - 1) + 1;
+        const indent = source.slice(lineStart, callStart);
+        if (!/^[ \t]*$/.test(indent) || !/^\s*;/.test(masked.slice(close + 1))) return null;
+
+        const size = args.length / groups;
+        const calls = [];
+        for (let g = 0; g < groups; g++) {
+          const group = args.slice(g * size, (g + 1) * size).map(arg => arg.text.trim());
+          calls.push(`${prefix}${name}(${group.join(', ')})`);
+        }
+        return { start: callStart, end: close + 1, text: calls.join(`;\n${indent}`) };
+      }
+    };
+  }
+
+  /**
+   * Collects the names of functions the source declares itself
+   * @param {string} masked - The masked file content
+   * @returns {Set<string>} Function names
+   */
+  declaredFunctions(masked) {
+    return new Set([...masked.matchAll(/\bfunction\s+([\w$]+)/g)].map(match => match[1]));
+  }
+
+  /**
+   * Finds the bracket that closes the one at a given offset
+   * @param {string} masked - The masked file content
+   * @param {number} open - Offset of the opening bracket
+   * @param {string} openChar - The opening bracket character
+   * @param {string} closeChar - The closing bracket character
+   * @returns {number} Offset of the closing bracket, or -1 if unbalanced
+   */
+  findClosing(masked, open, openChar, closeChar) {
+    let depth = 0;
+    for (let i = open; i < masked.length; i++) {
+      if (masked[i] === openChar) depth++;
+      else if (masked[i] === closeChar && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Converts an offset to a 1-based line and column
+   * @param {string} source - The file content
+   * @param {number} offset - The offset
+   * @returns {{ line: number, column: number }} The position
+   */
+  position(source, offset) {
+    const before = source.slice(0, offset);
+    const line = before.split('\n').length;
+    return { line, column: offset - before.lastIndexOf('\n') };
+  }
+}
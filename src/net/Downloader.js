@@ -0,0 +1,307 @@
+// Downloader - Handles HTTP downloads with timeouts, retries, proxies and progress events
+import { EventEmitter } from 'events';
+import { open, rename, rm } from 'fs/promises';
+import { ProxyAgent, fetch as proxyFetch } from 'undici';
+
+/**
+ * Error thrown when a download fails: the server answered with an error status or an HTML page,
+ * the connection failed, or no data arrived within the timeout
+ */
+export class DownloadError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {string} url - The URL that was requested
+   * @param {Object} [details={}] - Extra details
+   * @param {number|null} [details.status=null] - The HTTP status, if the server answered
+   * @param {Error} [details.cause] - The underlying network error
+   */
+  constructor(message, url, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = 'DownloadError';
+    this.url = url;
+    this.status = details.status ?? null;
+  }
+}
+
+export class Downloader extends EventEmitter {
+  /**
+   * Milliseconds without any data before a request is given up
+   */
+  static DEFAULT_TIMEOUT = 30_000;
+
+  /**
+   * Retries after the first attempt
+   */
+  static DEFAULT_RETRIES = 2;
+
+  /**
+   * Milliseconds before the first retry; each further retry waits twice as long
+   */
+  static BACKOFF = 500;
+
+  /**
+   * Statuses worth retrying: the server or a gateway was busy or failed on its side
+   */
+  static RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+  /**
+   * Creates a new Downloader instance. Progress is reported through events:
+   * `start` ({ url, total }), `progress` ({ url, received, total }), `end` ({ url, received }),
+   * `retry` ({ url, attempt, retries, delay, error }) and `fail` ({ url, error }, when a request is given up);
+   * total is null when the server doesn't send a length.
+   * @param {Object} [options={}] - Downloader options
+   * @param {number} [options.timeout=Downloader.DEFAULT_TIMEOUT] - Milliseconds without data before giving up
+   * @param {number} [options.retries=Downloader.DEFAULT_RETRIES] - Retries after a network error, timeout or busy server
+   * @param {number} [options.backoff=Downloader.BACKOFF] - Milliseconds before the first retry
+   * @param {Object} [options.env=process.env] - Environment with the proxy settings (HTTPS_PROXY, HTTP_PROXY, NO_PROXY)
+   */
+  constructor(options = {}) {
+    super();
+    this.timeout = options.timeout ?? Downloader.DEFAULT_TIMEOUT;
+    this.retries = options.retries ?? Downloader.DEFAULT_RETRIES;
+    this.backoff = options.backoff ?? Downloader.BACKOFF;
+    this.env = options.env ?? process.env;
+    // One ProxyAgent per proxy URL, so connections are reused
+    this.agents = new Map();
+    // Hosts that could not be reached after all retries; later requests to them are tried only once
+    this.unreachable = new Set();
+  }
+
+  /**
+   * Downloads a file into memory. Error statuses are returned rather than thrown,
+   * so callers can treat a missing optional file (404) as absent.
+   * @param {string} url - The URL to download
+   * @returns {Promise<{ ok: boolean, status: number, body: Buffer|null }>} The result; body is null unless ok
+   * @throws {DownloadError} If the connection fails or times out after all retries, or an HTML page
+   *   comes back instead of the file
+   */
+  async get(url) {
+    const chunks = [];
+    const result = await this.request(url, {
+      write: async chunk => { chunks.push(chunk); },
+      reset: async () => { chunks.length = 0; }
+    });
+    return { ...result, body: result.ok ? Buffer.concat(chunks) : null };
+  }
+
+  /**
+   * Downloads a text file
+   * @param {string} url - The URL to download
+   * @returns {Promise<string>} The content
+   * @throws {DownloadError} If the download fails or the server answers with an error status
+   */
+  async text(url) {
+    const result = await this.get(url);
+    if (!result.ok) throw this.statusError(url, result.status);
+    return result.body.toString('utf-8');
+  }
+
+  /**
+   * Downloads and parses a JSON document
+   * @param {string} url - The URL to download
+   * @returns {Promise<*>} The parsed document
+   * @throws {DownloadError} If the download fails, the server answers with an error status or the content isn't JSON
+   */
+  async json(url) {
+    const text = await this.text(url);
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new DownloadError(`The response from ${url} is not valid JSON`, url, { cause: error });
+    }
+  }
+
+  /**
+   * Downloads a file to disk. The content is streamed into a temporary file next to the target,
+   * which replaces the target only once the download is complete.
+   * @param {string} url - The URL to download
+   * @param {string} targetPath - Where to save the file
+   * @returns {Promise<number>} The size of the file in bytes
+   * @throws {DownloadError} If the download fails or the server answers with an error status
+   */
+  async toFile(url, targetPath) {
+    const temp = `${targetPath}.p5-tmp`;
+    let handle = await open(temp, 'w');
+    let size = 0;
+
+    try {
+      const result = await this.request(url, {
+        write: async chunk => {
+          await handle.write(chunk);
+          size += chunk.length;
+        },
+        reset: async () => {
+          await handle.close();
+          handle = await open(temp, 'w');
+          size = 0;
+        }
+      });
+      if (!result.ok) throw this.statusError(url, result.status);
+
+      await handle.close();
+      handle = null;
+      await rename(temp, targetPath);
+      return size;
+    } finally {
+      if (handle) {
+        await handle.close();
+        await rm(temp, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Requests a URL, retrying network errors, timeouts and busy servers with exponential backoff,
+   * and passes the body to a sink chunk by chunk
+   * @param {string} url - The URL to request
+   * @param {{ write: function(Uint8Array): Promise<void>, reset: function(): Promise<void> }} sink - Receives the body;
+   *   reset discards a partial body before a retry
+   * @returns {Promise<{ ok: boolean, status: number }>} The final status
+   * @throws {DownloadError} If every attempt failed, or an HTML page came back instead of the file
+   */
+  async request(url, sink) {
+    const host = new URL(url).host;
+    const retries = this.unreachable.has(host) ? 0 : this.retries;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const result = await this.attempt(url, sink);
+        if (result.ok || !Downloader.RETRY_STATUSES.includes(result.status) || attempt >= retries) return result;
+        error = this.statusError(url, result.status);
+      } catch (caught) {
+        const retryable = caught instanceof DownloadError && caught.status === null;
+        if (!retryable || attempt >= retries) {
+          if (retryable) this.unreachable.add(host);
+          this.emit('fail', { url, error: caught });
+          throw caught;
+        }
+        error = caught;
+      }
+
+      const delay = this.backoff * 2 ** attempt;
+      this.emit('retry', { url, attempt: attempt + 1, retries, delay, error });
+      await sink.reset();
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Makes a single request. The timeout restarts whenever data arrives, so large files on
+   * slow connections are not cut off as long as they keep coming in.
+   * @param {string} url - The URL to request
+   * @param {{ write: function(Uint8Array): Promise<void> }} sink - Receives the body
+   * @returns {Promise<{ ok: boolean, status: number }>} The status
+   * @throws {DownloadError} If the connection fails or times out, or an HTML page came back instead of the file
+   */
+  async attempt(url, sink) {
+    const controller = new AbortController();
+    let timer = null;
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), this.timeout);
+    };
+
+    arm();
+    try {
+      const response = await this.send(url, controller.signal);
+      if (!response.ok) {
+        await response.body?.cancel();
+        return { ok: false, status: response.status };
+      }
+
+      // A captive portal or proxy login page answers 200 with its own HTML
+      const type = response.headers.get('content-type') || '';
+      if (type.startsWith('text/html') && !/\.html?$/i.test(new URL(url).pathname)) {
+        await response.body?.cancel();
+        throw new DownloadError(`${url} returned an HTML page instead of the file. A captive portal or proxy login page may be intercepting requests; open a website in a browser to sign in.`, url, { status: response.status });
+      }
+
+      const total = Number(response.headers.get('content-length')) || null;
+      let received = 0;
+      this.emit('start', { url, total });
+
+      if (response.body) {
+        for await (const chunk of response.body) {
+          arm();
+          received += chunk.length;
+          await sink.write(chunk);
+          this.emit('progress', { url, received, total });
+        }
+      }
+
+      this.emit('end', { url, received });
+      return { ok: true, status: response.status };
+    } catch (error) {
+      if (error instanceof DownloadError) throw error;
+      if (controller.signal.aborted) {
+        throw new DownloadError(`No response from ${new URL(url).host} within ${this.timeout / 1000} seconds (${url})`, url, { cause: error });
+      }
+      throw this.networkError(url, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Sends a GET request, through the proxy configured for the URL if there is one
+   * @param {string} url - The URL to request
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<Response>} The response
+   */
+  async send(url, signal) {
+    const proxy = this.getProxy(url);
+    if (!proxy) return await fetch(url, { signal });
+
+    if (!this.agents.has(proxy)) this.agents.set(proxy, new ProxyAgent(proxy));
+    return await proxyFetch(url, { signal, dispatcher: this.agents.get(proxy) });
+  }
+
+  /**
+   * Gets the proxy for a URL from HTTPS_PROXY (https URLs) or HTTP_PROXY (http URLs), either in
+   * upper or lower case, unless the host is listed in NO_PROXY
+   * @param {string} url - The URL to request
+   * @returns {string|null} The proxy URL, or null to connect directly
+   */
+  getProxy(url) {
+    const { protocol, hostname } = new URL(url);
+    const proxy = protocol === 'https:'
+      ? this.env.HTTPS_PROXY || this.env.https_proxy
+      : this.env.HTTP_PROXY || this.env.http_proxy;
+    if (!proxy) return null;
+
+    const bypass = (this.env.NO_PROXY || this.env.no_proxy || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const skipped = bypass.some(entry => {
+      if (entry === '*') return true;
+      const host = entry.replace(/^\*?\./, '').replace(/:\d+$/, '');
+      return hostname === host || hostname.endsWith(`.${host}`);
+    });
+    return skipped ? null : proxy;
+  }
+
+  /**
+   * Builds the error for an HTTP error status
+   * @param {string} url - The requested URL
+   * @param {number} status - The HTTP status
+   * @returns {DownloadError} The error
+   */
+  statusError(url, status) {
+    const reason = status === 404 ? 'was not found' : status === 407 ? 'needs proxy authentication' : status >= 500 ? 'failed on the server' : 'was refused';
+    return new DownloadError(`${url} ${reason} (HTTP ${status})`, url, { status });
+  }
+
+  /**
+   * Builds the error for a failed connection, naming the cause and the proxy if one was used
+   * @param {string} url - The requested URL
+   * @param {Error} error - The error thrown by fetch
+   * @returns {DownloadError} The error
+   */
+  networkError(url, error) {
+    const cause = error.cause?.code || error.cause?.message || error.message;
+    const proxy = this.getProxy(url);
+    const hint = proxy
+      ? ` through the proxy ${new URL(proxy).host}. Check the HTTPS_PROXY setting`
+      : '. Check your network connection, or set HTTPS_PROXY if you are behind a proxy';
+    return new DownloadError(`Could not connect to ${new URL(url).host} (${cause})${hint}.`, url, { cause: error });
+  }
+}
@@ -0,0 +1,170 @@
+// BatchRunner - Handles finding the p5.js projects in a directory tree and updating them together
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { parseHTML } from 'linkedom';
+import { FileManager } from '../file/FileManager.js';
+import { HTMLManager } from '../file/HTMLManager.js';
+import { CacheManager } from '../cache/CacheManager.js';
+import { Downloader } from '../net/Downloader.js';
+import { Project } from './Project.js';
+
+export class BatchRunner {
+  /**
+   * Projects updated at the same time unless a concurrency is given
+   */
+  static DEFAULT_CONCURRENCY = 4;
+
+  /**
+   * Folders that are never searched for projects: dependencies, backups and the p5.js files of a project
+   */
+  static SKIP_DIRS = FileManager.NON_PAGE_DIRS;
+
+  /**
+   * Creates a new BatchRunner instance. The projects share the cache and the downloader.
+   * @param {Object} [options={}] - Options
+   * @param {CacheManager} [options.cacheManager] - Per-user download cache
+   * @param {Downloader} [options.downloader] - Performs the downloads
+   */
+  constructor(options = {}) {
+    this.cacheManager = options.cacheManager ?? new CacheManager();
+    this.downloader = options.downloader ?? new Downloader();
+    this.htmlManager = new HTMLManager();
+  }
+
+  /**
+   * Walks a directory tree for p5.js projects: folders with a p5-config.json, or with an HTML page
+   * that loads p5.js. The folders inside a project belong to it and are not searched.
+   * @param {string} root - The directory to search
+   * @returns {Promise<Array<{ dir: string, configured: boolean, version: string|null, mode: string|null }>>}
+   *   The projects in path order; version and mode come from the p5.js tag of projects without p5-config.json
+   */
+  async find(root) {
+    const projects = [];
+
+    const visit = async dir => {
+      let entries;
+      try {
+        entries = await readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      const files = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+      if (files.includes('p5-config.json')) {
+        projects.push({ dir: FileManager.normalizeBasePath(dir), configured: true, version: null, mode: null });
+        return;
+      }
+
+      for (const page of files.filter(file => /\.html?$/i.test(file)).sort()) {
+        const info = await this.detectP5Script(join(dir, page));
+        if (info) {
+          const remote = /^(?:https?:)?\/\//.test(info.scriptNode.getAttribute('src'));
+          projects.push({
+            dir: FileManager.normalizeBasePath(dir),
+            configured: false,
+            version: info.version === 'local' ? null : info.version,
+            mode: remote ? 'cdn' : 'local'
+          });
+          return;
+        }
+      }
+
+      const dirs = entries
+        .filter(entry => entry.isDirectory() && !BatchRunner.SKIP_DIRS.includes(entry.name))
+        .map(entry => entry.name)
+        .sort();
+      for (const name of dirs) await visit(join(dir, name));
+    };
+
+    await visit(root);
+    return projects;
+  }
+
+  /**
+   * Finds the p5.js tag of a page (see HTMLManager.findP5Script)
+   * @param {string} path - The page
+   * @returns {Promise<Object|null>} The tag info, or null if the page doesn't load p5.js or can't be read
+   */
+  async detectP5Script(path) {
+    try {
+      const { document } = parseHTML(await readFile(path, 'utf-8'));
+      return this.htmlManager.findP5Script(document);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Updates projects to a p5.js version, a few at a time. Each project is staged and applied on its own
+   * (with its own backup), so a failing project leaves its files as they were and doesn't stop the others.
+   * Nothing is asked: confirmations take their default answer, or yes with `yes`.
+   * @param {Array<Object>} projects - The projects (see find)
+   * @param {Object} choices - The choices for every project (see Project.update); `mode` defaults to the
+   *   configured mode, or the mode of the p5.js tag for projects without p5-config.json
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - Projects updated at the same time
+   * @param {boolean} [options.dryRun=false] - Plan the changes instead of making them
+   * @param {boolean} [options.yes=false] - Accept confirmations
+   * @param {string} [options.transientMirror] - Mirror used for this run only (see Project.applyMirror)
+   * @param {function(Object): void} [options.onResult] - Receives each result as its project finishes
+   * @returns {Promise<Array<{ dir: string, status: 'updated'|'kept'|'failed', from: string|null, version: string|null, mode: string|null, changes: Array<Object>, warnings: string[], error: Error|null }>>}
+   *   The results, in the order of the projects
+   */
+  async run(projects, choices, options = {}) {
+    const concurrency = Math.max(1, options.concurrency ?? BatchRunner.DEFAULT_CONCURRENCY);
+    const results = new Array(projects.length);
+    let next = 0;
+
+    // Each worker takes the next project until none are left
+    const worker = async () => {
+      while (next < projects.length) {
+        const index = next++;
+        results[index] = await this.updateProject(projects[index], choices, options);
+        if (options.onResult) options.onResult(results[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, projects.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Updates one project and applies its changes, catching any failure
+   * @param {Object} found - The project (see find)
+   * @param {Object} choices - The choices (see run)
+   * @param {Object} options - Options (see run)
+   * @returns {Promise<Object>} The result (see run)
+   */
+  async updateProject(found, choices, options) {
+    const project = new Project(found.dir, {
+      cacheManager: this.cacheManager,
+      downloader: this.downloader,
+      dryRun: options.dryRun,
+      yes: options.yes
+    });
+    const warnings = [];
+    project.on('progress', ({ level, message }) => {
+      if (level === 'warning') warnings.push(message);
+    });
+
+    const { fileManager } = project;
+    let from = found.version;
+    try {
+      await project.applyMirror({ mirror: choices.mirror, transient: options.transientMirror });
+      fileManager.begin();
+
+      const config = await project.configManager.load();
+      if (config) from = config.version ?? null;
+
+      const result = await project.update({ ...choices, mode: choices.mode ?? config?.mode ?? found.mode });
+      const changes = fileManager.getPlan();
+      if (!fileManager.dryRun) await fileManager.commit();
+
+      return { dir: found.dir, status: result.status, from, version: result.version, mode: result.mode, changes, warnings, error: null };
+    } catch (error) {
+      return { dir: found.dir, status: 'failed', from, version: null, mode: null, changes: [], warnings, error };
+    } finally {
+      if (!fileManager.dryRun) fileManager.reset();
+    }
+  }
+}
@@ -0,0 +1,1334 @@
+// Project - Handles setting up, updating and inspecting one p5.js project (used by the CLI and the Node API)
+import { EventEmitter } from 'events';
+import { basename, resolve } from 'path';
+import { FileManager, IntegrityError } from '../file/FileManager.js';
+import { HTMLManager } from '../file/HTMLManager.js';
+import { VersionProvider } from '../api/VersionProvider.js';
+import { SemVer } from '../api/SemVer.js';
+import { ReleaseNotes } from '../api/ReleaseNotes.js';
+import { LibraryProvider, LibraryError } from '../api/LibraryProvider.js';
+import { TypesProvider } from '../api/TypesProvider.js';
+import { ConfigManager } from '../config/ConfigManager.js';
+import { CacheManager } from '../cache/CacheManager.js';
+import { TemplateManager } from '../template/TemplateManager.js';
+import { MigrationAssistant } from '../migrate/MigrationAssistant.js';
+import { ProjectDoctor } from '../doctor/ProjectDoctor.js';
+import { ProjectImporter } from '../export/ProjectImporter.js';
+import { Downloader } from '../net/Downloader.js';
+
+/**
+ * Error thrown when a project operation can't go on: a choice is missing and there is no prompt
+ * to ask for it, the user cancelled, or a download doesn't match its published hash
+ */
+export class ProjectError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {string} code - What went wrong: "cancelled", "missing-version", "missing-mode", "unknown-version",
+   *   "integrity", "template", "invalid-mirror", "not-configured", "exists" or "unsafe-path"
+   * @param {Object} [details={}] - Extra details
+   * @param {Error} [details.cause] - The underlying error (e.g., an IntegrityError)
+   */
+  constructor(message, code, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = 'ProjectError';
+    this.code = code;
+  }
+}
+
+export class Project extends EventEmitter {
+  /**
+   * Creates a new Project instance. Services that are not passed in are created for the directory.
+   * Progress is reported through `progress` events ({ level, message, detail, title }): level is
+   * "done" for completed steps, "info" for other messages, "warning" for problems that don't stop
+   * the operation and "note" for summaries with a title; detail marks messages only worth showing
+   * in verbose output. Downloads report their own progress on `project.downloader`.
+   * @param {string} [dir='sketch'] - The project directory (taken from the file manager if one is passed)
+   * @param {Object} [options={}] - Project options
+   * @param {FileManager} [options.fileManager] - Reads and writes the project files
+   * @param {VersionProvider} [options.versionProvider] - Looks up p5.js versions and download URLs
+   * @param {PromptProvider|null} [options.promptProvider=null] - Asks for missing choices and confirmations;
+   *   without one, confirmations get their default answer and missing choices are an error unless `yes` is set
+   * @param {CacheManager} [options.cacheManager] - Per-user download cache
+   * @param {Downloader} [options.downloader] - Performs the downloads
+   * @param {boolean} [options.dryRun=false] - Plan the changes instead of making them (see FileManager)
+   * @param {boolean} [options.yes=false] - Accept defaults and confirmations without asking
+   */
+  constructor(dir = 'sketch', options = {}) {
+    super();
+    this.cacheManager = options.cacheManager ?? new CacheManager();
+    const downloader = options.downloader ?? new Downloader();
+    this.fileManager = options.fileManager ?? new FileManager(dir, this.cacheManager, { dryRun: options.dryRun, downloader });
+    this.versionProvider = options.versionProvider ?? new VersionProvider('p5', this.cacheManager, { downloader: this.fileManager.downloader });
+    this.promptProvider = options.promptProvider ?? null;
+    this.yes = options.yes ?? false;
+
+    this.basePath = this.fileManager.basePath;
+    this.downloader = this.fileManager.downloader;
+    this.htmlManager = new HTMLManager();
+    this.libraryProvider = new LibraryProvider(this.versionProvider, this.fileManager);
+    this.typesProvider = new TypesProvider(this.versionProvider);
+    this.releaseNotes = new ReleaseNotes(this.versionProvider, this.cacheManager);
+    this.configManager = new ConfigManager(this.fileManager);
+    this.templateManager = new TemplateManager(this.fileManager);
+    this.migrationAssistant = new MigrationAssistant(this.fileManager);
+    this.projectDoctor = new ProjectDoctor(this.fileManager, this.htmlManager, this.typesProvider);
+    this.projectImporter = new ProjectImporter(this.fileManager, this.htmlManager);
+  }
+
+  /**
+   * Sets up or updates the project:
+   * - Offers the newest version matching a configured range, or keeping the current setup
+   * - Resolves the version, delivery mode, CDN provider and build from the options or prompts
+   * - Reports code that breaks across major versions
+   * - Creates missing project files from the starter template
+   * - Downloads p5.js (local mode) and the TypeScript type definitions
+   * - Updates the HTML pages and add-on libraries, and saves p5-config.json
+   * Changes are staged in the file manager; commit them (or read the plan in a dry run) afterwards.
+   * @param {Object} [options={}] - Choices; missing ones are asked for, or default as with `yes`
+   * @param {string} [options.version] - Version to install: exact, dist-tag or range (e.g., "2.1.0", "latest", "~2.1")
+   * @param {string} [options.mode] - Delivery mode: "cdn" or "local"
+   * @param {string} [options.cdnProvider] - "jsdelivr", "cdnjs" or "unpkg"
+   * @param {string} [options.mirror] - Mirror to record in p5-config.json ("none" removes it)
+   * @param {string} [options.template] - Starter template name or path, for new projects
+   * @param {string} [options.sketchMode] - "global" or "instance" (detected if omitted)
+   * @param {boolean} [options.minify] - Use the minified build
+   * @param {boolean} [options.versionedFile] - Name the local build after its version
+   * @param {boolean} [options.types=true] - Install type definitions
+   * @returns {Promise<Object>} The outcome: status ("updated", "kept" or "restored") and the resulting
+   *   version, mode, cdnProvider, build, integrity, sketchMode, typeDefs, libraries and template
+   * @throws {ProjectError} If a choice is missing, the user cancels or a download doesn't match its hash
+   */
+  async update(options = {}) {
+    const config = await this.configManager.load();
+    if (this.configManager.migrated) {
+      const { from, to } = this.configManager.migrated;
+      this.report('info', `p5-config.json uses schema version ${from}; it is saved as version ${to}`, true);
+    }
+
+    // Any value option means the caller already knows what they want
+    const buildOptions = options.minify !== undefined || options.versionedFile !== undefined;
+    const hasValueOptions = Boolean(options.version || options.mode || options.cdnProvider || options.mirror || buildOptions);
+    const types = options.types ?? true;
+
+    // Set when the configured range now resolves to a different version
+    let rangeUpdate = null;
+
+    if (config) {
+      const range = config.versionRange ? `, range ${config.versionRange}` : '';
+      const provider = config.mode === 'cdn' && config.cdnProvider ? ` via ${config.cdnProvider}` : '';
+      const mirror = this.versionProvider.mirror ? `\nDownloads from ${this.versionProvider.mirror}` : '';
+      this.note(`Current: p5.js ${config.version ?? 'not installed'} (${config.mode} mode${provider}${range})${mirror}`, 'Existing Configuration');
+
+      if (config.versionRange && !hasValueOptions) {
+        const newest = await this.versionProvider.resolveVersion(config.versionRange);
+        if (newest && newest !== config.version &&
+            await this.confirm(`Update to p5.js ${newest} (newest version matching ${config.versionRange})?`, true)) {
+          rangeUpdate = newest;
+        }
+      }
+
+      const localP5 = config.version ? this.localP5Path(config.version, this.configuredBuild(config)) : null;
+      const localP5Intact = await this.checkLocalP5(config);
+      if (localP5Intact === false) {
+        this.note(`\`${this.basePath}${localP5}\` does not match the integrity hash recorded in p5-config.json.\nIt may have been modified or corrupted.`, 'Integrity Warning');
+      }
+
+      if (!hasValueOptions && !rangeUpdate && config.version &&
+          !await this.confirm('Do you want to change the version?', false)) {
+        if (localP5Intact === false && await this.confirm(`Restore \`${localP5}\` by downloading p5.js ${config.version} again?`, false)) {
+          try {
+            await this.downloadP5(config.version, config.integrity, this.configuredBuild(config));
+          } catch (error) {
+            if (error instanceof IntegrityError) {
+              throw new ProjectError(`The downloaded p5.js ${config.version} does not match the recorded integrity hash either.`, 'integrity', { cause: error });
+            }
+            throw error;
+          }
+          return { ...this.describe(config), status: 'restored', restored: localP5 };
+        }
+
+        await this.scaffoldProject(await this.resolveTemplate(undefined, config, config.version), config.version);
+        return { ...this.describe(config), status: 'kept' };
+      }
+    }
+
+    // Only switching the CDN, mirror or build keeps the installed version and mode
+    const sourceOnly = Boolean(config?.version && !options.version && !options.mode && (options.cdnProvider || options.mirror || buildOptions));
+
+    const { version, range: versionRange } = rangeUpdate
+      ? { version: rangeUpdate, range: config.versionRange }
+      : sourceOnly
+        ? { version: config.version, range: config.versionRange ?? null }
+        : await this.resolveVersion(options.version, config);
+
+    // Range updates and source switches keep the current mode
+    const mode = await this.resolveMode(options.mode ?? (rangeUpdate || sourceOnly ? config.mode : undefined), config);
+
+    // The p5.js and add-on library tags all move to the same provider
+    const cdnProvider = await this.resolveCDNProvider(options.cdnProvider, config, mode);
+
+    // Minified or not, and whether the local file name carries the version
+    const build = await this.resolveBuild(config, options);
+
+    // Report (and optionally rewrite) code that breaks across major versions
+    await this.runMigrationAssistant(config?.version ?? null, version);
+
+    // Create the project folder and any missing files from the starter template
+    const template = await this.resolveTemplate(options.template, config, version);
+    await this.scaffoldProject(template, version);
+
+    if (config && config.mode === 'local' && mode !== 'local') {
+      await this.offerLocalCleanup(config);
+    }
+
+    // Get the published hash of the p5.js file, for verification and the CDN tag
+    const integrity = await this.resolveP5Integrity(version, build);
+
+    if (mode === 'local') await this.installP5(version, integrity, build);
+
+    // Global or instance mode decides which type definitions to install
+    const sketchMode = await this.resolveSketchMode(options.sketchMode, config);
+
+    let typeDefs = config?.typeDefsVersion
+      ? { version: config.typeDefsVersion, packageName: config.typeDefsPackage ?? null }
+      : null;
+    if (types) {
+      await this.deleteExistingTypeDefinitions();
+      typeDefs = await this.downloadTypes(version, sketchMode);
+    } else {
+      this.report('info', 'Skipping type definitions', true);
+    }
+
+    const pages = await this.updateHTML(version, mode, { cdnProvider, integrity, ...build });
+
+    // Keep add-on libraries compatible with the selected p5.js version
+    const libraries = await this.syncLibraries(config?.libraries || [], version, mode, { cdnProvider }, types);
+
+    await this.configManager.save(version, mode, typeDefs?.version ?? null, {
+      versionRange,
+      typeDefsPackage: typeDefs?.packageName ?? null,
+      sketchMode,
+      integrity,
+      cdnProvider,
+      mirror: this.configuredMirror(config, options.mirror),
+      minified: build.isMinified,
+      versionedFile: build.versionedFile,
+      template: template.id,
+      libraries
+    });
+    this.report('done', `Configuration saved to \`${this.configManager.configPath}\``, true);
+
+    return {
+      status: 'updated',
+      version,
+      versionRange,
+      mode,
+      cdnProvider,
+      build,
+      integrity,
+      sketchMode,
+      typeDefs,
+      libraries,
+      template: template.id,
+      pages
+    };
+  }
+
+  /**
+   * Describes the project as recorded in its configuration, in the shape update() returns
+   * @param {Object} config - The loaded p5-config.json
+   * @returns {Object} The version, mode, cdnProvider, build, integrity, sketchMode, typeDefs, libraries and template
+   */
+  describe(config) {
+    return {
+      version: config.version,
+      versionRange: config.versionRange ?? null,
+      mode: config.mode,
+      cdnProvider: config.cdnProvider ?? null,
+      build: this.configuredBuild(config),
+      integrity: config.integrity ?? null,
+      sketchMode: config.sketchMode ?? null,
+      typeDefs: config.typeDefsVersion ? { version: config.typeDefsVersion, packageName: config.typeDefsPackage ?? null } : null,
+      libraries: config.libraries ?? [],
+      template: config.template ?? null
+    };
+  }
+
+  /**
+   * Reads the state of the project without changing it: the configuration, the p5.js tags of
+   * each page and the problems the doctor finds
+   * @returns {Promise<{ dir: string, config: Object|null, pages: Array<{ page: string, tags: Array<Object> }>, libraries: Array<Object>, problems: Array<Object> }>}
+   *   The state; pages lists every HTML page with its p5.js tags (see HTMLManager.getP5ScriptInfos)
+   * @throws {ConfigError} If p5-config.json is invalid
+   */
+  async inspect() {
+    const config = await this.configManager.load();
+
+    const pages = [];
+    for (const page of await this.fileManager.listPages()) {
+      pages.push({ page, tags: this.htmlManager.getP5ScriptInfos(await this.fileManager.readHTML(`${this.basePath}${page}`)) });
+    }
+
+    return {
+      dir: this.basePath,
+      config,
+      pages,
+      libraries: config?.libraries ?? [],
+      problems: config ? await this.projectDoctor.diagnose(config) : []
+    };
+  }
+
+  /**
+   * Reports progress to listeners (see the constructor)
+   * @param {string} level - "done", "info" or "warning"
+   * @param {string} message - The message
+   * @param {boolean} [detail=false] - Whether the message is only worth showing in verbose output
+   * @returns {void}
+   */
+  report(level, message, detail = false) {
+    this.emit('progress', { level, message, detail });
+  }
+
+  /**
+   * Reports a summary with a title to listeners
+   * @param {string} message - The summary
+   * @param {string} title - The title
+   * @returns {void}
+   */
+  note(message, title) {
+    this.emit('progress', { level: 'note', message, title, detail: false });
+  }
+
+  /**
+   * Asks a yes/no question. With `yes` the answer is yes; without a prompt provider it is the fallback.
+   * @param {string} message - The confirmation question
+   * @param {boolean} fallback - The answer used when there is no prompt provider
+   * @returns {Promise<boolean>} The answer
+   * @throws {ProjectError} If the user cancelled the prompt
+   */
+  async confirm(message, fallback) {
+    if (this.yes) return true;
+    if (!this.promptProvider) return fallback;
+    return this.answer(await this.promptProvider.confirm(message));
+  }
+
+  /**
+   * Checks a prompt answer for cancellation
+   * @param {*} value - The value returned by the prompt
+   * @returns {*} The value
+   * @throws {ProjectError} If the user cancelled the prompt
+   */
+  answer(value) {
+    if (this.promptProvider.isCancel(value)) throw new ProjectError('Setup cancelled', 'cancelled');
+    return value;
+  }
+
+  /**
+   * Downloads the specified version of p5.js from jsdelivr CDN (or the configured mirror) to the local lib directory,
+   * along with its source map when the package has one. Other p5.js builds in lib/ are removed.
+   * When an integrity hash is given, the file is verified before it is written.
+   * @param {string} version - The p5.js version to download (e.g., "2.1.0")
+   * @param {string|null} [integrity=null] - Expected integrity hash of the build
+   * @param {{ isMinified?: boolean, versionedFile?: boolean }} [build={}] - Which build to download and how to name it (see resolveBuild)
+   * @returns {Promise<void>}
+   * @throws {IntegrityError} If the downloaded file does not match the integrity hash
+   */
+  async downloadP5(version, integrity = null, build = {}) {
+    await this.fileManager.createDir(`${this.basePath}lib`);
+
+    const source = build.isMinified ? 'lib/p5.min.js' : 'lib/p5.js';
+    const target = this.localP5Path(version, build);
+    const url = this.versionProvider.getFileURL(version, source);
+    if (integrity) {
+      await this.fileManager.downloadVerifiedFile(url, `${this.basePath}${target}`, integrity);
+    } else {
+      await this.fileManager.downloadFile(url, `${this.basePath}${target}`);
+    }
+    this.report('done', `Downloaded p5.js ${version} to ${this.basePath}${target}${integrity ? ' (integrity verified)' : ''}`, true);
+
+    const sourceMap = await this.downloadSourceMap(version, source);
+    await this.deleteLocalP5Builds([target, sourceMap]);
+  }
+
+  /**
+   * Downloads a p5.js build that is being installed (see downloadP5), refusing it if it doesn't match its published hash
+   * @param {string} version - The p5.js version to install
+   * @param {string|null} integrity - The published integrity hash of the build
+   * @param {{ isMinified?: boolean, versionedFile?: boolean }} build - Which build to download and how to name it
+   * @returns {Promise<void>}
+   * @throws {ProjectError} If the downloaded file does not match the published hash
+   */
+  async installP5(version, integrity, build) {
+    try {
+      await this.downloadP5(version, integrity, build);
+    } catch (error) {
+      if (error instanceof IntegrityError) {
+        throw new ProjectError(`Refusing to install p5.js ${version}: the downloaded file does not match the published hash.\n  Expected: ${error.expected}\n  Actual:   ${error.actual}`, 'integrity', { cause: error });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Downloads the source map of a p5.js build into lib/, if the package publishes one.
+   * The build refers to its map by the published name (e.g., p5.min.js.map), so the map keeps
+   * that name even when the build itself is saved under a versioned name.
+   * @param {string} version - The p5.js version
+   * @param {string} source - Path of the build inside the package (e.g., "lib/p5.min.js")
+   * @returns {Promise<string|null>} Path of the map relative to the project directory, or null if there is none
+   */
+  async downloadSourceMap(version, source) {
+    const files = await this.versionProvider.getFileList(version);
+    if (!files || !files.some(file => file.name === `/${source}.map`)) return null;
+
+    const url = this.versionProvider.getFileURL(version, `${source}.map`);
+    const response = await this.fileManager.downloadFileWithCheck(url);
+    if (!response.ok) {
+      this.report('warning', `Could not download the source map from ${url}`);
+      return null;
+    }
+
+    const target = `lib/${source.split('/').pop()}.map`;
+    await this.fileManager.writeHTML(`${this.basePath}${target}`, await response.text());
+    this.report('done', `Downloaded source map to ${this.basePath}${target}`, true);
+    return target;
+  }
+
+  /**
+   * Deletes local p5.js builds (lib/p5.js, lib/p5.min.js, lib/p5@<version>.js, ...) and their source maps
+   * @param {Array<string|null>} [keep=[]] - Paths relative to the project directory to leave in place
+   * @returns {Promise<void>}
+   */
+  async deleteLocalP5Builds(keep = []) {
+    for (const file of await this.fileManager.listDir(`${this.basePath}lib`)) {
+      if (!/^p5(?:@[^/]+)?(?:\.min)?\.js(?:\.map)?$/.test(file) || keep.includes(`lib/${file}`)) continue;
+
+      const path = `${this.basePath}lib/${file}`;
+      if (await this.fileManager.deleteFile(path)) this.report('done', `Deleted local file \`${path}\``, true);
+      else this.report('warning', `Could not delete \`${path}\``, true);
+    }
+  }
+
+  /**
+   * Offers to delete the local p5.js build, the local copies of add-on libraries and an empty
+   * lib/ folder when a project moves from local to CDN mode
+   * @param {Object} config - The existing configuration
+   * @returns {Promise<void>}
+   */
+  async offerLocalCleanup(config) {
+    const p5Path = this.localP5Path(config.version, this.configuredBuild(config));
+    if (!await this.confirm(`You are switching from local to CDN. Delete the local file \`${p5Path}\`?`, false)) return;
+
+    if (await this.fileManager.exists(`${this.basePath}${p5Path}`)) {
+      // Older copies and source maps go as well
+      await this.deleteLocalP5Builds([]);
+    } else {
+      this.report('info', `No local \`${this.basePath}${p5Path}\` found to delete.`, true);
+    }
+
+    // Add-on libraries are switched to CDN as well, so their local copies go too
+    for (const library of config.libraries || []) {
+      const libraryPath = `${this.basePath}lib/${this.libraryProvider.getLocalFileName(library)}`;
+      if (await this.fileManager.exists(libraryPath) && await this.fileManager.deleteFile(libraryPath)) {
+        this.report('done', `Deleted local file \`${libraryPath}\``, true);
+      }
+    }
+
+    const libContents = await this.fileManager.listDir(`${this.basePath}lib`);
+    if ((!libContents || libContents.length === 0) &&
+        await this.confirm('The `lib` folder is empty. Delete the `lib` folder as well?', false)) {
+      if (await this.fileManager.deleteDir(`${this.basePath}lib`)) this.report('done', `Deleted \`${this.basePath}lib\` folder`, true);
+      else this.report('warning', `Could not delete \`${this.basePath}lib\` folder`, true);
+    }
+  }
+
+  /**
+   * Gets the path of the local p5.js build in a project
+   * @param {string} version - The p5.js version
+   * @param {{ isMinified?: boolean, versionedFile?: boolean }} build - The build (see resolveBuild)
+   * @returns {string} The path relative to the project directory (e.g., "lib/p5@2.1.0.min.js")
+   */
+  localP5Path(version, build) {
+    return `lib/${this.htmlManager.getLocalFileName(version, build)}`;
+  }
+
+  /**
+   * Gets the build recorded in the configuration. Without a recorded choice, local projects
+   * use lib/p5.js and CDN tags keep their current build.
+   * @param {Object} config - The existing configuration
+   * @returns {{ isMinified: boolean|undefined, versionedFile: boolean }} The build
+   */
+  configuredBuild(config) {
+    return {
+      isMinified: config.minified ?? (config.mode === 'local' ? false : undefined),
+      versionedFile: config.versionedFile ?? false
+    };
+  }
+
+  /**
+   * Resolves which p5.js build a project loads from the options, the configuration or the existing script tag
+   * @param {Object|null} config - The existing configuration, if any
+   * @param {{ minify?: boolean, versionedFile?: boolean }} [options={}] - The requested build
+   * @returns {Promise<{ isMinified: boolean, versionedFile: boolean }>} The build
+   */
+  async resolveBuild(config, options = {}) {
+    let isMinified = options.minify ?? config?.minified ?? null;
+    if (isMinified === null) {
+      const info = await this.getP5ScriptInfo();
+      isMinified = Boolean(info?.isMinified);
+    }
+
+    return { isMinified, versionedFile: options.versionedFile ?? config?.versionedFile ?? false };
+  }
+
+  /**
+   * Reads the p5.js tag of index.html
+   * @returns {Promise<Object|null>} The tag (see HTMLManager.getP5ScriptInfo), or null if there is no page or tag
+   */
+  async getP5ScriptInfo() {
+    if (!await this.fileManager.exists(`${this.basePath}index.html`)) return null;
+    return this.htmlManager.getP5ScriptInfo(await this.fileManager.readHTML());
+  }
+
+  /**
+   * Gets the integrity hash of the p5.js file a project will load
+   * @param {string} version - The p5.js version
+   * @param {{ isMinified: boolean }} build - The build (see resolveBuild)
+   * @returns {Promise<string|null>} The integrity string, or null if it could not be determined
+   */
+  async resolveP5Integrity(version, build) {
+    const file = build.isMinified ? 'lib/p5.min.js' : 'lib/p5.js';
+
+    const integrity = await this.versionProvider.getFileIntegrity(version, file);
+    if (!integrity) {
+      this.report('warning', `Could not get the integrity hash for p5@${version}/${file}; continuing without verification`);
+    }
+    return integrity;
+  }
+
+  /**
+   * Checks the local p5.js build against the integrity hash recorded in the configuration
+   * @param {Object} config - The existing configuration
+   * @returns {Promise<boolean|null>} True if it matches, false if it was modified, null if there is nothing to check
+   */
+  async checkLocalP5(config) {
+    if (config.mode !== 'local' || !config.integrity) return null;
+    return await this.fileManager.verifyFile(`${this.basePath}${this.localP5Path(config.version, this.configuredBuild(config))}`, config.integrity);
+  }
+
+  /**
+   * Deletes existing p5.js type definitions in the types directory: the per-version folders
+   * (types/p5.js@<version>/) and single files from older setups (types/p5.js@<version>.d.ts)
+   * @returns {Promise<void>}
+   */
+  async deleteExistingTypeDefinitions() {
+    const typesDir = `${this.basePath}types`;
+    if (!await this.fileManager.exists(typesDir)) return;
+
+    for (const file of await this.fileManager.listDir(typesDir)) {
+      const filePath = `${typesDir}/${file}`;
+      if (/^p5\.js.*\.d\.ts$/.test(file)) {
+        if (await this.fileManager.deleteFile(filePath)) this.report('done', `Deleted existing type definition \`${filePath}\``, true);
+        else this.report('warning', `Could not delete existing type definition \`${filePath}\``, true);
+      } else if (file.startsWith(TypesProvider.DIR_PREFIX) && await this.fileManager.isDirectory(filePath)) {
+        if (await this.fileManager.deleteDir(filePath)) this.report('done', `Deleted existing type definitions \`${filePath}\``, true);
+        else this.report('warning', `Could not delete existing type definitions \`${filePath}\``, true);
+      }
+    }
+  }
+
+  /**
+   * Downloads the TypeScript type definitions matching a p5.js version and sketch mode
+   * into types/p5.js@<version>/, and points jsconfig.json at the right entry file.
+   * p5.js 2.x ships its own declarations (global.d.ts for global mode, p5.d.ts for instance mode);
+   * 1.x uses the @types/p5 package. Instance mode gets a generated declaration file that
+   * exposes the p5 class as a global.
+   * Example URL format: https://cdn.jsdelivr.net/npm/p5@2.1.1/types/global.d.ts
+   *
+   * @param {string} version - The p5.js version to download type definitions for
+   * @param {string} sketchMode - 'global' or 'instance'
+   * @returns {Promise<{ version: string, packageName: string }|null>} The package and version of the downloaded type definitions, or null if none were found
+   */
+  async downloadTypes(version, sketchMode) {
+    const plan = await this.typesProvider.resolve(version, sketchMode);
+    if (!plan) {
+      this.report('warning', `Could not find type definitions for p5.js ${version}`);
+      await this.updateJSConfig(null);
+      return null;
+    }
+
+    if (plan.packageName === 'p5' && plan.version !== version) {
+      this.report('info', `Type definitions for version ${version} not found, using latest...`, true);
+    }
+
+    const typesDir = `${this.basePath}types/${TypesProvider.DIR_PREFIX}${plan.version}`;
+
+    for (const file of plan.files) {
+      const url = this.versionProvider.getFileURL(plan.version, file.source, plan.packageName);
+      const response = await this.fileManager.downloadFileWithCheck(url);
+      if (!response.ok) {
+        this.report('warning', `Could not download type definitions from ${url}`);
+        await this.fileManager.deleteDir(typesDir);
+        await this.updateJSConfig(null);
+        return null;
+      }
+
+      const targetPath = `${typesDir}/${file.target}`;
+      await this.fileManager.createDir(targetPath.slice(0, targetPath.lastIndexOf('/')));
+      await this.fileManager.writeHTML(targetPath, await response.text());
+    }
+
+    if (sketchMode === 'instance') {
+      await this.fileManager.writeHTML(`${typesDir}/${TypesProvider.INSTANCE_SHIM}`, this.typesProvider.buildInstanceShim(plan));
+    }
+
+    await this.updateJSConfig(`types/${TypesProvider.DIR_PREFIX}${plan.version}/${plan.entry}`);
+    this.report('done', `Downloaded ${sketchMode}-mode type definitions (${plan.packageName}@${plan.version}) to ${typesDir}/`, true);
+
+    return { version: plan.version, packageName: plan.packageName };
+  }
+
+  /**
+   * Points jsconfig.json at the entry declaration file, keeping the rest of the file
+   * @param {string|null} entryPath - Path of the entry declaration file, relative to the project directory
+   *   (null to only remove the entries of type definitions that are gone)
+   * @returns {Promise<void>}
+   */
+  async updateJSConfig(entryPath) {
+    const jsconfigPath = `${this.basePath}jsconfig.json`;
+
+    let current = null;
+    try {
+      current = await this.fileManager.readJSON(jsconfigPath);
+    } catch (error) {
+      // Missing or unparsable jsconfig.json: start from the default
+    }
+
+    await this.fileManager.writeJSON(jsconfigPath, this.typesProvider.buildJSConfig(current, entryPath));
+    if (entryPath) this.report('done', `Updated \`${jsconfigPath}\` to include \`${entryPath}\``, true);
+  }
+
+  /**
+   * Resolves the sketch mode from the request, the sketch sources, the configuration or a prompt
+   * @param {string|undefined} requested - The requested sketch mode, if any
+   * @param {Object|null} config - The existing configuration, if any
+   * @returns {Promise<string>} 'global' or 'instance'
+   */
+  async resolveSketchMode(requested, config) {
+    if (requested) return requested;
+
+    const sources = [];
+    for (const file of await this.fileManager.listDir(this.basePath)) {
+      if (file.endsWith('.js')) sources.push(await this.fileManager.readHTML(`${this.basePath}${file}`));
+    }
+
+    const detected = this.typesProvider.detectSketchMode(sources);
+    if (detected) {
+      this.report('info', `Detected ${detected}-mode sketch`, true);
+      return detected;
+    }
+
+    if (config?.sketchMode) return config.sketchMode;
+
+    if (this.promptProvider && !this.yes) {
+      return this.answer(await this.promptProvider.selectSketchMode());
+    }
+
+    return 'global';
+  }
+
+  /**
+   * Downloads an add-on library from jsdelivr CDN to the local lib directory
+   * @param {Object} library - Resolved library entry (see LibraryProvider.resolve)
+   * @returns {Promise<void>}
+   */
+  async downloadLibrary(library) {
+    await this.fileManager.createDir(`${this.basePath}lib`);
+
+    const fileName = this.libraryProvider.getLocalFileName(library);
+    const url = this.versionProvider.getFileURL(library.version, library.file, library.package);
+    await this.fileManager.downloadFile(url, `${this.basePath}lib/${fileName}`);
+    this.report('done', `Downloaded ${library.name} ${library.version} to ${this.basePath}lib/${fileName}`, true);
+  }
+
+  /**
+   * Deletes the type definition files of an add-on library (types/<name>@*.d.ts)
+   * @param {Object} library - Library entry
+   * @returns {Promise<void>}
+   */
+  async deleteLibraryTypes(library) {
+    const typesDir = `${this.basePath}types`;
+    const prefix = `${library.name}@`;
+    for (const file of await this.fileManager.listDir(typesDir)) {
+      if (file.startsWith(prefix) && file.endsWith('.d.ts') && await this.fileManager.deleteFile(`${typesDir}/${file}`)) {
+        this.report('done', `Deleted type definition \`${typesDir}/${file}\``, true);
+      }
+    }
+  }
+
+  /**
+   * Downloads the type definitions an add-on library ships, if any.
+   * Libraries bundled inside the p5 package are covered by the p5.js type definitions.
+   * @param {Object} library - Resolved library entry
+   * @returns {Promise<string|null>} Path of the saved declaration file, or null if the library ships none
+   */
+  async downloadLibraryTypes(library) {
+    await this.deleteLibraryTypes(library);
+
+    if (library.followsP5) return null;
+
+    const typesPath = await this.libraryProvider.getTypesPath(library.package, library.version);
+    if (!typesPath) {
+      this.report('info', `${library.name} does not ship type definitions`, true);
+      return null;
+    }
+
+    const response = await this.fileManager.downloadFileWithCheck(this.versionProvider.getFileURL(library.version, typesPath, library.package));
+    if (!response.ok) {
+      this.report('warning', `Could not download type definitions for ${library.name}`, true);
+      return null;
+    }
+
+    await this.fileManager.createDir(`${this.basePath}types`);
+    const targetPath = `${this.basePath}types/${library.name}@${library.version}.d.ts`;
+    await this.fileManager.writeHTML(targetPath, await response.text());
+    this.report('done', `Downloaded type definitions for ${library.name} to ${targetPath}`, true);
+
+    return targetPath;
+  }
+
+  /**
+   * Installs an add-on library into the project: downloads it in local mode, fetches its type
+   * definitions, inserts or updates its script tag in index.html and updates it on other pages that load it
+   * @param {Object} library - Resolved library entry
+   * @param {string} mode - The delivery mode: "cdn" or "local"
+   * @param {Object} [preferences={}] - Script tag preferences (cdnProvider, previous: the entry being replaced)
+   * @param {boolean} [types=true] - Whether to download the library's type definitions
+   * @returns {Promise<void>}
+   * @throws {LibraryError} If index.html has no p5.js tag to add the library after
+   */
+  async installLibrary(library, mode, preferences = {}, types = true) {
+    const previous = preferences.previous;
+
+    if (mode === 'local') {
+      await this.downloadLibrary(library);
+    }
+
+    // Remove the old local copy if the file name changed (e.g., p5.sound moving out of the p5 package)
+    if (previous && this.libraryProvider.getLocalFileName(previous) !== this.libraryProvider.getLocalFileName(library)) {
+      await this.fileManager.deleteFile(`${this.basePath}lib/${this.libraryProvider.getLocalFileName(previous)}`);
+    }
+
+    if (types) {
+      await this.downloadLibraryTypes(library);
+    }
+
+    for (const page of await this.fileManager.listPages()) {
+      const path = `${this.basePath}${page}`;
+      const result = this.htmlManager.updateLibraryScript(await this.fileManager.readHTML(path), library, mode, preferences);
+
+      // New libraries are added to index.html; other pages only have the tags they already load updated
+      if (page !== 'index.html' && result.method !== 'updated-existing-script') continue;
+      if (!result.updated) {
+        throw new LibraryError(`Could not add a script tag for ${library.name}: no p5.js script tag found in index.html`);
+      }
+
+      await this.fileManager.writeHTML(path, result.html);
+      this.report('done', `Updated ${page} with ${library.name} ${library.version} (${mode} mode)`, true);
+      this.report('info', `      Method: ${result.method}`, true);
+    }
+  }
+
+  /**
+   * Removes an add-on library from the project: its script tags, local copy and type definitions
+   * @param {Object} library - Library entry from p5-config.json
+   * @returns {Promise<void>}
+   */
+  async uninstallLibrary(library) {
+    let found = false;
+    for (const page of await this.fileManager.listPages()) {
+      const path = `${this.basePath}${page}`;
+      const result = this.htmlManager.removeLibraryScript(await this.fileManager.readHTML(path), library);
+      if (!result.updated) continue;
+
+      found = true;
+      await this.fileManager.writeHTML(path, result.html);
+      this.report('done', `Removed ${library.name} script tag from ${page}`, true);
+    }
+    if (!found) {
+      this.report('warning', `No script tag found for ${library.name} in the HTML pages`, true);
+    }
+
+    const localPath = `${this.basePath}lib/${this.libraryProvider.getLocalFileName(library)}`;
+    if (await this.fileManager.exists(localPath) && await this.fileManager.deleteFile(localPath)) {
+      this.report('done', `Deleted local file \`${localPath}\``, true);
+    }
+
+    await this.deleteLibraryTypes(library);
+  }
+
+  /**
+   * Re-resolves the recorded add-on libraries against a new p5.js version and delivery mode.
+   * Libraries whose recorded version is still compatible keep it; the others move to the
+   * latest compatible version. Libraries without a compatible version are removed.
+   * @param {Object[]} libraries - Library entries from p5-config.json
+   * @param {string} version - The new p5.js version
+   * @param {string} mode - The new delivery mode
+   * @param {Object} [preferences={}] - Script tag preferences (cdnProvider)
+   * @param {boolean} [types=true] - Whether to download the libraries' type definitions
+   * @returns {Promise<Object[]>} The updated library entries
+   */
+  async syncLibraries(libraries, version, mode, preferences = {}, types = true) {
+    const synced = [];
+
+    for (const previous of libraries) {
+      let library = previous;
+
+      try {
+        if (!this.libraryProvider.isCompatible(previous, version)) {
+          library = await this.libraryProvider.resolve(previous.name, version, {
+            file: this.libraryProvider.findCatalogName(previous.name) ? undefined : previous.file
+          });
+          this.report('done', `${library.name}: ${previous.version} → ${library.version} (compatible with p5.js ${version})`);
+        }
+      } catch (error) {
+        if (!(error instanceof LibraryError)) throw error;
+        this.report('warning', `Removing ${previous.name}: ${error.message}`);
+        await this.uninstallLibrary(previous);
+        continue;
+      }
+
+      await this.installLibrary(library, mode, { ...preferences, previous }, types);
+      synced.push(library);
+    }
+
+    return synced;
+  }
+
+  /**
+   * Adds add-on libraries to the project, or moves installed ones to another version,
+   * and records them in p5-config.json
+   * @param {string[]} specs - Library specs (e.g., "p5.sound", "ml5@1.2.1")
+   * @param {Object} [options={}] - Add options
+   * @param {string} [options.file] - Script path inside the npm package, for libraries outside the catalog
+   * @param {string} [options.cdnProvider] - CDN provider for the tags (default: the configured one)
+   * @param {boolean} [options.types=true] - Whether to download the libraries' type definitions
+   * @returns {Promise<Array<{ library: Object, previous: Object|undefined }>>} The installed libraries and the entries they replaced
+   * @throws {ProjectError} If the project has no p5.js version installed
+   * @throws {LibraryError} If a library is unknown or has no version compatible with the project
+   */
+  async addLibraries(specs, options = {}) {
+    const config = await this.configManager.load();
+    if (!config || !config.version) {
+      throw new ProjectError('No p5-config.json found. Set the project up before adding libraries.', 'not-configured');
+    }
+
+    const libraries = [...(config.libraries || [])];
+    const added = [];
+
+    for (const spec of specs) {
+      const { name, version } = this.libraryProvider.parseSpec(spec);
+      const library = await this.libraryProvider.resolve(name, config.version, { version, file: options.file });
+
+      const index = libraries.findIndex(entry => entry.name === library.name);
+      const previous = index === -1 ? undefined : libraries[index];
+
+      await this.installLibrary(library, config.mode, { cdnProvider: options.cdnProvider ?? config.cdnProvider, previous }, options.types ?? true);
+
+      if (index === -1) libraries.push(library);
+      else libraries[index] = library;
+      added.push({ library, previous });
+    }
+
+    await this.configManager.update({ libraries });
+    return added;
+  }
+
+  /**
+   * Removes add-on libraries from the project and from p5-config.json
+   * @param {string[]} specs - Library names (a version suffix is ignored)
+   * @returns {Promise<Object[]>} The removed library entries
+   * @throws {ProjectError} If there is no p5-config.json
+   * @throws {LibraryError} If a library is not installed
+   */
+  async removeLibraries(specs) {
+    const config = await this.configManager.load();
+    if (!config) {
+      throw new ProjectError('No p5-config.json found. Nothing to remove.', 'not-configured');
+    }
+
+    let libraries = [...(config.libraries || [])];
+    const removed = [];
+
+    for (const spec of specs) {
+      const { name } = this.libraryProvider.parseSpec(spec);
+      const catalogName = this.libraryProvider.findCatalogName(name) || name;
+      const library = libraries.find(entry => entry.name.toLowerCase() === catalogName.toLowerCase());
+
+      if (!library) {
+        throw new LibraryError(`${name} is not installed. Installed libraries: ${libraries.map(l => l.name).join(', ') || 'none'}`);
+      }
+
+      await this.uninstallLibrary(library);
+      libraries = libraries.filter(entry => entry !== library);
+      removed.push(library);
+    }
+
+    await this.configManager.update({ libraries });
+    return removed;
+  }
+
+  /**
+   * Imports a p5.js Web Editor project into the project directory, then installs p5.js,
+   * type definitions and p5-config.json for the detected version
+   * @param {string} source - Path of the zip archive or unpacked folder
+   * @param {Object} [options={}] - Import options
+   * @param {string} [options.cdnProvider] - CDN provider for the tags
+   * @param {string} [options.sketchMode] - "global" or "instance" (detected if omitted)
+   * @param {string} [options.mirror] - Mirror to record in p5-config.json ("none" for none)
+   * @param {boolean} [options.minify] - Use the minified build
+   * @param {boolean} [options.versionedFile] - Name the local build after its version
+   * @param {boolean} [options.types=true] - Install type definitions
+   * @returns {Promise<Object>} The imported files, version and mode, and the installed cdnProvider, build, integrity, sketchMode and typeDefs
+   * @throws {ImportError|ZipError} If the source is not a Web Editor project
+   * @throws {ProjectError} If the downloaded p5.js build doesn't match its published hash
+   */
+  async importProject(source, options = {}) {
+    const imported = await this.projectImporter.import(source);
+    const { version, mode } = imported;
+    this.report('done', `Imported ${imported.files.length} files into ${this.basePath} (p5.js ${version}, ${mode} mode)`, true);
+
+    const build = await this.resolveBuild(null, options);
+    const integrity = await this.resolveP5Integrity(version, build);
+
+    if (mode === 'local') await this.installP5(version, integrity, build);
+
+    const sketchMode = await this.resolveSketchMode(options.sketchMode, null);
+
+    let typeDefs = null;
+    if (options.types ?? true) {
+      await this.deleteExistingTypeDefinitions();
+      typeDefs = await this.downloadTypes(version, sketchMode);
+    }
+
+    const cdnProvider = await this.resolveCDNProvider(options.cdnProvider, null, mode);
+    await this.updateHTML(version, mode, { cdnProvider, integrity, ...build });
+
+    await this.configManager.save(version, mode, typeDefs?.version ?? null, {
+      typeDefsPackage: typeDefs?.packageName ?? null,
+      sketchMode,
+      integrity,
+      cdnProvider,
+      mirror: this.configuredMirror(null, options.mirror),
+      minified: build.isMinified,
+      versionedFile: build.versionedFile,
+      libraries: []
+    });
+
+    return { files: imported.files, version, mode, cdnProvider, build, integrity, sketchMode, typeDefs };
+  }
+
+  /**
+   * Cross-checks p5-config.json against the project files (see ProjectDoctor.diagnose)
+   * @returns {Promise<Array<{ id: string, message: string, fix: string|null }>>} The problems found
+   * @throws {ProjectError} If there is no p5-config.json
+   */
+  async diagnose() {
+    const config = await this.configManager.load();
+    if (!config) {
+      throw new ProjectError(`No p5-config.json found in ${this.basePath}.`, 'not-configured');
+    }
+    return await this.projectDoctor.diagnose(config);
+  }
+
+  /**
+   * Compares the installed p5.js version and type definitions with the published ones, without changing anything
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.notes=true] - Summarize the release notes between the installed and the latest version
+   * @returns {Promise<Object>} The comparison: `p5` has the current, latest and (with a range) wanted version, how far
+   *   behind the project is ("major", "minor", "patch", "prerelease" or null), newer pre-release dist-tags and the
+   *   release notes (see ReleaseNotes.summarize); `types` compares the type definitions (null if none are installed);
+   *   `outdated` tells whether either is behind
+   * @throws {ProjectError} If there is no p5-config.json
+   */
+  async outdated(options = {}) {
+    const config = await this.configManager.load();
+    if (!config) {
+      throw new ProjectError(`No p5-config.json found in ${this.basePath}.`, 'not-configured');
+    }
+
+    const current = config.version ?? null;
+    const distTags = await this.versionProvider.getDistTags();
+    const latest = distTags.latest;
+    const behind = (from, to) => from && to && SemVer.compare(to, from) > 0 ? SemVer.diff(from, to) : null;
+
+    const p5 = {
+      current,
+      range: config.versionRange ?? null,
+      wanted: config.versionRange ? await this.versionProvider.resolveVersion(config.versionRange) : null,
+      latest,
+      behind: behind(current, latest),
+      // Pre-release channels (beta, rc, ...) ahead of both the project and latest
+      tags: Object.entries(distTags)
+        .filter(([tag, version]) => tag !== 'latest' && SemVer.isVersion(version) &&
+          SemVer.compare(version, latest) > 0 && (!current || SemVer.compare(version, current) > 0))
+        .map(([tag, version]) => ({ tag, version })),
+      notes: null
+    };
+    if (p5.behind && (options.notes ?? true)) {
+      p5.notes = await this.releaseNotes.summarize('p5', current, latest);
+    }
+
+    let types = null;
+    if (config.typeDefsVersion) {
+      // Configs from before typeDefsPackage was recorded: p5.js ships its own types since 2.0
+      const packageName = config.typeDefsPackage ?? (SemVer.parse(config.typeDefsVersion)?.major >= 2 ? 'p5' : '@types/p5');
+      const typesLatest = packageName === 'p5' ? latest : await this.versionProvider.getLatestForPackage(packageName);
+      types = { package: packageName, current: config.typeDefsVersion, latest: typesLatest, behind: behind(config.typeDefsVersion, typesLatest) };
+    }
+
+    return { dir: this.basePath, p5, types, outdated: Boolean(p5.behind || types?.behind) };
+  }
+
+  /**
+   * Applies one of the repairs offered by the doctor (see ProjectDoctor.FIXES)
+   * @param {string} fix - The repair
+   * @returns {Promise<void>}
+   */
+  async repair(fix) {
+    const config = await this.configManager.load();
+
+    switch (fix) {
+      case 'remove-duplicates':
+        await this.removeDuplicateP5Tags(config.mode);
+        break;
+      case 'rewrite-tag':
+        await this.updateHTML(config.version, config.mode, { cdnProvider: config.cdnProvider, integrity: config.integrity, ...this.configuredBuild(config) });
+        break;
+      case 'download-p5':
+        try {
+          await this.downloadP5(config.version, config.integrity, this.configuredBuild(config));
+        } catch (error) {
+          if (!(error instanceof IntegrityError)) throw error;
+          this.report('warning', `The downloaded p5.js ${config.version} does not match the recorded integrity hash; \`${this.localP5Path(config.version, this.configuredBuild(config))}\` was not replaced`);
+        }
+        break;
+      case 'reinstall-types': {
+        await this.deleteExistingTypeDefinitions();
+        const typeDefs = await this.downloadTypes(config.version, config.sketchMode ?? 'global');
+        await this.configManager.update({ typeDefsVersion: typeDefs?.version ?? null, typeDefsPackage: typeDefs?.packageName ?? null });
+        break;
+      }
+      case 'update-jsconfig':
+        await this.updateJSConfig(this.projectDoctor.getEntryPath(config));
+        break;
+    }
+  }
+
+  /**
+   * Scans the sketch for code that breaks when moving to another major version of p5.js,
+   * reports it and offers the automatic rewrites
+   * @param {string|null} fromVersion - The version the project used so far
+   * @param {string} toVersion - The selected version
+   * @returns {Promise<void>}
+   */
+  async runMigrationAssistant(fromVersion, toVersion) {
+    if (!this.migrationAssistant.crossesMajor(fromVersion, toVersion)) return;
+
+    const findings = await this.migrationAssistant.scan(fromVersion, toVersion);
+    if (findings.length === 0) {
+      this.report('info', `No code affected by the move from p5.js ${fromVersion} to ${toVersion} found`, true);
+      return;
+    }
+
+    this.note(this.migrationAssistant.formatReport(findings), `Moving from p5.js ${fromVersion} to ${toVersion}`);
+
+    const fixable = findings.filter(finding => finding.fixable).length;
+    if (fixable === 0) return;
+
+    if (await this.confirm(`Apply ${fixable} automatic rewrite${fixable === 1 ? '' : 's'}? The other findings need manual changes.`, false)) {
+      for (const { file } of await this.migrationAssistant.applyFixes(fromVersion, toVersion)) {
+        this.report('done', `Rewrote ${this.basePath}${file}`);
+      }
+    }
+  }
+
+  /**
+   * Resolves the p5.js version to install from the request, the configured range, `yes`
+   * defaults or a prompt. Versions can be given as exact versions, dist-tags (latest, beta)
+   * or semver ranges (^1.9, ~2.1).
+   * @param {string|undefined} requested - The requested version spec, if any
+   * @param {Object|null} config - The existing configuration, if any
+   * @returns {Promise<{ version: string, range: string|null }>} A concrete version (e.g., "2.1.0"), and the range to record if one was chosen
+   * @throws {ProjectError} If no version was requested and there is no way to choose one, or none matches
+   */
+  async resolveVersion(requested, config) {
+    const configuredRange = config?.versionRange ?? null;
+
+    if (!requested && !this.yes && !this.promptProvider && !configuredRange) {
+      throw new ProjectError('No p5.js version given.', 'missing-version');
+    }
+
+    // `yes` without an explicit version follows the configured range, or means "latest"
+    if (!requested && (this.yes || !this.promptProvider)) requested = configuredRange || 'latest';
+
+    if (requested) {
+      return await this.resolveVersionSpec(requested);
+    }
+
+    const versions = await this.versionProvider.getVersions();
+    if (this.versionProvider.offline) {
+      this.note('The network is unavailable, using the cached version list.\nOnly versions marked "available offline" can be downloaded.', 'Offline');
+    }
+    this.report('info', `Total versions available: ${versions.length}`, true);
+
+    const offlineVersions = await this.versionProvider.getOfflineVersions();
+    const tags = await this.versionProvider.getDistTags();
+
+    const selected = this.answer(await this.promptProvider.selectVersion(versions, { tags, offlineVersions, range: configuredRange }));
+    return await this.resolveVersionSpec(selected);
+  }
+
+  /**
+   * Resolves a version spec (exact version, dist-tag or semver range) to a published version
+   * @param {string} spec - The version spec
+   * @returns {Promise<{ version: string, range: string|null }>} The version, and the spec if it was a range
+   * @throws {ProjectError} If no published version matches
+   */
+  async resolveVersionSpec(spec) {
+    const version = await this.versionProvider.resolveVersion(spec);
+    if (!version) {
+      throw new ProjectError(`No p5.js version matches "${spec}".`, 'unknown-version');
+    }
+
+    const range = SemVer.isRange(spec) ? spec : null;
+    if (range) this.report('info', `Range ${range} resolved to p5.js ${version}`, true);
+    return { version, range };
+  }
+
+  /**
+   * Resolves the delivery mode from the request, `yes` defaults or a prompt
+   * @param {string|undefined} requested - The requested mode, if any
+   * @param {Object|null} config - The existing configuration, if any
+   * @returns {Promise<string>} The delivery mode: "cdn" or "local"
+   * @throws {ProjectError} If no mode was requested and there is no way to choose one
+   */
+  async resolveMode(requested, config) {
+    if (requested) return requested;
+
+    // `yes` keeps the current mode, or uses CDN for new projects
+    if (this.yes) return config?.mode || 'cdn';
+
+    if (!this.promptProvider) {
+      throw new ProjectError('No delivery mode given.', 'missing-mode');
+    }
+
+    return this.answer(await this.promptProvider.selectMode());
+  }
+
+  /**
+   * Resolves the CDN provider for script tags from the request, the configuration,
+   * the current p5.js tag or a prompt. The prompt is shown when a project moves to CDN mode
+   * without a provider on record. The provider is kept in local mode for later switches.
+   * @param {string|undefined} requested - The requested provider, if any
+   * @param {Object|null} config - The existing configuration, if any
+   * @param {string} mode - The selected delivery mode
+   * @returns {Promise<string>} "jsdelivr", "cdnjs" or "unpkg"
+   */
+  async resolveCDNProvider(requested, config, mode) {
+    if (requested) return requested;
+
+    const info = await this.getP5ScriptInfo();
+    const current = config?.cdnProvider ?? (info && /^https?:/.test(info.src) ? info.cdnProvider : null);
+
+    const switching = mode === 'cdn' && (!current || (config && config.mode !== 'cdn'));
+    if (switching && this.promptProvider && !this.yes) {
+      return this.answer(await this.promptProvider.selectCDNProvider(current ?? 'jsdelivr'));
+    }
+
+    return current ?? 'jsdelivr';
+  }
+
+  /**
+   * Gets the mirror to record in p5-config.json: the requested one (where "none" removes it)
+   * or the configured one
+   * @param {Object|null} config - The existing configuration, if any
+   * @param {string|undefined} requested - The requested mirror, if any
+   * @returns {string|null} The mirror base URL, or null for jsdelivr
+   */
+  configuredMirror(config, requested) {
+    if (requested !== undefined) return requested === 'none' ? null : requested;
+    return config?.mirror ?? null;
+  }
+
+  /**
+   * Points downloads and the version API at a mirror: one given for this run only, the requested
+   * one or the configured one
+   * @param {Object} [options={}] - Mirror options
+   * @param {string} [options.mirror] - Mirror to use and record ("none" for jsdelivr)
+   * @param {string} [options.transient] - Mirror to use without recording it (e.g., from the environment);
+   *   ignored when a mirror is requested
+   * @returns {Promise<string|null>} The mirror in use, or null for jsdelivr
+   * @throws {ProjectError} If the mirror is not an http(s) URL
+   */
+  async applyMirror(options = {}) {
+    const mirror = options.mirror === undefined && options.transient
+      ? options.transient
+      : this.configuredMirror(await this.configManager.load(), options.mirror);
+
+    if (mirror && !/^https?:\/\/[^/]+/.test(mirror)) {
+      throw new ProjectError(`Invalid mirror URL: ${mirror} (expected an http:// or https:// base URL)`, 'invalid-mirror');
+    }
+
+    this.versionProvider.setMirror(mirror);
+    if (mirror) this.report('info', `Using mirror ${mirror}`, true);
+    return mirror;
+  }
+
+  /**
+   * Resolves the starter template from the request, the configuration or a prompt.
+   * The prompt is only shown for new projects (no config and no index.html/sketch.js yet).
+   * @param {string|undefined} requested - The requested template, if any
+   * @param {Object|null} config - The existing configuration, if any
+   * @param {string} version - The p5.js version the project will use
+   * @returns {Promise<Object>} The template description (see TemplateManager.resolve)
+   * @throws {TemplateError} If the requested template doesn't exist or is invalid
+   * @throws {ProjectError} If the template needs a newer p5.js version
+   */
+  async resolveTemplate(requested, config, version) {
+    let template = null;
+
+    if (requested) {
+      template = await this.templateManager.resolve(requested);
+    } else if (config?.template) {
+      template = await this.templateManager.resolve(config.template).catch(() => null);
+    }
+
+    if (!template) {
+      const isNewProject = !config &&
+        !(await this.fileManager.exists(`${this.basePath}index.html`)) &&
+        !(await this.fileManager.exists(`${this.basePath}sketch.js`));
+
+      let name = TemplateManager.DEFAULT_TEMPLATE;
+      if (isNewProject && this.promptProvider && !this.yes) {
+        const templates = (await this.templateManager.list()).filter(t => this.templateManager.supports(t, version));
+        name = this.answer(await this.promptProvider.selectTemplate(templates, TemplateManager.DEFAULT_TEMPLATE));
+      }
+      template = await this.templateManager.resolve(name);
+    }
+
+    if (!this.templateManager.supports(template, version)) {
+      throw new ProjectError(`The "${template.name}" template requires p5.js ${template.p5Major}.x or later (selected: ${version}).`, 'template');
+    }
+
+    return template;
+  }
+
+  /**
+   * Creates the project directory and writes any missing files from a starter template
+   * @param {Object} template - The template description (see TemplateManager.resolve)
+   * @param {string} version - The p5.js version, substituted for {{p5Version}}
+   * @returns {Promise<string[]>} The created files
+   */
+  async scaffoldProject(template, version) {
+    await this.fileManager.createDir(this.basePath);
+
+    const created = await this.templateManager.apply(template, {
+      p5Version: version,
+      p5Major: version.split('.')[0],
+      sketchName: basename(resolve(this.basePath)),
+      template: template.name
+    });
+
+    // A dry run lists the files in its plan instead
+    for (const filePath of this.fileManager.dryRun ? [] : created) {
+      this.report('done', `Created missing file: ${filePath}`);
+    }
+    return created;
+  }
+
+  /**
+   * Updates the HTML pages of the project to use the specified p5.js version and delivery mode.
+   * index.html always gets a p5.js tag; other pages are updated if they load p5.js. Pages that load
+   * p5.js more than once are reported, and the extra tags are removed on confirmation.
+   * @param {string} version - The p5.js version to use (e.g., "2.1.0")
+   * @param {string} mode - The delivery mode: "cdn" or "local"
+   * @param {Object} [preferences={}] - Script tag preferences passed to HTMLManager (e.g., cdnProvider)
+   * @returns {Promise<Array<{ page: string, changes: string[] }>>} What changed on each page that loads p5.js
+   */
+  async updateHTML(version, mode, preferences = {}) {
+    let removed = new Map();
+    const duplicates = await this.findDuplicateP5Tags();
+    if (duplicates.length > 0) {
+      const lines = duplicates.map(({ page, tags }) => `${page} loads p5.js ${tags.length} times:\n${tags.map(tag => `    ${tag.src}`).join('\n')}`);
+      this.note(lines.join('\n'), 'Duplicate p5.js tags');
+      if (await this.confirm(`Remove the extra p5.js script tags, keeping the ${mode === 'cdn' ? 'CDN' : 'local'} one?`, false)) {
+        removed = await this.removeDuplicateP5Tags(mode);
+      }
+    }
+
+    const summary = [];
+    for (const page of await this.fileManager.listPages()) {
+      const path = `${this.basePath}${page}`;
+      const htmlContent = await this.fileManager.readHTML(path);
+      const tags = this.htmlManager.getP5ScriptInfos(htmlContent);
+      if (tags.length === 0 && page !== 'index.html') continue;
+
+      const result = this.htmlManager.updateP5Script(htmlContent, version, mode, preferences);
+      if (result.updated) {
+        await this.fileManager.writeHTML(path, result.html);
+        this.report('done', `Updated ${page} with p5.js ${version} (${mode} mode)`, true);
+        this.report('info', `      Method: ${result.method}`, true);
+      } else {
+        this.report('warning', `Could not update ${page}`, true);
+      }
+
+      const changes = [];
+      if (removed.has(page)) changes.push(`removed ${removed.get(page)} duplicate tag${removed.get(page) === 1 ? '' : 's'}`);
+      if (!result.updated) changes.push('could not add a p5.js tag');
+      else if (result.html !== htmlContent) changes.push(tags.length === 0 ? 'added the p5.js tag' : 'updated the p5.js tag');
+      if (tags.length > 1 && !removed.has(page)) changes.push(`still loads p5.js ${tags.length} times`);
+      summary.push({ page, changes });
+    }
+
+    if (summary.length > 1 || removed.size > 0) {
+      const width = Math.max(...summary.map(({ page }) => page.length));
+      const lines = summary.map(({ page, changes }) => `${page.padEnd(width)}  ${changes.length > 0 ? changes.join(', ') : 'unchanged'}`);
+      this.note(lines.join('\n'), 'HTML pages');
+    }
+
+    return summary;
+  }
+
+  /**
+   * Finds the pages that load p5.js more than once
+   * @returns {Promise<Array<{ page: string, tags: Array<Object> }>>} The pages, relative to the project directory,
+   *   with their p5.js tags (see HTMLManager.getP5ScriptInfos)
+   */
+  async findDuplicateP5Tags() {
+    const duplicates = [];
+    for (const page of await this.fileManager.listPages()) {
+      const tags = this.htmlManager.getP5ScriptInfos(await this.fileManager.readHTML(`${this.basePath}${page}`));
+      if (tags.length > 1) duplicates.push({ page, tags });
+    }
+    return duplicates;
+  }
+
+  /**
+   * Removes the extra p5.js script tags from every page that loads p5.js more than once.
+   * Where the tags conflict (e.g. one CDN and one local tag), the one in the given mode is kept.
+   * @param {string} mode - The delivery mode the project uses: "cdn" or "local"
+   * @returns {Promise<Map<string, number>>} The number of tags removed, by page
+   */
+  async removeDuplicateP5Tags(mode) {
+    const removed = new Map();
+    for (const { page, tags } of await this.findDuplicateP5Tags()) {
+      const path = `${this.basePath}${page}`;
+      const result = this.htmlManager.removeDuplicateP5Scripts(await this.fileManager.readHTML(path), this.htmlManager.pickP5Script(tags, mode));
+      await this.fileManager.writeHTML(path, result.html);
+      removed.set(page, result.removed.length);
+      this.report('done', `Removed ${result.removed.length} duplicate p5.js script tags from ${page}`, true);
+    }
+    return removed;
+  }
+}
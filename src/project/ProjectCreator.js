@@ -0,0 +1,155 @@
+// ProjectCreator - Handles the files that make a sketch a standalone project: package.json, .gitignore and a git repository
+import { readFileSync } from 'fs';
+import { execFile } from 'child_process';
+import { basename, relative, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+export class ProjectCreator {
+  /**
+   * The package.json of this tool; new projects depend on it for their npm scripts
+   */
+  static TOOL = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf-8'));
+
+  /**
+   * The directory of this tool. It isn't published on npm (the `p5-project` package there is
+   * unrelated), so new projects depend on this checkout through a file: spec.
+   */
+  static TOOL_DIR = fileURLToPath(new URL('../..', import.meta.url));
+
+  /**
+   * Command the npm scripts of new projects run (the `bin` entry of this tool)
+   */
+  static COMMAND = 'p5-project';
+
+  /**
+   * npm scripts of new projects: the commands of this tool, run on the project directory itself
+   */
+  static SCRIPTS = {
+    serve: 'serve',
+    update: '',
+    add: 'add',
+    remove: 'remove',
+    doctor: 'doctor',
+    outdated: 'outdated',
+    export: 'export'
+  };
+
+  /**
+   * Creates a new ProjectCreator instance
+   * @param {FileManager} fileManager - Writes the project files (staged like the other changes)
+   */
+  constructor(fileManager) {
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Checks that the project directory can be created: it must not exist yet, or be an empty directory
+   * @returns {Promise<boolean>} True if the directory is missing or empty
+   */
+  async canCreate() {
+    // Without the trailing slash, so a file of the same name counts as existing
+    const dir = this.fileManager.basePath.replace(/\/$/, '') || '.';
+    if (!await this.fileManager.exists(dir)) return true;
+    return await this.fileManager.isDirectory(dir) && (await this.fileManager.listDir(dir)).length === 0;
+  }
+
+  /**
+   * Gets the npm package name for the project, from its directory name
+   * @returns {string} A valid package name (lowercase, URL-safe)
+   */
+  packageName() {
+    const name = basename(resolve(this.fileManager.basePath))
+      .toLowerCase()
+      .replace(/[^a-z0-9._-]+/g, '-')
+      .replace(/^[._-]+|-+$/g, '');
+    return name || 'p5-sketch';
+  }
+
+  /**
+   * Builds the package.json of a new project: npm scripts that run this tool on the project directory,
+   * and this tool as a dev dependency, installed from this checkout
+   * @returns {Object} The package.json content
+   */
+  buildPackageJSON() {
+    const scripts = Object.fromEntries(Object.entries(ProjectCreator.SCRIPTS).map(([script, command]) =>
+      [script, [ProjectCreator.COMMAND, command, '--dir .'].filter(Boolean).join(' ')]));
+
+    return {
+      name: this.packageName(),
+      version: '1.0.0',
+      private: true,
+      scripts,
+      devDependencies: {
+        [ProjectCreator.TOOL.name]: this.toolSpec()
+      }
+    };
+  }
+
+  /**
+   * Gets the dependency spec of this tool for a new project: a file: path to this checkout,
+   * relative to the project directory so both can move together
+   * @returns {string} The spec, e.g. "file:../p5-project"
+   */
+  toolSpec() {
+    const path = relative(resolve(this.fileManager.basePath), ProjectCreator.TOOL_DIR).split(sep).join('/');
+    return `file:${path || '.'}`;
+  }
+
+  /**
+   * Builds the .gitignore of a new project. Files that `npm run doctor` downloads again from
+   * p5-config.json are left out: the type definitions and, in local mode, the p5.js build.
+   * Add-on libraries in lib/ are kept, since nothing restores them.
+   * @param {string} mode - The delivery mode: "cdn" or "local"
+   * @returns {string} The .gitignore content
+   */
+  buildGitignore(mode) {
+    const lines = [
+      '# Dependencies',
+      'node_modules/',
+      '',
+      '# Downloaded from p5-config.json; run "npm run doctor -- --yes" after cloning to get them back',
+      'types/',
+      ...(mode === 'local' ? ['lib/p5.js', 'lib/p5.min.js', 'lib/p5@*.js', 'lib/p5*.js.map'] : []),
+      '',
+      '# Backups and exports',
+      '.p5-backup/',
+      'dist/',
+      '',
+      '# OS specific files',
+      '.DS_Store',
+      'Thumbs.db'
+    ];
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Writes the package.json of a new project
+   * @returns {Promise<void>}
+   */
+  async writePackageJSON() {
+    await this.fileManager.writeJSON(`${this.fileManager.basePath}package.json`, this.buildPackageJSON());
+  }
+
+  /**
+   * Writes the .gitignore of a new project
+   * @param {string} mode - The delivery mode: "cdn" or "local"
+   * @returns {Promise<void>}
+   */
+  async writeGitignore(mode) {
+    await this.fileManager.writeHTML(`${this.fileManager.basePath}.gitignore`, this.buildGitignore(mode));
+  }
+
+  /**
+   * Runs `git init` in the project directory
+   * @returns {Promise<boolean>} True if the repository was created, false if git isn't available or failed
+   */
+  async initGit() {
+    try {
+      await promisify(execFile)('git', ['init', '--quiet'], { cwd: this.fileManager.basePath });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
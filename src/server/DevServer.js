@@ -0,0 +1,280 @@
+// DevServer - Handles the local static server with live reload for the project directory
+import { createServer } from 'http';
+import { readFile, stat } from 'fs/promises';
+import { watch } from 'fs';
+import { resolve, join, extname, sep } from 'path';
+
+export class DevServer {
+  /**
+   * URL of the Server-Sent Events stream the live-reload client listens to
+   */
+  static LIVE_RELOAD_PATH = '/__p5-live-reload';
+
+  /**
+   * Default port (the next free one is used if it's taken)
+   */
+  static DEFAULT_PORT = 3000;
+
+  /**
+   * Content types by file extension; anything else is served as application/octet-stream
+   */
+  static CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.obj': 'text/plain; charset=utf-8',
+    '.glsl': 'text/plain; charset=utf-8',
+    '.vert': 'text/plain; charset=utf-8',
+    '.frag': 'text/plain; charset=utf-8'
+  };
+
+  /**
+   * Project paths whose changes don't affect the running sketch
+   */
+  static IGNORED = [/^types\//, /^node_modules\//, /^\.git\//, /^jsconfig\.json$/, /^p5-config\.json$/, /^\.p5-backup\//, /\.p5-tmp$/, /~$/, /\.swp$/];
+
+  /**
+   * Creates a new DevServer instance
+   * @param {string} root - The project directory to serve
+   * @param {Object} [options={}] - Server options
+   * @param {string} [options.host='localhost'] - Interface to listen on
+   * @param {function(string[]): void} [options.onReload] - Called with the changed files before browsers are reloaded
+   */
+  constructor(root, options = {}) {
+    this.root = resolve(root);
+    this.host = options.host || 'localhost';
+    this.onReload = options.onReload || (() => {});
+    this.server = null;
+    this.watcher = null;
+    this.clients = new Set();
+    this.pending = new Set();
+    this.reloadTimer = null;
+    this.keepAliveTimer = null;
+  }
+
+  /**
+   * Starts serving the project directory and watching it for changes.
+   * The project directory is the server root, so the root-relative `/lib/p5.js`
+   * used by local mode resolves to the project's `lib/` folder.
+   * @param {number} [port=DevServer.DEFAULT_PORT] - Port to listen on
+   * @param {boolean} [strictPort=false] - Fail instead of trying the next port when the port is taken
+   * @returns {Promise<string>} The URL the server is listening on
+   */
+  async start(port = DevServer.DEFAULT_PORT, strictPort = false) {
+    this.server = createServer((request, response) => {
+      this.handleRequest(request, response).catch(() => {
+        if (!response.headersSent) response.writeHead(500);
+        response.end();
+      });
+    });
+
+    const listeningPort = await this.listen(port, strictPort ? 1 : 10);
+
+    this.watcher = watch(this.root, { recursive: true }, (eventType, filename) => {
+      if (filename) this.scheduleReload(filename.split(sep).join('/'));
+    });
+
+    // Proxies close idle connections, so the event streams get a comment now and then
+    this.keepAliveTimer = setInterval(() => {
+      for (const client of this.clients) client.write(': keep-alive\n\n');
+    }, 30000);
+    this.keepAliveTimer.unref();
+
+    return `http://${this.host}:${listeningPort}/`;
+  }
+
+  /**
+   * Stops the server, the file watcher and all live-reload streams
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearTimeout(this.reloadTimer);
+    clearInterval(this.keepAliveTimer);
+    if (this.watcher) this.watcher.close();
+    for (const client of this.clients) client.end();
+    this.clients.clear();
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Listens on a port, moving on to the next one while ports are in use
+   * @param {number} port - First port to try
+   * @param {number} attempts - How many ports to try
+   * @returns {Promise<number>} The port the server listens on
+   */
+  async listen(port, attempts) {
+    for (let i = 0; i < attempts; i++) {
+      try {
+        await new Promise((resolve, reject) => {
+          this.server.once('error', reject);
+          this.server.listen(port + i, this.host, () => {
+            this.server.off('error', reject);
+            resolve();
+          });
+        });
+        return port + i;
+      } catch (error) {
+        if (error.code !== 'EADDRINUSE' || i === attempts - 1) throw error;
+      }
+    }
+  }
+
+  /**
+   * Serves a single request: the live-reload stream, or a file from the project directory
+   * @param {http.IncomingMessage} request - The request
+   * @param {http.ServerResponse} response - The response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(request, response) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+      response.writeHead(400);
+      response.end('Bad request');
+      return;
+    }
+
+    if (pathname === DevServer.LIVE_RELOAD_PATH) {
+      this.openLiveReloadStream(request, response);
+      return;
+    }
+
+    let filePath = join(this.root, pathname);
+    if (filePath !== this.root && !filePath.startsWith(this.root + sep)) {
+      response.writeHead(403);
+      response.end('Forbidden');
+      return;
+    }
+
+    let info = await stat(filePath).catch(() => null);
+    if (info && info.isDirectory()) {
+      // Redirect to the trailing slash so relative URLs in the page resolve inside the folder
+      if (!pathname.endsWith('/')) {
+        response.writeHead(301, { Location: `${pathname}/` });
+        response.end();
+        return;
+      }
+      filePath = join(filePath, 'index.html');
+      info = await stat(filePath).catch(() => null);
+    }
+
+    if (!info || !info.isFile()) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end(`Not found: ${pathname}`);
+      return;
+    }
+
+    const extension = extname(filePath).toLowerCase();
+    const contentType = DevServer.CONTENT_TYPES[extension] || 'application/octet-stream';
+    let body = await readFile(filePath);
+
+    if (extension === '.html' || extension === '.htm') {
+      body = Buffer.from(this.injectClient(body.toString('utf-8')), 'utf-8');
+    }
+
+    response.writeHead(200, {
+      'Content-Type': contentType,
+      'Content-Length': body.length,
+      'Cache-Control': 'no-store'
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Opens a Server-Sent Events stream that is told when to reload
+   * @param {http.IncomingMessage} request - The request
+   * @param {http.ServerResponse} response - The response
+   * @returns {void}
+   */
+  openLiveReloadStream(request, response) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    response.write('retry: 1000\n\n');
+
+    this.clients.add(response);
+    request.on('close', () => this.clients.delete(response));
+  }
+
+  /**
+   * Adds the live-reload client to an HTML page, before </body> (or at the end)
+   * @param {string} html - The page content
+   * @returns {string} The page with the client script
+   */
+  injectClient(html) {
+    const script = `<script>${this.buildClient()}</script>\n`;
+    const index = html.search(/<\/body>(?![\s\S]*<\/body>)/i);
+    return index === -1 ? html + script : html.slice(0, index) + script + html.slice(index);
+  }
+
+  /**
+   * Builds the live-reload client. Stylesheet changes are swapped in place,
+   * anything else reloads the page.
+   * @returns {string} JavaScript source of the client
+   */
+  buildClient() {
+    return [
+      '(() => {',
+      `  const source = new EventSource('${DevServer.LIVE_RELOAD_PATH}');`,
+      "  source.addEventListener('reload', () => location.reload());",
+      "  source.addEventListener('css', () => {",
+      '    for (const link of document.querySelectorAll(\'link[rel="stylesheet"]\')) {',
+      '      const url = new URL(link.href);',
+      "      url.searchParams.set('p5-reload', Date.now());",
+      '      link.href = url.href;',
+      '    }',
+      '  });',
+      '})();'
+    ].join('\n');
+  }
+
+  /**
+   * Collects changed files and notifies the browsers once changes settle
+   * Editors often write a file in several steps, so events are debounced.
+   * @param {string} file - Changed path, relative to the project directory
+   * @returns {void}
+   */
+  scheduleReload(file) {
+    if (DevServer.IGNORED.some(pattern => pattern.test(file))) return;
+
+    this.pending.add(file);
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      const files = [...this.pending];
+      this.pending.clear();
+      this.onReload(files);
+
+      const event = files.every(f => f.toLowerCase().endsWith('.css')) ? 'css' : 'reload';
+      for (const client of this.clients) client.write(`event: ${event}\ndata: ${files.join(',')}\n\n`);
+    }, 100);
+  }
+}
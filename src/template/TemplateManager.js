@@ -0,0 +1,204 @@
+// TemplateManager - Handles starter templates for new sketches
+import { homedir } from 'os';
+import { join, basename, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Error thrown when a template cannot be found or used
+ */
+export class TemplateError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+export class TemplateManager {
+  /**
+   * Directory holding the built-in templates (shipped with this tool)
+   */
+  static BUILTIN_DIR = fileURLToPath(new URL('../../templates/', import.meta.url));
+
+  /**
+   * Name of the built-in folder whose files every template starts from
+   */
+  static BASE_TEMPLATE = '_base';
+
+  /**
+   * Template used when none is chosen
+   */
+  static DEFAULT_TEMPLATE = 'global';
+
+  /**
+   * Files whose content gets placeholder substitution; everything else is copied as-is
+   */
+  static TEXT_EXTENSIONS = ['.html', '.htm', '.js', '.mjs', '.css', '.json', '.md', '.txt', '.svg'];
+
+  /**
+   * Creates a new TemplateManager instance
+   * @param {FileManager} fileManager - The file manager instance for file operations
+   * @param {string} [userDir] - Directory holding user-defined templates (defaults to TemplateManager.defaultUserDir())
+   */
+  constructor(fileManager, userDir = TemplateManager.defaultUserDir()) {
+    this.fileManager = fileManager;
+    this.userDir = userDir;
+  }
+
+  /**
+   * Gets the default directory for user-defined templates
+   * Honors P5_TEMPLATES_DIR, otherwise ~/.p5-templates
+   * @returns {string} Absolute path of the user template directory
+   */
+  static defaultUserDir() {
+    return process.env.P5_TEMPLATES_DIR || join(homedir(), '.p5-templates');
+  }
+
+  /**
+   * Lists the built-in and user-defined templates
+   * @returns {Promise<Array<{ id: string, name: string, label: string, description: string, p5Major: number|null, dir: string, builtin: boolean }>>}
+   */
+  async list() {
+    const templates = [];
+
+    for (const name of await this.fileManager.listDir(TemplateManager.BUILTIN_DIR)) {
+      if (name === TemplateManager.BASE_TEMPLATE) continue;
+      templates.push(await this.describe(name, join(TemplateManager.BUILTIN_DIR, name), true));
+    }
+
+    for (const name of await this.fileManager.listDir(this.userDir)) {
+      if (templates.some(t => t.name === name)) continue;
+      const dir = join(this.userDir, name);
+      if (await this.fileManager.isDirectory(dir)) {
+        templates.push(await this.describe(name, dir, false));
+      }
+    }
+
+    return templates;
+  }
+
+  /**
+   * Resolves a template name or path to a template description
+   * Names are looked up in the built-in templates, then in the user template directory;
+   * anything that looks like a path is used as a template folder directly.
+   * @param {string} nameOrPath - Template name (e.g., "instance") or folder path (e.g., "./my-template")
+   * @returns {Promise<{ id: string, name: string, label: string, description: string, p5Major: number|null, dir: string, builtin: boolean }>}
+   * @throws {TemplateError} If the template does not exist
+   */
+  async resolve(nameOrPath) {
+    if (/^[.~]|[/\\]/.test(nameOrPath)) {
+      const dir = resolve(nameOrPath.replace(/^~(?=$|[/\\])/, homedir()));
+      if (!(await this.fileManager.isDirectory(dir))) {
+        throw new TemplateError(`Template folder not found: ${nameOrPath}`);
+      }
+      return await this.describe(basename(dir), dir, false, dir);
+    }
+
+    const template = (await this.list()).find(t => t.name === nameOrPath);
+    if (!template) {
+      const available = (await this.list()).map(t => t.name).join(', ');
+      throw new TemplateError(`Unknown template "${nameOrPath}". Available templates: ${available}`);
+    }
+    return template;
+  }
+
+  /**
+   * Checks whether a template can be used with a p5.js version
+   * @param {Object} template - Template description (see resolve)
+   * @param {string} p5Version - The p5.js version
+   * @returns {boolean} True if the template works with that version
+   */
+  supports(template, p5Version) {
+    return !template.p5Major || Number(p5Version.split('.')[0]) >= template.p5Major;
+  }
+
+  /**
+   * Writes the template files into the project directory.
+   * Files from the base template are written first and overridden by the template's own files;
+   * existing project files are never overwritten.
+   * @param {Object} template - Template description (see resolve)
+   * @param {Object<string, string>} variables - Placeholder values, used as {{name}} in template files
+   * @returns {Promise<string[]>} Paths of the files that were created
+   */
+  async apply(template, variables) {
+    const files = new Map();
+
+    const baseDir = join(TemplateManager.BUILTIN_DIR, TemplateManager.BASE_TEMPLATE);
+    for (const file of await this.fileManager.listFiles(baseDir)) {
+      files.set(file, join(baseDir, file));
+    }
+    for (const file of await this.fileManager.listFiles(template.dir)) {
+      if (file === 'template.json') continue;
+      files.set(file, join(template.dir, file));
+    }
+
+    const created = [];
+    for (const [file, source] of files) {
+      const target = `${this.fileManager.basePath}${file}`;
+      if (await this.fileManager.exists(target)) continue;
+
+      await this.fileManager.createDir(target.slice(0, target.lastIndexOf('/')) || '.');
+
+      if (this.isText(file)) {
+        const content = await this.fileManager.readHTML(source);
+        await this.fileManager.writeHTML(target, this.render(content, variables));
+      } else {
+        await this.fileManager.copyFile(source, target);
+      }
+      created.push(target);
+    }
+
+    return created;
+  }
+
+  /**
+   * Replaces {{name}} placeholders; unknown placeholders are left untouched
+   * @param {string} content - Template file content
+   * @param {Object<string, string>} variables - Placeholder values
+   * @returns {string} The rendered content
+   */
+  render(content, variables) {
+    return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+    );
+  }
+
+  /**
+   * Builds a template description from its folder and optional template.json
+   * @param {string} name - Template name
+   * @param {string} dir - Template folder
+   * @param {boolean} builtin - Whether the template ships with this tool
+   * @param {string} [id=name] - What to record in p5-config.json to find the template again (the folder for path templates)
+   * @returns {Promise<{ id: string, name: string, label: string, description: string, p5Major: number|null, dir: string, builtin: boolean }>}
+   */
+  async describe(name, dir, builtin, id = name) {
+    let meta = {};
+    try {
+      meta = await this.fileManager.readJSON(join(dir, 'template.json'));
+    } catch (error) {
+      // template.json is optional for user templates
+    }
+
+    return {
+      id,
+      name,
+      label: meta.label || name,
+      description: meta.description || (builtin ? '' : dir),
+      p5Major: meta.p5Major || null,
+      dir,
+      builtin
+    };
+  }
+
+  /**
+   * Checks whether a file gets placeholder substitution
+   * @param {string} file - File path
+   * @returns {boolean} True for text files
+   */
+  isText(file) {
+    const dot = file.lastIndexOf('.');
+    return dot !== -1 && TemplateManager.TEXT_EXTENSIONS.includes(file.slice(dot).toLowerCase());
+  }
+}
@@ -1,9 +1,22 @@
 // PromptProvider - Handles all user prompts and interactions
 import * as p from '@clack/prompts';
+import { SemVer } from '../api/SemVer.js';
 
-const basePath = 'sketch/';
+// Values of the navigation entries in the version picker
+const SEARCH = '__search';
+const TOGGLE_PRERELEASES = '__prereleases';
+const BACK = '__back';
+const MAJOR_PREFIX = '__major:';
 
 export class PromptProvider {
+  /**
+   * Creates a new PromptProvider instance
+   * @param {string} [basePath='sketch/'] - The project directory, shown in prompt labels
+   */
+  constructor(basePath = 'sketch/') {
+    this.basePath = basePath;
+  }
+
   /**
    * Displays an intro message at the start of the CLI interaction
    * @param {string} message - The intro message to display
@@ -50,6 +63,15 @@ export class PromptProvider {
     return p.isCancel(value);
   }
 
+  /**
+   * Creates a spinner for long-running work such as downloads
+   * @returns {{ start: function(string): void, message: function(string): void, stop: function(string, number=): void }}
+   *   The spinner; stop takes a closing message and an optional code (0 done, 1 cancelled, 2 failed)
+   */
+  spinner() {
+    return p.spinner();
+  }
+
   /**
    * Displays a confirmation prompt
    * @param {string} message - The confirmation question to display
@@ -60,18 +82,128 @@ export class PromptProvider {
   }
 
   /**
-   * Displays a version selection prompt
+   * Displays a version selection prompt. Versions are grouped by major line, pre-releases are
+   * hidden unless toggled on, and dist-tags are offered directly. "Search" filters by typed text
+   * and accepts dist-tags and semver ranges (^1.9, ~2.1, 1.x).
    * @param {string[]} versions - Array of available version strings
-   * @param {number} [count=15] - Maximum number of versions to display
-   * @returns {Promise<string>} The selected version string
+   * @param {Object} [options={}] - Picker options
+   * @param {Object<string, string>} [options.tags={}] - Dist-tags of the package (e.g., { latest: "2.1.1" })
+   * @param {string[]} [options.offlineVersions=[]] - Versions available in the local cache, labelled in the list
+   * @param {string|null} [options.range=null] - Range from the configuration, offered as the first entry
+   * @param {number} [options.count=15] - Maximum number of versions visible at once
+   * @returns {Promise<string|symbol>} The selected version, or a semver range to follow
+   */
+  async selectVersion(versions, options = {}) {
+    const { tags = {}, offlineVersions = [], range = null, count = 15 } = options;
+    const sorted = SemVer.sortDescending(versions);
+    let showPrereleases = false;
+
+    while (true) {
+      const visible = sorted.filter(v => showPrereleases || !SemVer.isPrerelease(v));
+      const majors = [...new Set(visible.map(v => SemVer.parse(v).major))];
+
+      const choice = await p.select({
+        message: 'Select p5.js version:',
+        maxItems: count,
+        options: [
+          ...(range ? [{ value: range, label: `Keep range ${range}`, hint: `newest match: ${SemVer.maxSatisfying(versions, range) || 'none'}` }] : []),
+          ...Object.entries(tags).map(([tag, version]) => ({ value: version, label: `${tag} (${version})`, hint: this.offlineHint(version, offlineVersions) })),
+          ...majors.map(major => {
+            const line = visible.filter(v => SemVer.parse(v).major === major);
+            return { value: `${MAJOR_PREFIX}${major}`, label: `${major}.x`, hint: `${line.length} versions, newest ${line[0]}` };
+          }),
+          { value: SEARCH, label: 'Search…', hint: 'type part of a version, a range (^1.9, ~2.1) or a tag' },
+          { value: TOGGLE_PRERELEASES, label: showPrereleases ? 'Hide pre-releases' : 'Show pre-releases' }
+        ],
+      });
+
+      if (p.isCancel(choice)) return choice;
+
+      if (choice === TOGGLE_PRERELEASES) {
+        showPrereleases = !showPrereleases;
+        continue;
+      }
+
+      let selected = choice;
+      if (choice.startsWith(MAJOR_PREFIX)) {
+        const major = Number(choice.slice(MAJOR_PREFIX.length));
+        const line = visible.filter(v => SemVer.parse(v).major === major);
+        selected = await this.selectFromList(`p5.js ${major}.x:`, line.map(v => ({ value: v, label: v, hint: this.offlineHint(v, offlineVersions) })), count);
+      } else if (choice === SEARCH) {
+        selected = await this.searchVersion(sorted, tags, offlineVersions, count);
+      }
+
+      if (selected !== BACK) return selected;
+    }
+  }
+
+  /**
+   * Asks for a search text and lets the user pick from the matching versions.
+   * A dist-tag or exact version is returned directly; a range can be kept as a range.
+   * @param {string[]} versions - Available versions, newest first
+   * @param {Object<string, string>} tags - Dist-tags of the package
+   * @param {string[]} offlineVersions - Versions available in the local cache
+   * @param {number} count - Maximum number of versions visible at once
+   * @returns {Promise<string|symbol>} The selected version or range, BACK, or the cancel symbol
    */
-  async selectVersion(versions, count = 15) {
+  async searchVersion(versions, tags, offlineVersions, count) {
+    const matches = (query) => {
+      if (SemVer.isVersion(query)) return versions.filter(v => v === query);
+      if (SemVer.isRange(query)) return versions.filter(v => SemVer.satisfies(v, query));
+      return versions.filter(v => v.includes(query));
+    };
+
+    const query = await p.text({
+      message: 'Search versions:',
+      placeholder: 'e.g. 1.9, ^1.9, ~2.1, beta',
+      validate: (value) => {
+        const q = value.trim();
+        if (!q || Object.prototype.hasOwnProperty.call(tags, q)) return undefined;
+        return matches(q).length > 0 ? undefined : `No p5.js version matches "${q}"`;
+      }
+    });
+
+    if (p.isCancel(query)) return query;
+
+    const q = query.trim();
+    if (!q) return BACK;
+    if (Object.prototype.hasOwnProperty.call(tags, q)) return tags[q];
+
+    const found = matches(q);
+    if (SemVer.isVersion(q)) return found[0];
+
+    const options = found.map(v => ({ value: v, label: v, hint: this.offlineHint(v, offlineVersions) }));
+    if (SemVer.isRange(q)) {
+      options.unshift({ value: q, label: `Range ${q}`, hint: `follow the newest match, now ${found[0]}` });
+    }
+    return await this.selectFromList(`Versions matching "${q}":`, options, count);
+  }
+
+  /**
+   * Displays a list of choices with a "Back" entry at the end
+   * @param {string} message - The prompt message to display
+   * @param {Array<{ value: string, label: string, hint?: string }>} options - The choices
+   * @param {number} count - Maximum number of entries visible at once
+   * @returns {Promise<string|symbol>} The selected value, BACK, or the cancel symbol
+   */
+  async selectFromList(message, options, count) {
     return await p.select({
-      message: 'Select p5.js version:',
-      options: versions.slice(0, count).map(v => ({ value: v, label: v })),
+      message,
+      maxItems: count,
+      options: [...options, { value: BACK, label: '← Back' }],
     });
   }
 
+  /**
+   * Gets the hint shown next to versions that are in the local cache
+   * @param {string} version - The version
+   * @param {string[]} offlineVersions - Versions available in the local cache
+   * @returns {string|undefined} The hint, if any
+   */
+  offlineHint(version, offlineVersions) {
+    return offlineVersions.includes(version) ? 'available offline' : undefined;
+  }
+
   /**
    * Displays a delivery mode selection prompt (CDN or Local)
    * @returns {Promise<string>} The selected mode: "cdn" or "local"
@@ -80,12 +212,57 @@ export class PromptProvider {
     return await p.select({
       message: 'Choose delivery mode:',
       options: [
-        { value: 'cdn', label: 'CDN (jsdelivr)' },
-        { value: 'local', label: `Local (download to ${basePath}lib/)` }
+        { value: 'cdn', label: 'CDN', hint: 'jsdelivr, cdnjs or unpkg' },
+        { value: 'local', label: `Local (download to ${this.basePath}lib/)` }
+      ],
+    });
+  }
+
+  /**
+   * Displays a CDN provider selection prompt
+   * @param {string} [initialValue='jsdelivr'] - The provider selected by default
+   * @returns {Promise<string>} The selected provider: "jsdelivr", "cdnjs" or "unpkg"
+   */
+  async selectCDNProvider(initialValue = 'jsdelivr') {
+    return await p.select({
+      message: 'Choose a CDN:',
+      initialValue,
+      options: [
+        { value: 'jsdelivr', label: 'jsDelivr', hint: 'cdn.jsdelivr.net' },
+        { value: 'cdnjs', label: 'cdnjs', hint: 'cdnjs.cloudflare.com (add-on libraries use jsDelivr)' },
+        { value: 'unpkg', label: 'unpkg', hint: 'unpkg.com' }
       ],
     });
   }
 
+  /**
+   * Displays a sketch mode selection prompt (global or instance mode)
+   * @returns {Promise<string>} The selected sketch mode: "global" or "instance"
+   */
+  async selectSketchMode() {
+    return await p.select({
+      message: 'Which mode does your sketch use?',
+      options: [
+        { value: 'global', label: 'Global mode', hint: 'function setup() { ... }' },
+        { value: 'instance', label: 'Instance mode', hint: 'new p5(p => { ... })' }
+      ],
+    });
+  }
+
+  /**
+   * Displays a starter template selection prompt
+   * @param {Array<{ name: string, label: string, description: string }>} templates - Available templates (see TemplateManager.list)
+   * @param {string} [initialValue] - The template selected by default
+   * @returns {Promise<string>} The selected template name
+   */
+  async selectTemplate(templates, initialValue) {
+    return await p.select({
+      message: 'Choose a starter template:',
+      initialValue,
+      options: templates.map(t => ({ value: t.name, label: t.label, hint: t.description || undefined })),
+    });
+  }
+
   /**
    * Displays a generic selection prompt
    * @param {string} message - The prompt message to display
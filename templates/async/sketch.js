@@ -0,0 +1,12 @@
+let palette;
+
+async function setup() {
+  createCanvas(400, 400);
+  palette = await loadJSON('palette.json');
+}
+
+function draw() {
+  background(palette.background);
+  fill(palette.accent);
+  circle(mouseX, mouseY, 40);
+}
@@ -0,0 +1,8 @@
+function setup() {
+  createCanvas(400, 400);
+  background(220);
+}
+
+function draw() {
+  circle(mouseX, mouseY, 20);
+}
@@ -0,0 +1,13 @@
+/** @param {p5} p */
+const sketch = (p) => {
+  p.setup = () => {
+    p.createCanvas(400, 400);
+    p.background(220);
+  };
+
+  p.draw = () => {
+    p.circle(p.mouseX, p.mouseY, 20);
+  };
+};
+
+new p5(sketch);
@@ -0,0 +1,14 @@
+class Particle {
+  constructor(x, y) {
+    this.position = createVector(x, y);
+    this.velocity = p5.Vector.random2D();
+  }
+
+  update() {
+    this.position.add(this.velocity);
+  }
+
+  show() {
+    circle(this.position.x, this.position.y, 8);
+  }
+}
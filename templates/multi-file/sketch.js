@@ -0,0 +1,15 @@
+const particles = [];
+
+function setup() {
+  createCanvas(400, 400);
+}
+
+function draw() {
+  background(220);
+  particles.push(new Particle(mouseX, mouseY));
+  for (const particle of particles) {
+    particle.update();
+    particle.show();
+  }
+  if (particles.length > 200) particles.shift();
+}
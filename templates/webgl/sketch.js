@@ -0,0 +1,12 @@
+function setup() {
+  createCanvas(400, 400, WEBGL);
+}
+
+function draw() {
+  background(220);
+  orbitControl();
+  normalMaterial();
+  rotateX(frameCount * 0.01);
+  rotateY(frameCount * 0.01);
+  box(100);
+}
@@ -0,0 +1,90 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile, readFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BatchRunner } from '../src/project/BatchRunner.js';
+import { CacheManager } from '../src/cache/CacheManager.js';
+import { ConfigError } from '../src/config/ConfigManager.js';
+import { Downloader, DownloadError } from '../src/net/Downloader.js';
+
+const CDN_PAGE = '<html><head><script src="https://cdn.jsdelivr.net/npm/p5@1.9.4/lib/p5.js"></script></head><body></body></html>\n';
+const LOCAL_PAGE = '<html><head><script src="lib/p5.min.js"></script></head><body></body></html>\n';
+
+/**
+ * A downloader without a network connection
+ */
+class OfflineDownloader extends Downloader {
+  async send() {
+    throw new TypeError('fetch failed');
+  }
+}
+
+let root;
+
+beforeEach(async () => {
+  root = (await mkdtemp(join(tmpdir(), 'p5-batch-'))).replace(/\\/g, '/');
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Writes files below the temporary root, creating their folders
+ * @param {Object<string, string>} files - Content by path relative to the root
+ * @returns {Promise<void>}
+ */
+async function writeTree(files) {
+  for (const [path, content] of Object.entries(files)) {
+    await mkdir(join(root, path, '..'), { recursive: true });
+    await writeFile(join(root, path), content);
+  }
+}
+
+/**
+ * Creates a batch runner that caches into the temporary root and can't reach the network
+ * @returns {BatchRunner}
+ */
+function createRunner() {
+  return new BatchRunner({ cacheManager: new CacheManager({ dir: join(root, '.cache') }), downloader: new OfflineDownloader({ retries: 0 }) });
+}
+
+test('finds configured projects and pages that load p5.js, without searching inside them', async () => {
+  await writeTree({
+    'configured/p5-config.json': '{}',
+    'configured/examples/index.html': CDN_PAGE,
+    'courses/week1/index.html': CDN_PAGE,
+    'courses/week2/sketch.html': LOCAL_PAGE,
+    'courses/week2/lib/p5.min.js': '// p5\n',
+    'courses/notes/index.html': '<html><body>Notes</body></html>\n',
+    'node_modules/p5/index.html': CDN_PAGE,
+    '.git/index.html': CDN_PAGE
+  });
+
+  assert.deepEqual(await createRunner().find(root), [
+    { dir: `${root}/configured/`, configured: true, version: null, mode: null },
+    { dir: `${root}/courses/week1/`, configured: false, version: '1.9.4', mode: 'cdn' },
+    { dir: `${root}/courses/week2/`, configured: false, version: null, mode: 'local' }
+  ]);
+});
+
+test('reports each failing project without changing its files or stopping the others', async () => {
+  await writeTree({ 'a/index.html': CDN_PAGE, 'a/p5-config.json': '{ "mode": "npm" }', 'b/index.html': CDN_PAGE });
+  const runner = createRunner();
+  const projects = await runner.find(root);
+  const finished = [];
+
+  const results = await runner.run(projects, { version: '2.1.1' }, { concurrency: 1, onResult: result => finished.push(result.dir) });
+  assert.deepEqual(results.map(({ dir, status, from }) => ({ dir, status, from })), [
+    { dir: `${root}/a/`, status: 'failed', from: null },
+    { dir: `${root}/b/`, status: 'failed', from: '1.9.4' }
+  ]);
+  assert.ok(results[0].error instanceof ConfigError);
+  assert.ok(results[1].error instanceof DownloadError);
+  assert.deepEqual(finished, [`${root}/a/`, `${root}/b/`]);
+
+  assert.deepEqual((await readdir(join(root, 'a'))).sort(), ['index.html', 'p5-config.json']);
+  assert.deepEqual(await readdir(join(root, 'b')), ['index.html']);
+  assert.equal(await readFile(join(root, 'b', 'index.html'), 'utf-8'), CDN_PAGE);
+});
@@ -0,0 +1,137 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileManager } from '../src/file/FileManager.js';
+import { ConfigManager, ConfigError } from '../src/config/ConfigManager.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = (await mkdtemp(join(tmpdir(), 'p5-config-'))).replace(/\\/g, '/');
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Writes p5-config.json and creates a config manager that reads it
+ * @param {Object|string} config - The configuration, or the raw file content
+ * @returns {Promise<ConfigManager>}
+ */
+async function createConfig(config) {
+  await writeFile(`${dir}/p5-config.json`, typeof config === 'string' ? config : JSON.stringify(config, null, 2));
+  return new ConfigManager(new FileManager(dir));
+}
+
+test('migrates a configuration written before the schema was versioned', async () => {
+  const configManager = await createConfig({ version: '1.9.4', mode: 'local', typeDefsVersion: '1.7.6', lastUpdated: '2024-03-01T12:00:00.000Z' });
+
+  assert.deepEqual(await configManager.load(), {
+    schemaVersion: 2,
+    version: '1.9.4',
+    versionRange: null,
+    mode: 'local',
+    cdnProvider: null,
+    mirror: null,
+    minified: null,
+    versionedFile: false,
+    typeDefsVersion: '1.7.6',
+    typeDefsPackage: null,
+    sketchMode: null,
+    integrity: null,
+    template: null,
+    libraries: [],
+    lastUpdated: '2024-03-01T12:00:00.000Z'
+  });
+  assert.deepEqual(configManager.migrated, { from: 0, to: 2 });
+});
+
+test('moves the "latest" tag of an unversioned configuration to versionRange', async () => {
+  const config = await (await createConfig({ version: 'latest', mode: 'cdn', lastUpdated: '2024-03-01T12:00:00.000Z' })).load();
+  assert.equal(config.version, null);
+  assert.equal(config.versionRange, 'latest');
+});
+
+test('migrates a version 1 configuration, keeping a chosen build and unknown fields', async () => {
+  const configManager = await createConfig({
+    schemaVersion: 1,
+    version: '2.1.1',
+    versionRange: '^2.1',
+    mode: 'cdn',
+    cdnProvider: 'unpkg',
+    mirror: null,
+    minified: true,
+    typeDefsVersion: null,
+    typeDefsPackage: null,
+    sketchMode: 'instance',
+    integrity: null,
+    template: null,
+    libraries: [],
+    lastUpdated: '2025-06-01T12:00:00.000Z',
+    notes: 'kept'
+  });
+
+  const config = await configManager.load();
+  assert.equal(config.schemaVersion, 2);
+  assert.equal(config.minified, true);
+  assert.equal(config.versionedFile, false);
+  assert.equal(config.cdnProvider, 'unpkg');
+  assert.equal(config.notes, 'kept');
+  assert.deepEqual(configManager.migrated, { from: 1, to: 2 });
+});
+
+test('leaves the build of a version 1 configuration unchosen unless it was minified', async () => {
+  const config = await (await createConfig({ schemaVersion: 1, version: '2.1.1', mode: 'cdn', minified: false, libraries: [] })).load();
+  assert.equal(config.minified, null);
+});
+
+test('writes a migrated configuration with the current schema version', async () => {
+  const configManager = await createConfig({ version: '1.9.4', mode: 'cdn', lastUpdated: '2024-03-01T12:00:00.000Z' });
+  await configManager.update({ sketchMode: 'global' });
+
+  const written = JSON.parse(await readFile(`${dir}/p5-config.json`, 'utf-8'));
+  assert.equal(written.schemaVersion, 2);
+  assert.equal(written.sketchMode, 'global');
+  assert.equal(configManager.migrated, null);
+});
+
+test('returns null when there is no configuration', async () => {
+  assert.equal(await new ConfigManager(new FileManager(dir)).load(), null);
+});
+
+for (const [problem, config, message] of [
+  ['is not valid JSON', '{ "version": "1.9.4",\n  "mode": }', /is not valid JSON/],
+  ['is not an object', '["1.9.4"]', /must contain a JSON object/],
+  ['comes from a newer schema', { schemaVersion: 3, version: '1.9.4', mode: 'cdn' }, /schema version 3/],
+  ['has an unknown mode', { schemaVersion: 2, version: '1.9.4', mode: 'npm', libraries: [] }, /"mode" must be one of "cdn", "local" \(found "npm"\)/],
+  ['has an invalid version range', { schemaVersion: 2, version: '1.9.4', versionRange: 'not a range!', mode: 'cdn' }, /"versionRange" must be a version range/],
+  ['has no version or range', { schemaVersion: 2, version: null, mode: 'cdn' }, /"version" must be set unless "versionRange" is/],
+  ['has an invalid integrity hash', { schemaVersion: 2, version: '1.9.4', mode: 'cdn', integrity: 'md5-abc' }, /"integrity" must be a Subresource Integrity hash/],
+  ['has a library without a file', { schemaVersion: 2, version: '1.9.4', mode: 'cdn', libraries: [{ name: 'p5.sound', package: 'p5.sound', version: '0.2.0' }] }, /"libraries\[0\]\.file" is missing/],
+  ['has a library that is not an object', { schemaVersion: 2, version: '1.9.4', mode: 'cdn', libraries: ['p5.sound'] }, /"libraries\[0\]" must be an object/]
+]) {
+  test(`refuses a configuration that ${problem}`, async () => {
+    const configManager = await createConfig(config);
+    await assert.rejects(configManager.load(), error => error instanceof ConfigError && message.test(error.message) && error.path === `${dir}/p5-config.json`);
+  });
+}
+
+test('lists every invalid field of a configuration', async () => {
+  const configManager = await createConfig({ schemaVersion: 2, version: 'next', mode: 'local', minified: 'yes', mirror: 'ftp://mirror' });
+  await assert.rejects(configManager.load(), error => {
+    assert.equal(error.problems.length, 3);
+    assert.match(error.problems[0], /^"version" must be an exact version/);
+    assert.match(error.problems[1], /^"mirror" must be an http:\/\/ or https:\/\/ URL/);
+    assert.match(error.problems[2], /^"minified" must be a boolean/);
+    return true;
+  });
+});
+
+test('refuses to write invalid settings', async () => {
+  const configManager = await createConfig({ schemaVersion: 2, version: '1.9.4', mode: 'cdn', libraries: [] });
+  await assert.rejects(configManager.update({ cdnProvider: 'example' }), ConfigError);
+  assert.equal(JSON.parse(await readFile(`${dir}/p5-config.json`, 'utf-8')).cdnProvider, undefined);
+});
@@ -0,0 +1,171 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { connect } from 'net';
+import { once } from 'events';
+import { mkdtemp, rm, readFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Downloader, DownloadError } from '../src/net/Downloader.js';
+
+let dir;
+let servers;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'p5-download-test-'));
+  servers = [];
+});
+
+afterEach(async () => {
+  for (const server of servers) {
+    server.closeAllConnections();
+    server.close();
+  }
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Starts a local HTTP server that answers requests in turn
+ * @param {function(http.IncomingMessage, http.ServerResponse, number): void} handler - Answers a request;
+ *   the third argument counts the requests, starting at 0
+ * @returns {Promise<{ server: http.Server, url: string }>} The server and its base URL
+ */
+async function serve(handler) {
+  let count = 0;
+  const server = createServer((request, response) => handler(request, response, count++));
+  servers.push(server);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('retries a busy server and returns the file once it answers', async () => {
+  const { url } = await serve((request, response, count) => {
+    response.writeHead(count === 0 ? 503 : 200);
+    response.end(count === 0 ? '' : '// p5\n');
+  });
+  const downloader = new Downloader({ backoff: 1 });
+  const retries = [];
+  downloader.on('retry', event => retries.push(event));
+
+  assert.equal(await downloader.text(`${url}/p5.js`), '// p5\n');
+  assert.equal(retries.length, 1);
+  assert.equal(retries[0].error.status, 503);
+});
+
+test('returns the error status once the retries are used up', async () => {
+  let requests = 0;
+  const { url } = await serve((request, response) => {
+    requests++;
+    response.writeHead(503);
+    response.end();
+  });
+
+  const result = await new Downloader({ retries: 2, backoff: 1 }).get(`${url}/p5.js`);
+  assert.deepEqual(result, { ok: false, status: 503, body: null });
+  assert.equal(requests, 3);
+});
+
+test('does not retry a missing file', async () => {
+  let requests = 0;
+  const { url } = await serve((request, response) => {
+    requests++;
+    response.writeHead(404);
+    response.end();
+  });
+
+  await assert.rejects(new Downloader({ backoff: 1 }).text(`${url}/p5.js`), error => error instanceof DownloadError && error.status === 404);
+  assert.equal(requests, 1);
+});
+
+test('gives up on a server that stops sending data', async () => {
+  const { url } = await serve((request, response) => {
+    response.writeHead(200, { 'content-length': '100' });
+    response.write('// p5');
+  });
+  const downloader = new Downloader({ timeout: 100, retries: 1, backoff: 1 });
+
+  await assert.rejects(downloader.get(`${url}/p5.js`), error => error instanceof DownloadError && /No response from/.test(error.message));
+  // The host is known to be unreachable now, so the next request isn't retried
+  const retries = [];
+  downloader.on('retry', event => retries.push(event));
+  await assert.rejects(downloader.get(`${url}/p5.min.js`), DownloadError);
+  assert.deepEqual(retries, []);
+});
+
+test('starts a file over after a broken download', async () => {
+  const { url } = await serve((request, response, count) => {
+    response.writeHead(200, { 'content-length': '6' });
+    if (count === 0) {
+      response.write('// ');
+      setTimeout(() => response.destroy(), 10);
+    } else {
+      response.end('// p5\n');
+    }
+  });
+
+  const size = await new Downloader({ backoff: 1 }).toFile(`${url}/p5.js`, join(dir, 'p5.js'));
+  assert.equal(size, 6);
+  assert.equal(await readFile(join(dir, 'p5.js'), 'utf-8'), '// p5\n');
+  assert.deepEqual(await readdir(dir), ['p5.js']);
+});
+
+test('leaves no file behind when a download fails', async () => {
+  const { url } = await serve((request, response) => {
+    response.writeHead(404);
+    response.end();
+  });
+
+  await assert.rejects(new Downloader().toFile(`${url}/p5.js`, join(dir, 'p5.js')), DownloadError);
+  assert.deepEqual(await readdir(dir), []);
+});
+
+test('refuses an HTML page served instead of the file', async () => {
+  const { url } = await serve((request, response) => {
+    response.writeHead(200, { 'content-type': 'text/html' });
+    response.end('<html>Sign in to continue</html>');
+  });
+
+  await assert.rejects(new Downloader().get(`${url}/p5.js`), /captive portal/);
+});
+
+test('connects through the configured proxy', async () => {
+  const { url } = await serve((request, response) => response.end('// p5\n'));
+  const tunnels = [];
+  const { server: proxy, url: proxyURL } = await serve((request, response) => {
+    response.writeHead(400);
+    response.end();
+  });
+  proxy.on('connect', (request, socket) => {
+    tunnels.push(request.url);
+    const upstream = connect(...request.url.split(':').reverse(), () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on('error', () => socket.destroy());
+  });
+
+  const downloader = new Downloader({ env: { HTTP_PROXY: proxyURL } });
+  assert.equal(await downloader.text(`${url}/p5.js`), '// p5\n');
+  assert.deepEqual(tunnels, [new URL(url).host]);
+});
+
+test('names the proxy when it cannot be reached', async () => {
+  // A port that was just freed, so nothing answers on it
+  const { server, url: proxyURL } = await serve((request, response) => response.end());
+  server.close();
+  await once(server, 'close');
+
+  const downloader = new Downloader({ retries: 0, env: { HTTP_PROXY: proxyURL } });
+  await assert.rejects(downloader.get('http://example.com/p5.js'), /through the proxy 127\.0\.0\.1/);
+});
+
+test('skips the proxy for hosts listed in NO_PROXY', () => {
+  const downloader = new Downloader({ env: { https_proxy: 'http://proxy:8080', NO_PROXY: 'localhost, .internal.example.com:443' } });
+  assert.equal(downloader.getProxy('https://cdn.jsdelivr.net/npm/p5/lib/p5.js'), 'http://proxy:8080');
+  assert.equal(downloader.getProxy('https://localhost/p5.js'), null);
+  assert.equal(downloader.getProxy('https://files.internal.example.com/p5.js'), null);
+  assert.equal(downloader.getProxy('http://cdn.jsdelivr.net/npm/p5/lib/p5.js'), null);
+  assert.equal(new Downloader({ env: { HTTPS_PROXY: 'http://proxy:8080', NO_PROXY: '*' } }).getProxy('https://cdn.jsdelivr.net/'), null);
+});
@@ -0,0 +1,196 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile, readFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileManager, CommitError } from '../src/file/FileManager.js';
+import { HTMLManager } from '../src/file/HTMLManager.js';
+import { ZipReader } from '../src/file/ZipReader.js';
+import { ProjectExporter } from '../src/export/ProjectExporter.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = (await mkdtemp(join(tmpdir(), 'p5-files-'))).replace(/\\/g, '/');
+  await writeFile(`${dir}/index.html`, '<html></html>\n');
+  await writeFile(`${dir}/sketch.js`, 'function setup() {}\n');
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('lists planned files, but not planned directories, in a dry run', async () => {
+  const fileManager = new FileManager(dir, null, { dryRun: true });
+  await fileManager.createDir(`${dir}/lib`);
+  await fileManager.createDir(`${dir}/types/p5`);
+  await fileManager.writeHTML(`${dir}/lib/p5.js`, '// p5\n');
+  await fileManager.deleteFile(`${dir}/sketch.js`);
+
+  assert.deepEqual((await fileManager.listFiles(dir)).sort(), ['index.html', 'lib/p5.js']);
+  assert.deepEqual((await fileManager.listDir(dir)).sort(), ['index.html', 'lib', 'types']);
+  assert.equal(await fileManager.isDirectory(`${dir}/lib`), true);
+});
+
+test('zips a planned export folder in a dry run', async () => {
+  const fileManager = new FileManager(dir, null, { dryRun: true });
+  const exporter = new ProjectExporter(fileManager, new HTMLManager(), null, null);
+  await fileManager.createDir(`${dir}/dist/lib`);
+  await fileManager.writeHTML(`${dir}/dist/index.html`, '<html></html>\n');
+  await fileManager.writeHTML(`${dir}/dist/lib/p5.js`, '// p5\n');
+
+  await exporter.createZip(`${dir}/dist/`, `${dir}/dist.zip`);
+
+  const zip = new ZipReader(fileManager.planned(`${dir}/dist.zip`));
+  assert.deepEqual(zip.entries().map(entry => entry.name).sort(), ['index.html', 'lib/p5.js']);
+  assert.deepEqual(await readdir(dir), ['index.html', 'sketch.js']);
+});
+
+test('reads see staged content until the changes are committed', async () => {
+  const fileManager = new FileManager(dir);
+  fileManager.begin();
+  await fileManager.writeHTML(`${dir}/index.html`, '<html>new</html>\n');
+
+  assert.equal(await fileManager.readHTML(`${dir}/index.html`), '<html>new</html>\n');
+  assert.equal(await readFile(`${dir}/index.html`, 'utf-8'), '<html></html>\n');
+
+  await fileManager.commit();
+  assert.equal(await readFile(`${dir}/index.html`, 'utf-8'), '<html>new</html>\n');
+});
+
+test('streams a staged download to a temporary file until the changes are committed', async () => {
+  const saved = [];
+  const downloader = {
+    toFile: async (url, path) => {
+      saved.push(path);
+      await writeFile(path, '// p5\n');
+    },
+    get: async () => assert.fail('a staged download was buffered in memory')
+  };
+  const fileManager = new FileManager(dir, null, { downloader });
+  fileManager.begin();
+  await fileManager.createDir(`${dir}/lib`);
+
+  assert.equal(await fileManager.downloadFile('https://example.com/p5.js', `${dir}/lib/p5.js`), '// p5\n');
+  assert.notEqual(saved[0], `${dir}/lib/p5.js`);
+  assert.equal(await fileManager.readHTML(`${dir}/lib/p5.js`), '// p5\n');
+  assert.deepEqual(fileManager.getPlan().map(action => action.type), ['create', 'create']);
+  assert.deepEqual(await readdir(dir), ['index.html', 'sketch.js']);
+
+  await fileManager.commit();
+  assert.equal(await readFile(`${dir}/lib/p5.js`, 'utf-8'), '// p5\n');
+  await assert.rejects(readFile(saved[0]), { code: 'ENOENT' });
+});
+
+test('leaves files rewritten with their current content out of the plan', async () => {
+  const fileManager = new FileManager(dir, null, { dryRun: true });
+  await fileManager.writeHTML(`${dir}/index.html`, '<html></html>\n');
+  await fileManager.writeHTML(`${dir}/sketch.js`, 'function draw() {}\n');
+  await fileManager.deleteFile(`${dir}/missing.js`);
+
+  assert.deepEqual(fileManager.getPlan(), [{ type: 'rewrite', path: `${dir}/sketch.js` }]);
+  assert.equal(fileManager.getPlannedChange(`${dir}/index.html`), null);
+});
+
+test('drops a planned change that is undone later in the plan', async () => {
+  const fileManager = new FileManager(dir, null, { dryRun: true });
+  await fileManager.writeHTML(`${dir}/index.html`, '<html>changed</html>\n');
+  await fileManager.writeHTML(`${dir}/index.html`, '<html></html>\n');
+
+  assert.deepEqual(fileManager.getPlan(), []);
+});
+
+test('does not back up files whose content did not change', async () => {
+  const fileManager = new FileManager(dir);
+  fileManager.begin();
+  await fileManager.writeHTML(`${dir}/index.html`, '<html></html>\n');
+  await fileManager.writeHTML(`${dir}/sketch.js`, 'function draw() {}\n');
+
+  const manifest = await fileManager.commit();
+  assert.deepEqual(manifest.files, [{ path: 'sketch.js', backup: 'files/0' }]);
+});
+
+test('leaves the last backup alone when a commit keeps none', async () => {
+  const fileManager = new FileManager(dir);
+  fileManager.begin();
+  await fileManager.writeHTML(`${dir}/sketch.js`, 'function draw() {}\n');
+  await fileManager.commit();
+
+  fileManager.begin();
+  await fileManager.writeHTML(`${dir}/package.json`, '{}');
+  await fileManager.commit({ keepBackup: false });
+
+  assert.equal(await readFile(`${dir}/package.json`, 'utf-8'), '{}');
+  assert.deepEqual((await fileManager.readBackup()).files, [{ path: 'sketch.js', backup: 'files/0' }]);
+});
+
+test('restores the originals from a backup that is not kept', async () => {
+  const fileManager = new FileManager(dir);
+  fileManager.begin();
+  await fileManager.writeHTML(`${dir}/index.html`, '<html><body></body></html>\n');
+  await fileManager.writeHTML(`${dir}/sketch.js/broken.js`, '// broken\n');
+
+  await assert.rejects(fileManager.commit({ keepBackup: false }), CommitError);
+  assert.equal(await readFile(`${dir}/index.html`, 'utf-8'), '<html></html>\n');
+  assert.deepEqual((await readdir(dir)).sort(), ['index.html', 'sketch.js']);
+});
+
+test('plans a directory that is deleted and written again as changes to its files', async () => {
+  await mkdir(`${dir}/types`);
+  await writeFile(`${dir}/types/global.d.ts`, '// global\n');
+  await writeFile(`${dir}/types/old.d.ts`, '// old\n');
+
+  const fileManager = new FileManager(dir, null, { dryRun: true });
+  await fileManager.deleteDir(`${dir}/types`);
+  await fileManager.createDir(`${dir}/types`);
+  await fileManager.writeHTML(`${dir}/types/global.d.ts`, '// global\n');
+  await fileManager.createDir(`${dir}/types`);
+
+  assert.deepEqual(fileManager.getPlan(), [{ type: 'delete', path: `${dir}/types/old.d.ts` }]);
+  assert.deepEqual(await fileManager.listFiles(`${dir}/types`), ['global.d.ts']);
+});
+
+test('rolls back the last commit', async () => {
+  const fileManager = new FileManager(dir);
+  fileManager.begin();
+  await fileManager.writeHTML(`${dir}/sketch.js`, 'function draw() {}\n');
+  await fileManager.deleteFile(`${dir}/index.html`);
+  await fileManager.createDir(`${dir}/lib/addons`);
+  await fileManager.writeHTML(`${dir}/lib/addons/p5.sound.js`, '// sound\n');
+  await fileManager.writeHTML(`${dir}/assets/data/points.json`, '[]');
+  await fileManager.commit();
+
+  const manifest = await fileManager.restoreBackup();
+  assert.deepEqual(manifest.dirs.sort(), ['assets', 'assets/data', 'lib', 'lib/addons']);
+  assert.equal(await readFile(`${dir}/sketch.js`, 'utf-8'), 'function setup() {}\n');
+  assert.equal(await readFile(`${dir}/index.html`, 'utf-8'), '<html></html>\n');
+  assert.deepEqual((await readdir(dir)).sort(), ['index.html', 'sketch.js']);
+  assert.equal(await fileManager.restoreBackup(), null);
+});
+
+test('restores the originals when a change cannot be applied', async () => {
+  const fileManager = new FileManager(dir);
+  fileManager.begin();
+  await fileManager.writeHTML(`${dir}/index.html`, '<html><body></body></html>\n');
+  await fileManager.writeHTML(`${dir}/new.js`, '// new\n');
+  // sketch.js is a file, so nothing can be written below it
+  await fileManager.writeHTML(`${dir}/sketch.js/broken.js`, '// broken\n');
+
+  const error = await fileManager.commit().catch(error => error);
+  assert.ok(error instanceof CommitError);
+  assert.equal(error.restored, true);
+  assert.equal(await readFile(`${dir}/index.html`, 'utf-8'), '<html></html>\n');
+  assert.deepEqual((await readdir(dir)).sort(), ['index.html', 'sketch.js']);
+});
+
+test('restores the originals when the commit is interrupted', async () => {
+  const fileManager = new FileManager(dir);
+  fileManager.begin();
+  await fileManager.writeHTML(`${dir}/sketch.js`, 'function draw() {}\n');
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(fileManager.commit({ signal: controller.signal }), CommitError);
+  assert.equal(await readFile(`${dir}/sketch.js`, 'utf-8'), 'function setup() {}\n');
+  assert.equal(await fileManager.readBackup(), null);
+});
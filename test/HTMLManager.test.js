@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HTMLManager } from '../src/file/HTMLManager.js';
+
+const htmlManager = new HTMLManager();
+const page = src => `<!DOCTYPE html>\n<html>\n  <head>\n    <script src="${src}"></script>\n  </head>\n  <body></body>\n</html>\n`;
+const detect = src => {
+  const info = htmlManager.getP5ScriptInfo(page(src));
+  return info && { version: info.version, isMinified: info.isMinified, cdnProvider: info.cdnProvider };
+};
+
+test('detects the version and build of CDN tags', () => {
+  assert.deepEqual(detect('https://cdn.jsdelivr.net/npm/p5@2.1.0/lib/p5.min.js'), { version: '2.1.0', isMinified: true, cdnProvider: 'jsdelivr' });
+  assert.deepEqual(detect('https://unpkg.com/p5@1.9.4/lib/p5.js'), { version: '1.9.4', isMinified: false, cdnProvider: 'unpkg' });
+  assert.deepEqual(detect('https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.4/p5.js'), { version: '1.9.4', isMinified: false, cdnProvider: 'cdnjs' });
+  assert.deepEqual(detect('https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.4/p5.min.js'), { version: '1.9.4', isMinified: true, cdnProvider: 'cdnjs' });
+});
+
+test('detects local builds, with and without a version in the file name', () => {
+  assert.equal(detect('/lib/p5.js').version, 'local');
+  assert.equal(detect('lib/p5.min.js').isMinified, true);
+  assert.deepEqual(detect('/lib/p5@2.1.0.js'), { version: '2.1.0', isMinified: false, cdnProvider: 'jsdelivr' });
+  assert.deepEqual(detect('/lib/p5@2.1.0.min.js'), { version: '2.1.0', isMinified: true, cdnProvider: 'jsdelivr' });
+  assert.deepEqual(detect('./vendor/lib/p5@2.2.0-rc.1.min.js'), { version: '2.2.0-rc.1', isMinified: true, cdnProvider: 'jsdelivr' });
+  assert.deepEqual(detect('libraries/p5@1.11.10.min.js'), { version: '1.11.10', isMinified: true, cdnProvider: 'jsdelivr' });
+});
+
+test('ignores scripts that are not p5.js', () => {
+  assert.equal(detect('/lib/p5.sound.js'), null);
+  assert.equal(detect('sketch.js'), null);
+});
+
+test('builds local file names that detection reads back', () => {
+  const name = htmlManager.getLocalFileName('2.1.0', { isMinified: true, versionedFile: true });
+  assert.equal(name, 'p5@2.1.0.min.js');
+  assert.deepEqual(detect(`/lib/${name}`), { version: '2.1.0', isMinified: true, cdnProvider: 'jsdelivr' });
+});
+
+test('updates the p5.js tag in place and leaves the rest of the page alone', () => {
+  const html = page('https://cdn.jsdelivr.net/npm/p5@2.0.5/lib/p5.min.js').replace('<body></body>', '<body>\n    <!-- keep  me -->\n  </body>');
+  const { html: updated, method } = htmlManager.updateP5Script(html, '2.1.1', 'cdn');
+
+  assert.equal(method, 'updated-existing-script');
+  assert.equal(updated, html.replace('p5@2.0.5', 'p5@2.1.1'));
+});
+
+test('switches a CDN tag to the local build', () => {
+  const { html } = htmlManager.updateP5Script(page('https://cdn.jsdelivr.net/npm/p5@2.0.5/lib/p5.js'), '2.1.1', 'local', { versionedFile: true });
+  assert.match(html, /<script src="\/lib\/p5@2\.1\.1\.js"><\/script>/);
+});
+
+test('removes duplicate p5.js tags, keeping the chosen one', () => {
+  const html = '<html><head>\n  <script src="https://cdn.jsdelivr.net/npm/p5@2.0.5/lib/p5.js"></script>\n  <script src="/lib/p5.js"></script>\n</head><body></body></html>';
+  const result = htmlManager.removeDuplicateP5Scripts(html, 0);
+
+  assert.equal(result.updated, true);
+  assert.equal(htmlManager.getP5ScriptInfos(result.html).length, 1);
+  assert.equal(result.html, '<html><head>\n  <script src="https://cdn.jsdelivr.net/npm/p5@2.0.5/lib/p5.js"></script>\n</head><body></body></html>');
+});
+
+test('inserts tags with the line breaks of a Windows page', () => {
+  const windows = html => html.replace(/\n/g, '\r\n');
+  const library = { name: 'p5.sound', package: 'p5.sound', version: '0.2.0', file: 'dist/p5.sound.min.js' };
+
+  const inserted = htmlManager.updateP5Script(windows('<html>\n  <head>\n    <title>Sketch</title>\n  </head>\n</html>\n'), '2.1.1', 'cdn');
+  assert.equal(inserted.method, 'inserted-new-script');
+  const added = htmlManager.updateLibraryScript(inserted.html, library, 'cdn');
+  assert.equal(added.method, 'inserted-after-p5');
+
+  assert.doesNotMatch(added.html, /[^\r]\n/);
+  assert.equal(added.html.split('\r\n').length, 8);
+});
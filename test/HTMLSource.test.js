@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HTMLSource } from '../src/file/HTMLSource.js';
+
+const PAGE = `<!DOCTYPE html>
+<html>
+  <head>
+    <!-- <script src="commented-out.js"></script> -->
+    <script src='p5.js' defer></script>
+    <script>
+      const markup = '<script src="not-a-tag.js">';
+    </script>
+    <link rel=stylesheet href=style.css>
+  </head>
+</html>
+`;
+
+test('finds start tags outside comments and raw text', () => {
+  const source = new HTMLSource(PAGE);
+  const scripts = source.findTags('script');
+
+  assert.equal(scripts.length, 2);
+  assert.equal(source.getAttribute(scripts[0], 'src'), 'p5.js');
+  assert.equal(source.getAttribute(scripts[0], 'defer'), '');
+  assert.equal(source.getAttribute(scripts[1], 'src'), null);
+  assert.equal(source.comments.length, 1);
+  assert.deepEqual(source.findTagsWithAttribute('href').map(tag => tag.name), ['link']);
+});
+
+test('decodes attribute values and encodes them for their quotes', () => {
+  const source = new HTMLSource('<a title="Tom &amp; Jerry &#39;s&#x21;">');
+  assert.equal(source.getAttribute(source.findTags('a')[0], 'title'), "Tom & Jerry 's!");
+  assert.equal(HTMLSource.encode(`"a" & 'b'`, '"'), `&quot;a&quot; &amp; 'b'`);
+  assert.equal(HTMLSource.encode(`"a" & 'b'`, "'"), `"a" &amp; &#39;b&#39;`);
+});
+
+test('sets attributes keeping their quoting and leaves the rest of the page alone', () => {
+  const source = new HTMLSource(PAGE);
+  const [script] = source.findTags('script');
+  const [link] = source.findTags('link');
+
+  const html = source.apply([
+    source.setAttribute(script, 'src', 'lib/p5.min.js'),
+    source.setAttribute(script, 'defer', 'defer'),
+    source.setAttribute(link, 'href', 'main.css'),
+    source.setAttribute(link, 'crossorigin', 'anonymous')
+  ]);
+
+  assert.equal(html, PAGE
+    .replace(`src='p5.js' defer>`, `src='lib/p5.min.js' defer="defer">`)
+    .replace('href=style.css>', 'href="main.css" crossorigin="anonymous">'));
+});
+
+test('builds no patch for a value that does not change', () => {
+  const source = new HTMLSource(PAGE);
+  const [script] = source.findTags('script');
+  assert.equal(source.setAttribute(script, 'src', 'p5.js'), null);
+  assert.equal(source.apply([source.setAttribute(script, 'src', 'p5.js')]), PAGE);
+});
+
+test('removes attributes and elements without leaving blank lines', () => {
+  const source = new HTMLSource(PAGE);
+  const [p5, inline] = source.findTags('script');
+
+  const html = source.apply([source.removeAttribute(p5, 'defer'), source.removeElement(inline)]);
+  assert.equal(html, PAGE
+    .replace(`src='p5.js' defer>`, `src='p5.js'>`)
+    .replace(/\n {4}<script>\n.*\n {4}<\/script>/, ''));
+});
+
+test('keeps the order of insertions at the same offset', () => {
+  const source = new HTMLSource('<head>\r\n  <title>Sketch</title>\r\n</head>');
+  const [title] = source.findTags('title');
+  const indent = source.indentBefore(title.start);
+
+  assert.equal(indent, '\r\n  ');
+  assert.equal(source.apply([
+    { start: title.closeEnd, end: title.closeEnd, text: `${indent}<script src="a.js"></script>` },
+    { start: title.closeEnd, end: title.closeEnd, text: `${indent}<script src="b.js"></script>` }
+  ]), '<head>\r\n  <title>Sketch</title>\r\n  <script src="a.js"></script>\r\n  <script src="b.js"></script>\r\n</head>');
+});
+
+test('reads the indentation after a tag with its line break', () => {
+  const source = new HTMLSource('<head>\n    <meta charset="utf-8">\n</head>');
+  const [head] = source.findTags('head');
+  assert.equal(source.indentAfter(head.end), '\n    ');
+  assert.equal(source.indentAfter(source.html.length), '');
+
+  const windows = new HTMLSource('<head> \r\n\t<meta charset="utf-8">\r\n</head>');
+  assert.equal(windows.indentAfter(windows.findTags('head')[0].end), '\r\n\t');
+});
+
+test('tells the line break of the source', () => {
+  assert.equal(new HTMLSource('<html>\r\n</html>\r\n').lineBreak(), '\r\n');
+  assert.equal(new HTMLSource('<html>\n</html>\n').lineBreak(), '\n');
+  assert.equal(new HTMLSource('<html></html>').lineBreak(), '\n');
+});
@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileManager } from '../src/file/FileManager.js';
+import { MigrationAssistant } from '../src/migrate/MigrationAssistant.js';
+
+const assistant = new MigrationAssistant(null);
+
+let dir;
+
+beforeEach(async () => {
+  dir = (await mkdtemp(join(tmpdir(), 'p5-migrate-'))).replace(/\\/g, '/');
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Lists the rules that a source triggers when moving between two versions
+ * @param {string} source - The sketch code
+ * @param {string} [fromVersion='1.11.10'] - The current p5.js version
+ * @param {string} [toVersion='2.1.1'] - The new p5.js version
+ * @returns {string[]} Rule ids of the findings, in source order
+ */
+function rulesFound(source, fromVersion = '1.11.10', toVersion = '2.1.1') {
+  return assistant.scanSource(source, 'sketch.js', fromVersion, toVersion).map(finding => finding.rule);
+}
+
+test('scans the sketch files of a project and skips libraries and build output', async () => {
+  await mkdir(`${dir}/lib`);
+  await mkdir(`${dir}/dist`);
+  await writeFile(`${dir}/sketch.js`, 'let img;\nfunction preload() {\n  img = loadImage("cat.png");\n}\n\nfunction setup() {\n  curveVertex(1, 2);\n}\n');
+  await writeFile(`${dir}/lib/p5.js`, 'function curveVertex() {}\ncurveVertex(1, 2);\n');
+  await writeFile(`${dir}/dist/sketch.js`, 'curveVertex(1, 2);\n');
+
+  const findings = await new MigrationAssistant(new FileManager(dir)).scan('1.11.10', '2.1.1');
+  assert.deepEqual(findings.map(({ file, line, column, rule, fixable }) => ({ file, line, column, rule, fixable })), [
+    { file: 'sketch.js', line: 2, column: 1, rule: 'preload', fixable: true },
+    { file: 'sketch.js', line: 7, column: 3, rule: 'curve-vertex', fixable: true }
+  ]);
+});
+
+test('only reports the rules for the direction of the version change', () => {
+  const source = 'curveVertex(1, 2);\nsplineVertex(1, 2);\n';
+  assert.deepEqual(rulesFound(source), ['curve-vertex']);
+  assert.deepEqual(rulesFound(source, '2.1.1', '1.11.10'), ['spline-vertex']);
+  assert.deepEqual(rulesFound(source, '1.9.4', '1.11.10'), []);
+});
+
+test('ignores comments, strings and functions the sketch declares itself', () => {
+  assert.deepEqual(rulesFound('// curveVertex(1, 2);\nconst label = "curve(1, 2, 3, 4)";\n/* sort(values) */\n'), []);
+  assert.deepEqual(rulesFound('function curve(a, b) {}\ncurve(1, 2);\n'), []);
+});
+
+test('finds loading functions called with a callback', () => {
+  assert.deepEqual(rulesFound('loadImage("cat.png", img => { cat = img; });'), ['load-callback']);
+  assert.deepEqual(rulesFound('loadJSON("data.json", function (data) {});'), ['load-callback']);
+  assert.deepEqual(rulesFound('loadStrings("lines.txt", gotLines, failed);'), ['load-callback']);
+  assert.deepEqual(rulesFound('p.loadFont("font.otf", (font) => {});'), ['load-callback']);
+});
+
+test('does not mistake other loading calls for callbacks', () => {
+  assert.deepEqual(rulesFound('cat = await loadImage("cat.png");'), []);
+  assert.deepEqual(rulesFound('data = loadJSON("data.json", true);'), []);
+  assert.deepEqual(rulesFound('table = loadTable("scores.csv", "csv", "header");'), []);
+  assert.deepEqual(rulesFound('myloadImage("cat.png", done);\nreloadImage("cat.png", done);'), []);
+});
+
+test('finds the removed array helpers, but not the Array methods', () => {
+  assert.deepEqual(rulesFound('sorted = sort(values);\nflipped = reverse(values);\nall = concat(a, b);'), ['array-functions', 'array-functions', 'array-functions']);
+  assert.deepEqual(rulesFound('values.sort();\nvalues.reverse();\nall = a.concat(b);\nall.splice(0, 1);'), []);
+  assert.deepEqual(rulesFound('function sort(list) { return list; }\nsorted = sort(values);'), []);
+  assert.deepEqual(rulesFound('resort(values);\n$sort(values);'), []);
+});
+
+test('splits a bezierVertex() statement into one call per point', () => {
+  const source = 'beginShape();\n  bezierVertex(1, 2, 3, 4, 5, 6);\n  p.bezierVertex(1, 2, 3, 4, 5, 6, 7, 8, 9);\n';
+  assert.equal(assistant.fixSource(source, '1.11.10', '2.1.1'),
+    'beginShape();\n  bezierVertex(1, 2);\n  bezierVertex(3, 4);\n  bezierVertex(5, 6);\n  p.bezierVertex(1, 2, 3);\n  p.bezierVertex(4, 5, 6);\n  p.bezierVertex(7, 8, 9);\n');
+});
+
+test('reports a bezierVertex() inside an expression without splitting it', () => {
+  const source = 'if (ready) bezierVertex(1, 2, 3, 4, 5, 6);\n';
+  const [finding] = assistant.scanSource(source, 'sketch.js', '1.11.10', '2.1.1');
+  assert.equal(finding.rule, 'bezier-vertex');
+  assert.equal(finding.fixable, false);
+  assert.equal(assistant.fixSource(source, '1.11.10', '2.1.1'), source);
+  assert.deepEqual(rulesFound('bezierVertex(1, 2);\n'), []);
+});
+
+test('turns the normalize flag of loadModel() into an options object', () => {
+  assert.equal(assistant.fixSource('model = loadModel("teapot.obj", true);\nother = loadModel("cube.obj",  false, done);\n', '1.11.10', '2.1.1'),
+    'model = loadModel("teapot.obj", { normalize: true });\nother = loadModel("cube.obj",  { normalize: false }, done);\n');
+  assert.deepEqual(rulesFound('model = loadModel("teapot.obj", { normalize: true });'), []);
+});
+
+test('renames the curve functions, keeping an instance-mode receiver', () => {
+  assert.equal(assistant.fixSource('p.curveVertex(1, 2);\ncurve(1, 2, 3, 4, 5, 6, 7, 8);\ncurveTightness(0.5);\n', '1.11.10', '2.1.1'),
+    "p.splineVertex(1, 2);\nspline(1, 2, 3, 4, 5, 6, 7, 8);\nsplineProperty('tightness', 0.5);\n");
+  assert.equal(assistant.fixSource('splineVertex(1, 2);\nspline(1, 2, 3, 4, 5, 6, 7, 8);\n', '2.1.1', '1.11.10'),
+    'curveVertex(1, 2);\ncurve(1, 2, 3, 4, 5, 6, 7, 8);\n');
+});
+
+test('moves preload() into an async setup()', () => {
+  const source = 'let img;\n\nfunction preload() {\n  img = loadImage("cat.png");\n}\n\nfunction setup() {\n  createCanvas(400, 400);\n}\n';
+  assert.equal(assistant.fixSource(source, '1.11.10', '2.1.1'),
+    'let img;\n\nasync function setup() {\n  img = await loadImage("cat.png");\n  createCanvas(400, 400);\n}\n');
+});
+
+test('leaves preload() alone when there is no setup() to move it into', () => {
+  const source = 'function preload() {\n  img = loadImage("cat.png");\n}\n';
+  assert.equal(assistant.rewritePreload(source), null);
+  assert.equal(assistant.scanSource(source, 'sketch.js', '1.11.10', '2.1.1')[0].fixable, false);
+});
+
+test('reports the 2.x features p5.js 1.x does not have', () => {
+  assert.deepEqual(rulesFound('async function setup() {\n  bezierOrder(2);\n  splineProperty("tightness", 0);\n}\n', '2.1.1', '1.11.10'),
+    ['async-setup', 'bezier-order', 'bezier-order']);
+  assert.deepEqual(rulesFound('dict = createStringDict("a", "b");\np.preload = () => {};\nregisterPreloadMethod("loadX", p5.prototype);\nquadraticVertex(1, 2, 3, 4);\n'),
+    ['typed-dict', 'instance-preload', 'register-preload-method', 'quadratic-vertex']);
+});
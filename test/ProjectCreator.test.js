@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { FileManager } from '../src/file/FileManager.js';
+import { ProjectCreator } from '../src/project/ProjectCreator.js';
+
+let root;
+
+beforeEach(async () => {
+  root = (await mkdtemp(join(tmpdir(), 'p5-create-'))).replace(/\\/g, '/');
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Creates a project creator for a directory below the temporary root that plans its changes
+ * @param {string} name - The project directory name
+ * @returns {ProjectCreator}
+ */
+function createCreator(name) {
+  return new ProjectCreator(new FileManager(`${root}/${name}`, null, { dryRun: true }));
+}
+
+test('creates a project only in a missing or empty directory', async () => {
+  await mkdir(`${root}/empty`);
+  await mkdir(`${root}/used`);
+  await writeFile(`${root}/used/sketch.js`, 'function setup() {}\n');
+  await writeFile(`${root}/file`, '');
+
+  assert.equal(await createCreator('missing').canCreate(), true);
+  assert.equal(await createCreator('empty').canCreate(), true);
+  assert.equal(await createCreator('used').canCreate(), false);
+  assert.equal(await createCreator('file').canCreate(), false);
+
+  const planned = createCreator('empty');
+  await planned.fileManager.writeHTML(`${root}/empty/index.html`, '<html></html>\n');
+  assert.equal(await planned.canCreate(), false);
+});
+
+test('names the package after the project directory', () => {
+  assert.equal(createCreator('My Sketch!').packageName(), 'my-sketch');
+  assert.equal(createCreator('_week.1').packageName(), 'week.1');
+  assert.equal(createCreator('???').packageName(), 'p5-sketch');
+});
+
+test('runs this tool on the project directory from the npm scripts', () => {
+  const packageJSON = createCreator('my-sketch').buildPackageJSON();
+  assert.equal(packageJSON.name, 'my-sketch');
+  assert.equal(packageJSON.private, true);
+  assert.equal(packageJSON.scripts.update, 'p5-project --dir .');
+  assert.equal(packageJSON.scripts.serve, 'p5-project serve --dir .');
+  assert.deepEqual(Object.keys(packageJSON.devDependencies), [ProjectCreator.TOOL.name]);
+});
+
+test('installs this tool from a path relative to the project', () => {
+  const spec = createCreator('my-sketch').toolSpec();
+  assert.match(spec, /^file:[^\\]+$/);
+  assert.equal(resolve(root, 'my-sketch', spec.slice('file:'.length)), resolve(ProjectCreator.TOOL_DIR));
+});
+
+test('ignores the files that doctor downloads again', () => {
+  const creator = createCreator('my-sketch');
+  const local = creator.buildGitignore('local').split('\n');
+  const cdn = creator.buildGitignore('cdn').split('\n');
+
+  for (const lines of [local, cdn]) {
+    assert.ok(lines.includes('node_modules/'));
+    assert.ok(lines.includes('types/'));
+    assert.ok(lines.includes('.p5-backup/'));
+    assert.equal(lines.includes('lib/'), false);
+  }
+  assert.ok(local.includes('lib/p5.min.js'));
+  assert.equal(cdn.includes('lib/p5.min.js'), false);
+});
+
+test('stages package.json and .gitignore with the other changes', async () => {
+  const creator = createCreator('my-sketch');
+  await creator.writePackageJSON();
+  await creator.writeGitignore('cdn');
+
+  assert.deepEqual(creator.fileManager.getPlan().map(({ type, path }) => ({ type, path })), [
+    { type: 'create', path: `${root}/my-sketch/package.json` },
+    { type: 'create', path: `${root}/my-sketch/.gitignore` }
+  ]);
+  assert.equal(JSON.parse(await creator.fileManager.readHTML(`${root}/my-sketch/package.json`)).name, 'my-sketch');
+  assert.deepEqual(await readdir(root), []);
+});
@@ -0,0 +1,63 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileManager } from '../src/file/FileManager.js';
+import { HTMLManager } from '../src/file/HTMLManager.js';
+import { ProjectExporter } from '../src/export/ProjectExporter.js';
+
+const PAGE = '<html><head><script src="https://cdn.jsdelivr.net/npm/p5@1.9.4/lib/p5.js"></script></head><body></body></html>\n';
+
+// Serves URLs without hashes; downloads are only planned in a dry run
+const versionProvider = {
+  getFileURL: (version, file) => `https://cdn.jsdelivr.net/npm/p5@${version}/${file}`,
+  getFileIntegrity: async () => null
+};
+
+let cwd;
+let dir;
+
+beforeEach(async () => {
+  cwd = process.cwd();
+  dir = await mkdtemp(join(tmpdir(), 'p5-export-'));
+  for (const project of [join(dir, 'flat'), join(dir, 'nested', 'sketch')]) {
+    await mkdir(join(project, 'dist'), { recursive: true });
+    await writeFile(join(project, 'index.html'), PAGE);
+    await writeFile(join(project, 'sketch.js'), 'function setup() {}\n');
+    await writeFile(join(project, 'dist', 'old.js'), '// previous export\n');
+  }
+});
+
+afterEach(async () => {
+  process.chdir(cwd);
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates an exporter for a project directory that plans its changes
+ * @param {string} basePath - The project directory, relative to the working directory
+ * @returns {ProjectExporter}
+ */
+function createExporter(basePath) {
+  const fileManager = new FileManager(basePath, null, { dryRun: true });
+  return new ProjectExporter(fileManager, new HTMLManager(), versionProvider, null);
+}
+
+for (const [folder, basePath, outDir] of [['flat', '.', 'dist/'], ['nested', 'sketch', './sketch/dist/'], ['nested', './sketch/', 'sketch/dist/']]) {
+  test(`leaves an export folder inside the project out of the export (--dir ${basePath} --out ${outDir})`, async () => {
+    process.chdir(join(dir, folder));
+    const exporter = createExporter(basePath);
+    assert.deepEqual((await exporter.listFiles(outDir)).sort(), ['index.html', 'sketch.js']);
+
+    const result = await exporter.export(outDir, { version: '1.9.4', mode: 'cdn' });
+    assert.deepEqual(result.files.sort(), ['index.html', 'lib/p5.js', 'sketch.js']);
+    assert.equal(await exporter.fileManager.exists(`${outDir}old.js`), false);
+  });
+}
+
+test('exports the files of a project outside the export folder', async () => {
+  process.chdir(join(dir, 'nested'));
+  const exporter = createExporter('sketch');
+  assert.deepEqual((await exporter.listFiles('dist/')).sort(), ['dist/old.js', 'index.html', 'sketch.js']);
+});
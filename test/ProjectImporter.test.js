@@ -0,0 +1,75 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileManager } from '../src/file/FileManager.js';
+import { HTMLManager } from '../src/file/HTMLManager.js';
+import { ZipWriter } from '../src/file/ZipWriter.js';
+import { ProjectImporter } from '../src/export/ProjectImporter.js';
+import { ProjectError } from '../src/project/Project.js';
+
+const PAGE = '<html><head><script src="https://cdn.jsdelivr.net/npm/p5@1.9.4/lib/p5.js"></script></head><body></body></html>\n';
+
+let root;
+let dir;
+
+beforeEach(async () => {
+  root = (await mkdtemp(join(tmpdir(), 'p5-import-'))).replace(/\\/g, '/');
+  dir = `${root}/project`;
+  await mkdir(dir);
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Writes a Web Editor zip with the given entries next to the project
+ * @param {Object<string, string>} files - Content by entry name
+ * @returns {Promise<string>} The archive path
+ */
+async function writeZip(files) {
+  const writer = new ZipWriter();
+  for (const [name, content] of Object.entries(files)) writer.addFile(name, content);
+  await writeFile(`${root}/sketch.zip`, writer.toBuffer());
+  return `${root}/sketch.zip`;
+}
+
+/**
+ * Creates an importer on a staging file manager for the project
+ * @returns {{ importer: ProjectImporter, fileManager: FileManager }}
+ */
+function createImporter() {
+  const fileManager = new FileManager(dir);
+  fileManager.begin();
+  return { importer: new ProjectImporter(fileManager, new HTMLManager()), fileManager };
+}
+
+test('imports a Web Editor zip without its wrapping folder', async () => {
+  const { importer, fileManager } = createImporter();
+  const source = await writeZip({ 'My Sketch/index.html': PAGE, 'My Sketch/sketch.js': 'function setup() {}\n' });
+
+  const imported = await importer.import(source);
+  assert.equal(imported.version, '1.9.4');
+  assert.equal(imported.mode, 'cdn');
+  assert.deepEqual(imported.files.sort(), ['index.html', 'sketch.js']);
+  assert.equal(await fileManager.readHTML(`${dir}/sketch.js`), 'function setup() {}\n');
+});
+
+for (const name of ['../escaped.txt', 'assets/../../escaped.txt', '/tmp/escaped.txt', '\\escaped.txt', 'C:/escaped.txt']) {
+  test(`refuses an entry that leaves the project: ${name}`, async () => {
+    const { importer, fileManager } = createImporter();
+    const source = await writeZip({ 'index.html': PAGE, [name]: 'escaped' });
+
+    await assert.rejects(importer.import(source), error => error instanceof ProjectError && error.code === 'unsafe-path');
+    assert.deepEqual(fileManager.getPlan(), []);
+    assert.deepEqual((await readdir(root)).sort(), ['project', 'sketch.zip']);
+  });
+}
+
+test('keeps paths that only look like they climb out', async () => {
+  const { importer } = createImporter();
+  assert.equal(importer.safePath('assets/../data/..points.json'), 'data/..points.json');
+  assert.equal(importer.safePath('./libraries\\p5.sound.js'), 'libraries/p5.sound.js');
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReleaseNotes } from '../src/api/ReleaseNotes.js';
+import { DownloadError } from '../src/net/Downloader.js';
+
+const CHANGELOG = `# Changelog
+
+## [1.3.0] - 2025-05-01
+- Added [splineVertex()](https://p5js.org/reference/splineVertex) by @someone in https://github.com/processing/p5.js/pull/1
+* Fixed \`loadImage()\` on Safari
+
+## 1.2.0
+Faster WebGL rendering.
+
+### v1.0.0
+- First release
+`;
+
+/**
+ * Creates a version provider that serves a package's versions and files from memory
+ * @param {Object} options - What the package publishes
+ * @param {string[]} options.versions - The published versions
+ * @param {Object<string, *>} [options.files={}] - Content by URL; DownloadErrors are thrown
+ * @returns {Object} The version provider, recording the requested URLs in `requested`
+ */
+function createProvider({ versions, files = {} }) {
+  const requested = [];
+  const get = url => {
+    requested.push(url);
+    if (!(url in files)) throw new DownloadError(`${url} was not found (HTTP 404)`, url, { status: 404 });
+    if (files[url] instanceof Error) throw files[url];
+    return files[url];
+  };
+  return {
+    requested,
+    getVersionsForPackage: async () => versions,
+    getFileList: async (version, packageName) => Object.keys(files)
+      .filter(url => url.startsWith(`npm:${packageName}@${version}/`))
+      .map(url => ({ name: url.slice(url.indexOf('/')) })),
+    getFileURL: (version, file, packageName) => `npm:${packageName}@${version}/${file.replace(/^\//, '')}`,
+    downloader: {
+      text: async url => get(url),
+      json: async url => get(url)
+    }
+  };
+}
+
+test('summarizes the releases between two versions from the published changelog', async () => {
+  const provider = createProvider({
+    versions: ['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0-beta.1', '1.4.0'],
+    files: { 'npm:p5@1.3.0/CHANGELOG.md': CHANGELOG }
+  });
+
+  assert.deepEqual(await new ReleaseNotes(provider).summarize('p5', '1.0.0', '1.3.0'), {
+    source: 'changelog',
+    url: 'npm:p5@1.3.0/CHANGELOG.md',
+    releases: [
+      { version: '1.3.0', items: ['Added splineVertex()', 'Fixed loadImage() on Safari'] },
+      { version: '1.2.0', items: ['Faster WebGL rendering.'] }
+    ],
+    omitted: 0
+  });
+});
+
+test('reads GitHub releases when the package has no changelog, and caches them', async () => {
+  const provider = createProvider({
+    versions: ['0.1.0', '0.2.0', '0.3.0'],
+    files: {
+      'npm:p5.sound@0.3.0/package.json': { repository: { url: 'git+https://github.com/processing/p5.sound.js.git' } },
+      [`${ReleaseNotes.GITHUB_API}/processing/p5.sound.js/releases/tags/v0.3.0`]: { body: '## What changed\n- New reverb by @someone in https://github.com/processing/p5.sound.js/pull/2\n' },
+      [`${ReleaseNotes.GITHUB_API}/processing/p5.sound.js/releases/tags/0.2.0`]: { body: 'Bug fixes only.' }
+    }
+  });
+  const stored = new Map();
+  const cache = {
+    getMetadata: async (name, version) => stored.get(`${name}@${version}`) ?? null,
+    setMetadata: async (name, version, kind, value) => { stored.set(`${name}@${version}`, value); }
+  };
+  const notes = new ReleaseNotes(provider, cache);
+
+  const summary = await notes.summarize('p5.sound', '0.1.0', '0.3.0');
+  assert.equal(summary.source, 'github');
+  assert.equal(summary.url, 'https://github.com/processing/p5.sound.js/releases');
+  assert.deepEqual(summary.releases, [
+    { version: '0.3.0', items: ['New reverb'] },
+    { version: '0.2.0', items: ['Bug fixes only.'] }
+  ]);
+
+  provider.requested.length = 0;
+  await notes.summarize('p5.sound', '0.1.0', '0.3.0');
+  assert.equal(provider.requested.some(url => url.startsWith(ReleaseNotes.GITHUB_API)), false);
+});
+
+test('counts the releases left out of a long summary', async () => {
+  const versions = ['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0', '1.5.0', '1.6.0', '1.7.0'];
+  const changelog = versions.map(version => `## ${version}\n- Release ${version}\n`).join('\n');
+  const provider = createProvider({ versions, files: { 'npm:p5@1.7.0/HISTORY.md': changelog } });
+
+  const summary = await new ReleaseNotes(provider).summarize('p5', '1.0.0', '1.7.0');
+  assert.deepEqual(summary.releases.map(release => release.version), ['1.7.0', '1.6.0', '1.5.0', '1.4.0', '1.3.0']);
+  assert.equal(summary.omitted, 2);
+});
+
+test('stops looking up GitHub releases when GitHub cannot be reached', async () => {
+  const provider = createProvider({
+    versions: ['1.0.0', '1.1.0'],
+    files: {
+      'npm:p5@1.1.0/package.json': { repository: 'github:processing/p5.js' },
+      [`${ReleaseNotes.GITHUB_API}/processing/p5.js/releases/tags/v1.1.0`]: new DownloadError('rate limited (HTTP 403)', 'github', { status: 403 })
+    }
+  });
+
+  assert.deepEqual(await new ReleaseNotes(provider).summarize('p5', '1.0.0', '1.1.0'), { source: null, url: null, releases: [], omitted: 0 });
+  assert.equal(provider.requested.filter(url => url.includes('/releases/tags/')).length, 1);
+});
+
+test('shortens release notes to a few plain lines', () => {
+  const notes = new ReleaseNotes(null);
+  const items = notes.summarizeMarkdown(['- one', '- **two**', '+ three', '* four', '- five', '- six'].join('\n'));
+  assert.deepEqual(items, ['one', 'two', 'three', 'four', 'five']);
+  assert.deepEqual(notes.summarizeMarkdown(`- ${'a'.repeat(120)}`), [`${'a'.repeat(97)}...`]);
+  assert.deepEqual(notes.summarizeMarkdown('# Heading only\n'), []);
+});
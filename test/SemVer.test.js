@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SemVer } from '../src/api/SemVer.js';
+
+const VERSIONS = ['1.9.0', '1.9.4', '1.11.10', '2.0.5', '2.1.0', '2.1.1', '2.2.0-rc.1'];
+
+test('parses versions and rejects anything else', () => {
+  assert.deepEqual(SemVer.parse('v2.2.0-rc.1'), { major: 2, minor: 2, patch: 0, prerelease: ['rc', '1'] });
+  assert.equal(SemVer.parse('2.1'), null);
+  assert.equal(SemVer.parse('latest'), null);
+  assert.equal(SemVer.isPrerelease('2.2.0-rc.1'), true);
+  assert.equal(SemVer.isPrerelease('2.1.1'), false);
+});
+
+test('orders versions by semver precedence', () => {
+  assert.deepEqual(SemVer.sortDescending(['1.9.4', 'beta', '1.11.10', '2.2.0', '2.2.0-rc.1', '2.2.0-beta.2']),
+    ['2.2.0', '2.2.0-rc.1', '2.2.0-beta.2', '1.11.10', '1.9.4']);
+  assert.ok(SemVer.compare('1.0.0-alpha', '1.0.0-alpha.1') < 0);
+  assert.ok(SemVer.compare('1.0.0-2', '1.0.0-10') < 0);
+  assert.equal(SemVer.compare('2.1.0', 'v2.1.0'), 0);
+});
+
+test('classifies the difference between two versions', () => {
+  assert.equal(SemVer.diff('1.11.10', '2.1.1'), 'major');
+  assert.equal(SemVer.diff('2.0.5', '2.1.1'), 'minor');
+  assert.equal(SemVer.diff('2.1.0', '2.1.1'), 'patch');
+  assert.equal(SemVer.diff('2.2.0-rc.1', '2.2.0'), 'prerelease');
+  assert.equal(SemVer.diff('2.1.1', '2.1.1'), null);
+});
+
+test('tells ranges from exact versions', () => {
+  for (const range of ['^1.9', '~2.1', '1.x', '1.9.*', '1', '>=1.9 <2', '1.9.0 - 1.11.0', '^1 || ^2']) {
+    assert.equal(SemVer.isRange(range), true, range);
+  }
+  for (const spec of ['2.1.0', 'latest', '>=banana', null]) {
+    assert.equal(SemVer.isRange(spec), false, String(spec));
+  }
+});
+
+test('finds the newest version in a range', () => {
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '^1.9'), '1.11.10');
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '~1.9'), '1.9.4');
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '2.x'), '2.1.1');
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '>=1.9 <2'), '1.11.10');
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '1.9.0 - 2.0'), '2.0.5');
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '>2.0'), '2.1.1');
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '<=1.9'), '1.9.4');
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '^1.9.1 || ~2.0'), '2.0.5');
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '^3'), null);
+});
+
+test('handles caret ranges below 1.0 like npm', () => {
+  assert.equal(SemVer.satisfies('0.2.5', '^0.2.3'), true);
+  assert.equal(SemVer.satisfies('0.3.0', '^0.2.3'), false);
+  assert.equal(SemVer.satisfies('0.0.4', '^0.0.3'), false);
+  assert.equal(SemVer.satisfies('0.9.0', '^0'), true);
+});
+
+test('only matches pre-releases named by the range', () => {
+  assert.equal(SemVer.satisfies('2.2.0-rc.1', '^2.1'), false);
+  assert.equal(SemVer.satisfies('2.2.0-rc.1', '>=2.2.0-beta.1'), true);
+  assert.equal(SemVer.satisfies('2.3.0-rc.1', '>=2.2.0-beta.1'), false);
+  assert.equal(SemVer.maxSatisfying(VERSIONS, '^2.2.0-rc.0'), '2.2.0-rc.1');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { ZipReader, ZipError } from '../src/file/ZipReader.js';
+import { ZipWriter } from '../src/file/ZipWriter.js';
+
+/**
+ * Builds an archive with ZipWriter
+ * @param {Object<string, string|Buffer>} files - Content by path inside the archive
+ * @returns {Buffer} The zip file content
+ */
+function zip(files) {
+  const writer = new ZipWriter();
+  for (const [name, content] of Object.entries(files)) writer.addFile(name, content);
+  return writer.toBuffer();
+}
+
+test('reads back deflated and stored files', () => {
+  const noise = randomBytes(512);
+  const reader = new ZipReader(zip({ 'sketch/sketch.js': 'function setup() {}\n'.repeat(20), 'sketch/noise.bin': noise }));
+
+  const entries = reader.entries();
+  assert.deepEqual(entries.map(({ name, method }) => ({ name, method })), [
+    { name: 'sketch/sketch.js', method: 8 },
+    { name: 'sketch/noise.bin', method: 0 }
+  ]);
+  assert.equal(reader.read(entries[0]).toString('utf-8'), 'function setup() {}\n'.repeat(20));
+  assert.deepEqual(reader.read(entries[1]), noise);
+});
+
+test('skips directory entries', () => {
+  const reader = new ZipReader(zip({ 'assets/': '', 'assets/data.json': '{}' }));
+  assert.deepEqual(reader.entries().map(entry => entry.name), ['assets/data.json']);
+});
+
+test('finds the central directory behind an archive comment', () => {
+  const archive = zip({ 'index.html': '<html></html>' });
+  const comment = Buffer.from('exported from the p5.js Web Editor');
+  archive.writeUInt16LE(comment.length, archive.length - 2);
+
+  const reader = new ZipReader(Buffer.concat([archive, comment]));
+  assert.equal(reader.read(reader.entries()[0]).toString('utf-8'), '<html></html>');
+});
+
+test('rejects files that are not zip archives', () => {
+  assert.throws(() => new ZipReader(Buffer.from('<html></html>'.repeat(10))).entries(), ZipError);
+  assert.throws(() => new ZipReader(Buffer.alloc(0)).entries(), /Not a zip archive/);
+});
+
+test('rejects corrupt and unsupported entries', () => {
+  const archive = zip({ 'index.html': '<html></html>' });
+  const directory = archive.readUInt32LE(archive.length - 22 + 16);
+
+  const corrupt = Buffer.from(archive);
+  corrupt.writeUInt32LE(0, directory);
+  assert.throws(() => new ZipReader(corrupt).entries(), /corrupt central directory/);
+
+  const [entry] = new ZipReader(archive).entries();
+  assert.throws(() => new ZipReader(archive).read({ ...entry, method: 12 }), /Unsupported compression method 12/);
+  assert.throws(() => new ZipReader(archive).read({ ...entry, offset: 1 }), /corrupt entry index.html/);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { inflateRawSync } from 'zlib';
+import { ZipWriter } from '../src/file/ZipWriter.js';
+
+test('computes the zip CRC-32', () => {
+  const writer = new ZipWriter();
+  assert.equal(writer.crc32(Buffer.from('123456789')), 0xCBF43926);
+  assert.equal(writer.crc32(Buffer.alloc(0)), 0);
+});
+
+test('packs dates into MS-DOS fields', () => {
+  const { time, date } = new ZipWriter().dosDateTime(new Date(2024, 2, 15, 13, 45, 31));
+  assert.equal(time, (13 << 11) | (45 << 5) | 15);
+  assert.equal(date, (44 << 9) | (3 << 5) | 15);
+  // Dates before 1980 can't be stored and are clamped
+  assert.equal(new ZipWriter().dosDateTime(new Date(1970, 0, 1)).date >> 9, 0);
+});
+
+test('deflates text and stores data that does not compress', () => {
+  const writer = new ZipWriter();
+  const noise = randomBytes(256);
+  writer.addFile('sketch.js', 'function draw() {}\n'.repeat(50));
+  writer.addFile('assets/noise.bin', noise);
+
+  const [text, binary] = writer.entries;
+  assert.equal(text.method, 8);
+  assert.equal(inflateRawSync(text.data).toString('utf-8'), 'function draw() {}\n'.repeat(50));
+  assert.equal(binary.method, 0);
+  assert.deepEqual(binary.data, noise);
+});
+
+test('writes local headers, a central directory and its end record', () => {
+  const writer = new ZipWriter();
+  writer.addFile('index.html', '<html></html>');
+  writer.addFile('ñandú.js', '');
+  const zip = writer.toBuffer();
+
+  assert.equal(zip.readUInt32LE(0), 0x04034b50);
+  assert.equal(zip.toString('utf-8', 30, 40), 'index.html');
+
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  assert.equal(zip.readUInt16LE(end + 10), 2);
+
+  const directory = zip.readUInt32LE(end + 16);
+  assert.equal(zip.readUInt32LE(directory), 0x02014b50);
+  assert.equal(zip.readUInt32LE(end + 12), end - directory);
+
+  const second = directory + 46 + 'index.html'.length;
+  const nameLength = zip.readUInt16LE(second + 28);
+  assert.equal(zip.readUInt16LE(second + 8) & 0x0800, 0x0800);
+  assert.equal(zip.toString('utf-8', second + 46, second + 46 + nameLength), 'ñandú.js');
+  assert.equal(zip.readUInt32LE(zip.readUInt32LE(second + 42)), 0x04034b50);
+});